@@ -0,0 +1,106 @@
+// Minimal S3-compatible server for the S3 storage driver's tests: objects in a
+// Map, path-style requests, and SigV4 signatures checked against the request
+// that actually arrived.
+const http = require('http');
+const { signRequest } = require('../files/storage/s3');
+
+const CREDENTIALS = { accessKeyId: 'test-key', secretAccessKey: 'test-secret-key', region: 'us-east-1' };
+
+const xmlEscape = (value) => String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+const errorXml = (code) => `<?xml version="1.0" encoding="UTF-8"?><Error><Code>${code}</Code></Error>`;
+
+// Recomputes the signature from what arrived and compares
+const isSigned = (req, url) => {
+  const auth = req.headers.authorization || '';
+  const signedHeaders = (auth.match(/SignedHeaders=([^,]+)/) || [])[1];
+  const amzDate = req.headers['x-amz-date'];
+  if (!signedHeaders || !amzDate) return false;
+
+  const headers = {};
+  signedHeaders.split(';')
+    .filter(name => !['host', 'x-amz-date', 'x-amz-content-sha256'].includes(name))
+    .forEach((name) => { headers[name] = req.headers[name]; });
+  const now = new Date(amzDate.replace(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/, '$1-$2-$3T$4:$5:$6Z'));
+  const expected = signRequest({
+    method: req.method,
+    host: req.headers.host,
+    path: url.pathname,
+    query: Object.fromEntries(url.searchParams),
+    headers,
+    payloadHash: req.headers['x-amz-content-sha256'],
+  }, CREDENTIALS, now);
+  return expected.Authorization === auth;
+};
+
+// pageSize: keys per ListObjectsV2 page, small so paging gets exercised
+const createFakeS3 = ({ bucket = 'test-bucket', pageSize = 2 } = {}) => {
+  const objects = new Map();
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    requests.push({ method: req.method, path: url.pathname });
+    const reply = (status, body = '', headers = {}) => {
+      res.writeHead(status, headers);
+      res.end(req.method === 'HEAD' ? undefined : body);
+    };
+
+    if (!isSigned(req, url)) return reply(403, errorXml('SignatureDoesNotMatch'));
+    if (!url.pathname.startsWith(`/${bucket}`)) return reply(404, errorXml('NoSuchBucket'));
+    const key = decodeURIComponent(url.pathname.slice(bucket.length + 2));
+
+    if (!key && req.method === 'GET') {
+      const prefix = url.searchParams.get('prefix') || '';
+      const keys = [...objects.keys()].filter(name => name.startsWith(prefix)).sort();
+      const start = Number(url.searchParams.get('continuation-token') || 0);
+      const page = keys.slice(start, start + pageSize);
+      const truncated = start + pageSize < keys.length;
+      const contents = page.map(name => `<Contents><Key>${xmlEscape(name)}</Key>`
+        + `<LastModified>${objects.get(name).modified.toISOString()}</LastModified>`
+        + `<Size>${objects.get(name).body.length}</Size></Contents>`).join('');
+      return reply(200, `<?xml version="1.0" encoding="UTF-8"?><ListBucketResult>${contents}`
+        + `<IsTruncated>${truncated}</IsTruncated>`
+        + `${truncated ? `<NextContinuationToken>${start + pageSize}</NextContinuationToken>` : ''}</ListBucketResult>`);
+    }
+
+    if (req.method === 'PUT') {
+      const chunks = [];
+      req.on('data', chunk => chunks.push(chunk));
+      req.on('end', () => {
+        const body = Buffer.concat(chunks);
+        objects.set(key, { body, contentType: req.headers['content-type'], modified: new Date() });
+        reply(200);
+      });
+      return undefined;
+    }
+
+    const object = objects.get(key);
+    if (req.method === 'DELETE') {
+      objects.delete(key);
+      return reply(204);
+    }
+    if (!object) return reply(404, errorXml('NoSuchKey'));
+    return reply(200, object.body, {
+      'Content-Type': object.contentType,
+      'Content-Length': object.body.length,
+      'Last-Modified': object.modified.toUTCString(),
+    });
+  });
+
+  return {
+    objects,
+    requests,
+    // Resolves to the options for createS3Storage
+    start: () => new Promise((resolve) => {
+      server.listen(0, '127.0.0.1', () => resolve({
+        ...CREDENTIALS,
+        bucket,
+        endpoint: `http://127.0.0.1:${server.address().port}`,
+      }));
+    }),
+    stop: () => new Promise(resolve => server.close(resolve)),
+  };
+};
+
+module.exports = { createFakeS3 };
@@ -0,0 +1,68 @@
+const zlib = require('zlib');
+const { parseCsv, parseCsvObjects, formatCsvRow } = require('../formats/csv');
+const { crc32, zip } = require('../formats/zip');
+
+describe('formats', () => {
+  describe('csv', () => {
+    it('should parse quoted fields, embedded breaks and both line endings', () => {
+      expect(parseCsv('\uFEFFa,"b ""q"", c"\r\n"line\nbreak",\n\nlast')).toEqual([
+        ['a', 'b "q", c'],
+        ['line\nbreak', ''],
+        ['last'],
+      ]);
+      expect(() => parseCsv('"open')).toThrow('Unterminated quoted field');
+    });
+
+    it('should key records by the header row', () => {
+      expect(parseCsvObjects(' Name ,EMAIL\nAnn,ann@example.com\nBob')).toEqual([
+        { name: 'Ann', email: 'ann@example.com' },
+        { name: 'Bob', email: undefined },
+      ]);
+    });
+
+    it('should round-trip what it formats', () => {
+      const row = ['plain', 'with, comma', 'with "quotes"', 'two\nlines', null];
+      expect(formatCsvRow(row)).toBe('plain,"with, comma","with ""quotes""","two\nlines",\r\n');
+      expect(parseCsv(formatCsvRow(row))).toEqual([['plain', 'with, comma', 'with "quotes"', 'two\nlines', '']]);
+    });
+  });
+
+  describe('zip', () => {
+    it('should compute standard CRC-32 checksums', () => {
+      expect(crc32(Buffer.from('123456789'))).toBe(0xcbf43926);
+      expect(crc32(Buffer.from('6789'), crc32(Buffer.from('12345')))).toBe(0xcbf43926);
+    });
+
+    it('should list every entry in the central directory', async () => {
+      async function* streamed() {
+        yield 'hello ';
+        yield Buffer.from('world');
+      }
+      const chunks = [];
+      for await (const chunk of zip([{ name: 'a.txt', content: 'first' }, { name: 'b.txt', content: streamed() }])) {
+        chunks.push(chunk);
+      }
+      const archive = Buffer.concat(chunks);
+
+      const end = archive.length - 22;
+      expect(archive.readUInt32LE(end)).toBe(0x06054b50);
+      expect(archive.readUInt16LE(end + 10)).toBe(2);
+
+      // Walk the central directory and inflate each entry from its local header
+      let position = archive.readUInt32LE(end + 16);
+      const entries = {};
+      for (let i = 0; i < 2; i += 1) {
+        const nameLength = archive.readUInt16LE(position + 28);
+        const name = archive.toString('utf8', position + 46, position + 46 + nameLength);
+        const compressedSize = archive.readUInt32LE(position + 20);
+        const local = archive.readUInt32LE(position + 42);
+        const start = local + 30 + archive.readUInt16LE(local + 26);
+        const content = zlib.inflateRawSync(archive.subarray(start, start + compressedSize));
+        expect(crc32(content)).toBe(archive.readUInt32LE(position + 16));
+        entries[name] = content.toString();
+        position += 46 + nameLength;
+      }
+      expect(entries).toEqual({ 'a.txt': 'first', 'b.txt': 'hello world' });
+    });
+  });
+});
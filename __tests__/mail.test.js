@@ -0,0 +1,20 @@
+const { mailTransportFromEnv } = require('../mail/mailer');
+
+describe('mail transport', () => {
+  it('should print mail by default outside production', async () => {
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    await mailTransportFromEnv({ NODE_ENV: 'development' }).send({ to: 'a@example.com', subject: 'Hi', text: 'Body' });
+
+    expect(log).toHaveBeenCalledWith('[mail] To: a@example.com\n[mail] Subject: Hi\nBody');
+    log.mockRestore();
+  });
+
+  it('should refuse to pick a transport in production unless told which', () => {
+    expect(() => mailTransportFromEnv({ NODE_ENV: 'production' }))
+      .toThrow('MAIL_TRANSPORT must be set in production (expected console or file)');
+    expect(() => mailTransportFromEnv({ NODE_ENV: 'production', MAIL_TRANSPORT: 'file' })).not.toThrow();
+    expect(() => mailTransportFromEnv({ MAIL_TRANSPORT: 'smtp' }))
+      .toThrow('Unknown MAIL_TRANSPORT "smtp" (expected console or file)');
+  });
+});
@@ -0,0 +1,148 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  MIGRATIONS_DIR,
+  loadMigrations,
+  getStatus,
+  migrateUp,
+  migrateDown,
+  createMigration,
+} = require('../db/migrate');
+
+// Records executed SQL and keeps schema_migrations rows in memory
+const createFakeDb = () => {
+  const fake = { executed: [], rows: [] };
+  fake.query = jest.fn((sql, params, callback) => {
+    if (sql.startsWith('CREATE TABLE IF NOT EXISTS schema_migrations')) return callback(null, {});
+    if (sql.startsWith('SELECT version')) return callback(null, fake.rows.map(row => ({ ...row })));
+    if (sql.startsWith('INSERT INTO schema_migrations')) {
+      const [version, name, checksum] = params;
+      fake.rows.push({ version, name, checksum, applied_at: new Date() });
+      return callback(null, {});
+    }
+    if (sql.startsWith('DELETE FROM schema_migrations')) {
+      fake.rows = fake.rows.filter(row => row.version !== params[0]);
+      return callback(null, {});
+    }
+    fake.executed.push(sql);
+    callback(null, {});
+  });
+  return fake;
+};
+
+describe('Migration runner', () => {
+  let dir;
+  let db;
+  const log = () => {};
+
+  const write = (file, sql) => fs.writeFileSync(path.join(dir, file), sql);
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+    write('0001_create_things.up.sql', 'CREATE TABLE things (id INT);');
+    write('0001_create_things.down.sql', 'DROP TABLE things;');
+    write('0002_add_colour.up.sql', 'ALTER TABLE things ADD COLUMN colour VARCHAR(10);');
+    write('0002_add_colour.down.sql', 'ALTER TABLE things DROP COLUMN colour;');
+    db = createFakeDb();
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should load migrations in version order', () => {
+    write('0010_later.up.sql', 'SELECT 1;');
+    expect(loadMigrations(dir).map(m => m.version)).toEqual(['0001', '0002', '0010']);
+  });
+
+  it('should apply pending migrations once and record them', async () => {
+    expect(await migrateUp(db, dir, log)).toEqual(['0001', '0002']);
+    expect(db.executed).toEqual([
+      'CREATE TABLE things (id INT);',
+      'ALTER TABLE things ADD COLUMN colour VARCHAR(10);'
+    ]);
+    expect(await migrateUp(db, dir, log)).toEqual([]);
+
+    const status = await getStatus(db, dir);
+    expect(status.map(s => s.state)).toEqual(['applied', 'applied']);
+  });
+
+  it('should report pending, modified and missing migrations', async () => {
+    await migrateUp(db, dir, log);
+    write('0002_add_colour.up.sql', 'ALTER TABLE things ADD COLUMN colour VARCHAR(20);');
+    write('0003_new.up.sql', 'SELECT 1;');
+    db.rows.push({ version: '0000', name: 'legacy', checksum: 'x', applied_at: new Date() });
+
+    const status = await getStatus(db, dir);
+    expect(status.map(s => [s.version, s.state])).toEqual([
+      ['0000', 'missing'],
+      ['0001', 'applied'],
+      ['0002', 'modified'],
+      ['0003', 'pending'],
+    ]);
+  });
+
+  it('should refuse to migrate when an applied migration was edited', async () => {
+    await migrateUp(db, dir, log);
+    write('0001_create_things.up.sql', 'CREATE TABLE things (id BIGINT);');
+    write('0003_new.up.sql', 'SELECT 1;');
+
+    await expect(migrateUp(db, dir, log)).rejects.toThrow('0001_create_things');
+    expect(db.executed).not.toContain('SELECT 1;');
+  });
+
+  it('should roll back the most recent migrations', async () => {
+    await migrateUp(db, dir, log);
+    expect(await migrateDown(db, 1, dir, log)).toEqual(['0002']);
+    expect(db.executed[db.executed.length - 1]).toBe('ALTER TABLE things DROP COLUMN colour;');
+    expect(db.rows.map(row => row.version)).toEqual(['0001']);
+
+    expect(await migrateDown(db, 5, dir, log)).toEqual(['0001']);
+    expect(db.rows).toEqual([]);
+  });
+
+  it('should not roll back a migration without a down script', async () => {
+    write('0003_one_way.up.sql', 'SELECT 1;');
+    await migrateUp(db, dir, log);
+    await expect(migrateDown(db, 1, dir, log)).rejects.toThrow('no .down.sql');
+  });
+
+  it('should create the next numbered migration pair', () => {
+    const files = createMigration('Add Widgets table', dir);
+    expect(files.map(file => path.basename(file))).toEqual([
+      '0003_add_widgets_table.up.sql',
+      '0003_add_widgets_table.down.sql'
+    ]);
+    expect(loadMigrations(dir)).toHaveLength(3);
+    expect(() => createMigration('', dir)).toThrow('name is required');
+  });
+
+  it('should start from the tables that existed before migrations', () => {
+    const [initial] = loadMigrations(MIGRATIONS_DIR);
+    expect(initial.version).toBe('0001');
+    ['users', 'logs', 'monitored_users'].forEach((table) => {
+      expect(initial.up).toContain(`CREATE TABLE IF NOT EXISTS ${table} (`);
+      expect(initial.down).toContain(`DROP TABLE IF EXISTS ${table};`);
+    });
+    expect(initial.up.match(/CREATE TABLE/g)).toHaveLength(3);
+  });
+
+  it('should create every other table the server uses in a later migration', () => {
+    const [, ...later] = loadMigrations(MIGRATIONS_DIR);
+    ['refresh_tokens', 'revoked_tokens', 'two_factor_recovery_codes', 'password_reset_tokens',
+      'files', 'file_shares', 'upload_sessions'].forEach((table) => {
+      const migration = later.find(candidate => candidate.up.includes(`CREATE TABLE ${table} (`));
+      expect(migration).toBeDefined();
+      expect(migration.down).toContain(`DROP TABLE ${table};`);
+    });
+  });
+
+  it('should upgrade existing users with ALTERs and backfills', () => {
+    const upgrade = loadMigrations(MIGRATIONS_DIR).map(migration => migration.up).join('\n');
+    expect(upgrade).toMatch(/ALTER TABLE users\s+ADD COLUMN email_verified_at/);
+    expect(upgrade).toContain('ADD COLUMN sessions_revoked_at');
+    expect(upgrade).toContain('UPDATE users SET email_verified_at = NOW();');
+    expect(upgrade).toContain('UPDATE users SET two_factor_enabled = TRUE WHERE two_factor_secret IS NOT NULL;');
+  });
+});
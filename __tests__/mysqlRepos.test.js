@@ -0,0 +1,351 @@
+const { Readable } = require('stream');
+const { createMysqlRepos } = require('../repos');
+
+// Connection double that records every statement and answers from `results`
+const createFakeDb = (results = {}) => {
+  const calls = [];
+  const db = {
+    query: jest.fn((sql, params, callback) => {
+      calls.push({ sql, params });
+      const key = Object.keys(results).find(prefix => sql.startsWith(prefix));
+      callback(null, key ? results[key] : { affectedRows: 1, insertId: 1 });
+    }),
+  };
+  return { db, calls };
+};
+
+describe('MySQL repositories', () => {
+  describe('users', () => {
+    it('should build filters, sort and paging into the list query', async () => {
+      const { db, calls } = createFakeDb({ SELECT: [{ id: 1 }] });
+      const repos = createMysqlRepos(db);
+
+      const users = await repos.users.list({
+        name: 'John', email: 'john', type: 'admin', sort: 'created_at', order: 'DESC', limit: 10, offset: 20,
+      });
+
+      expect(users).toEqual([{ id: 1 }]);
+      expect(calls[0].sql).toBe(
+        'SELECT id, name, email, type, image, created_at FROM users WHERE deleted_at IS NULL AND name LIKE ? AND email LIKE ? AND type = ? ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?'
+      );
+      expect(calls[0].params).toEqual(['%John%', '%john%', 'admin', 10, 20]);
+    });
+
+    it('should seek past the cursor key with id as the tiebreaker', async () => {
+      const { db, calls } = createFakeDb({ SELECT: [] });
+      const repos = createMysqlRepos(db);
+
+      await repos.users.list({ type: 'user', sort: 'email', order: 'ASC', limit: 3, after: { value: 'b@example.com', id: 7 } });
+      await repos.users.list({ sort: 'name', order: 'DESC', limit: 3, after: { value: 'Kim', id: 2 } });
+
+      expect(calls[0].sql).toBe(
+        'SELECT id, name, email, type, image, created_at FROM users WHERE deleted_at IS NULL AND type = ? AND (email > ? OR (email = ? AND id > ?)) ORDER BY email ASC, id ASC LIMIT ? OFFSET ?'
+      );
+      expect(calls[0].params).toEqual(['user', 'b@example.com', 'b@example.com', 7, 3, 0]);
+      expect(calls[1].sql).toContain('(name < ? OR (name = ? AND id < ?)) ORDER BY name DESC, id DESC');
+    });
+
+    it('should refuse to sort by anything but a known column', async () => {
+      const { db } = createFakeDb();
+      const repos = createMysqlRepos(db);
+
+      await expect(repos.users.list({ sort: 'name; DROP TABLE users', limit: 10, offset: 0 }))
+        .rejects.toThrow('Cannot sort users by');
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    it('should search the full-text index with required prefix terms', async () => {
+      const { db, calls } = createFakeDb({ SELECT: [] });
+
+      await createMysqlRepos(db).users.search({ terms: ['john', 'doe'], type: 'user', limit: 11, offset: 10 });
+      expect(calls[0].sql).toContain('MATCH(name, email) AGAINST (? IN BOOLEAN MODE) AS relevance');
+      expect(calls[0].sql).not.toContain('password');
+      expect(calls[0].sql).toMatch(/AND type = \? ORDER BY relevance DESC, id ASC LIMIT \? OFFSET \?$/);
+      expect(calls[0].params).toEqual(['+john* +doe*', '+john* +doe*', 'user', 11, 10]);
+    });
+
+    it('should stream exports without credential columns', async () => {
+      const connection = {
+        query: jest.fn(() => ({ stream: () => Readable.from([{ id: 1 }, { id: 2 }]) })),
+        release: jest.fn(),
+      };
+      const pool = { query: jest.fn(), getConnection: jest.fn(callback => callback(null, connection)) };
+
+      const rows = [];
+      for await (const row of createMysqlRepos(pool).users.stream({ type: 'admin', sort: 'created_at', order: 'DESC' })) {
+        rows.push(row);
+      }
+
+      expect(rows).toEqual([{ id: 1 }, { id: 2 }]);
+      const [sql, params] = connection.query.mock.calls[0];
+      expect(sql).toBe(
+        'SELECT id, name, email, type, image, two_factor_enabled, email_verified_at, created_at FROM users'
+        + ' WHERE deleted_at IS NULL AND type = ? ORDER BY created_at DESC, id DESC'
+      );
+      expect(params).toEqual(['admin']);
+      expect(connection.release).toHaveBeenCalled();
+    });
+
+    it('should count with the same filters', async () => {
+      const { db, calls } = createFakeDb({ SELECT: [{ count: 3 }] });
+
+      await expect(createMysqlRepos(db).users.count({ name: 'Jo', type: 'user' })).resolves.toBe(3);
+      expect(calls[0].sql).toBe('SELECT COUNT(*) as count FROM users WHERE deleted_at IS NULL AND name LIKE ? AND type = ?');
+      expect(calls[0].params).toEqual(['%Jo%', 'user']);
+    });
+
+    it('should resolve lookups to a row or null', async () => {
+      const { db } = createFakeDb({ 'SELECT * FROM users WHERE id': [{ id: 4 }], 'SELECT * FROM users WHERE email': [] });
+      const repos = createMysqlRepos(db);
+
+      await expect(repos.users.findById('4')).resolves.toEqual({ id: 4 });
+      await expect(repos.users.findByEmail('nobody@example.com')).resolves.toBeNull();
+    });
+
+    it('should report writes that matched no row', async () => {
+      const { db, calls } = createFakeDb({ UPDATE: { affectedRows: 0 }, DELETE: { affectedRows: 1 } });
+      const repos = createMysqlRepos(db);
+
+      await expect(repos.users.update(9, { name: 'X' })).resolves.toBe(false);
+      await expect(repos.users.remove(9)).resolves.toBe(true);
+      await expect(repos.users.markEmailVerified(9, 'a@example.com')).resolves.toBe(false);
+      expect(calls[0]).toEqual({ sql: 'UPDATE users SET ? WHERE id = ? AND deleted_at IS NULL', params: [{ name: 'X' }, 9] });
+      expect(calls[2].sql).toContain('WHERE id = ? AND email = ?');
+    });
+
+    it('should insert many users with one statement', async () => {
+      const { db, calls } = createFakeDb({ INSERT: { affectedRows: 2 }, SELECT: [{ email: 'a@example.com' }] });
+      const repos = createMysqlRepos(db);
+
+      await expect(repos.users.createMany([
+        { name: 'A', email: 'a@example.com', type: 'user' },
+        { name: 'B', email: 'b@example.com', type: 'admin' },
+      ])).resolves.toBe(2);
+      await expect(repos.users.findExistingEmails(['a@example.com', 'c@example.com'])).resolves.toEqual(['a@example.com']);
+      await expect(repos.users.createMany([])).resolves.toBe(0);
+
+      expect(calls).toEqual([
+        {
+          sql: 'INSERT INTO users (??) VALUES ?',
+          params: [['name', 'email', 'type'], [['A', 'a@example.com', 'user'], ['B', 'b@example.com', 'admin']]],
+        },
+        { sql: 'SELECT email FROM users WHERE email IN (?) AND deleted_at IS NULL', params: [['a@example.com', 'c@example.com']] },
+      ]);
+    });
+
+    it('should move users in and out of the trash', async () => {
+      const { db, calls } = createFakeDb({ 'SELECT id': [{ id: 4 }, { id: 9 }] });
+      const repos = createMysqlRepos(db);
+
+      await expect(repos.users.softDelete(4)).resolves.toBe(true);
+      await repos.users.restore(4);
+      await repos.users.findById(4, { deleted: true });
+      await expect(repos.users.purgeDeleted(new Date(0))).resolves.toEqual([4, 9]);
+
+      expect(calls.map(call => call.sql)).toEqual([
+        'UPDATE users SET deleted_at = NOW() WHERE id = ? AND deleted_at IS NULL',
+        'UPDATE users SET deleted_at = NULL WHERE id = ? AND deleted_at IS NOT NULL',
+        'SELECT * FROM users WHERE id = ? AND deleted_at IS NOT NULL',
+        'SELECT id FROM users WHERE deleted_at < ? FOR UPDATE',
+        'DELETE FROM users WHERE id IN (?)',
+      ]);
+      expect(calls[4].params).toEqual([[4, 9]]);
+    });
+  });
+
+  describe('logs and monitored users', () => {
+    it('should pass the window and threshold to the frequency query', async () => {
+      const { db, calls } = createFakeDb({ SELECT: [{ user_id: 5, action_count: 12 }] });
+      const repos = createMysqlRepos(db);
+
+      await expect(repos.logs.findFrequentActors({ windowSeconds: 120, threshold: 10 }))
+        .resolves.toEqual([{ user_id: 5, action_count: 12 }]);
+      expect(calls[0].sql).toContain('INTERVAL ? SECOND');
+      expect(calls[0].sql).toContain('HAVING action_count > ?');
+      expect(calls[0].params).toEqual([120, 10]);
+
+      await repos.logs.findFrequentActors({ windowSeconds: 120, threshold: 10, entity: 'user', actions: ['create', 'update'] });
+      expect(calls[1].sql).toContain('AND entity = ? AND action IN (?)');
+      expect(calls[1].params).toEqual([120, 'user', ['create', 'update'], 10]);
+    });
+
+    it('should store audit diffs as JSON and read them back', async () => {
+      const { db, calls } = createFakeDb({ SELECT: [{ id: 3, changes: '{"name":{"old":"A","new":"B"}}' }] });
+      const repos = createMysqlRepos(db);
+
+      await repos.logs.create({ user_id: 1, action: 'update', entity: 'user', entity_id: 3, changes: { name: { old: 'A', new: 'B' } } });
+      const entries = await repos.logs.list({
+        userId: 1, entity: 'user', from: new Date(0), limit: 11, after: { value: new Date(5), id: 9 },
+      });
+
+      expect(calls[0].params[0].changes).toBe('{"name":{"old":"A","new":"B"}}');
+      expect(entries).toEqual([{ id: 3, changes: { name: { old: 'A', new: 'B' } } }]);
+      expect(calls[1].sql).toBe(
+        'SELECT id, user_id, action, entity, entity_id, ip, user_agent, changes, timestamp FROM logs'
+        + ' WHERE 1=1 AND user_id = ? AND entity = ? AND timestamp >= ?'
+        + ' AND (timestamp < ? OR (timestamp = ? AND id < ?)) ORDER BY timestamp DESC, id DESC LIMIT ?'
+      );
+      expect(calls[1].params).toEqual([1, 'user', new Date(0), new Date(5), new Date(5), 9, 11]);
+    });
+
+    it('should not overwrite an existing monitored user', async () => {
+      const { db, calls } = createFakeDb({ INSERT: { affectedRows: 0 } });
+
+      expect(await createMysqlRepos(db).monitoredUsers.add({ user_id: 5, reason: 'High frequency' })).toBe(false);
+      expect(calls[0].sql).toMatch(/^INSERT IGNORE INTO monitored_users/);
+    });
+
+    it('should keep one entry per IP for lockouts without a user', async () => {
+      const { db, calls } = createFakeDb({ SELECT: [{ user_id: null, ip: '198.51.100.2', entity: 'login' }] });
+      const repos = createMysqlRepos(db);
+
+      await expect(repos.logs.findLockouts({ windowSeconds: 120 }))
+        .resolves.toEqual([{ user_id: null, ip: '198.51.100.2', entity: 'login' }]);
+      await repos.monitoredUsers.add({ user_id: null, ip: '198.51.100.2', reason: 'Lockout on login' });
+
+      expect(calls[0].sql).toContain("action = 'lockout'");
+      expect(calls[0].params).toEqual([120]);
+      expect(calls[1].sql).toContain('WHERE NOT EXISTS (SELECT 1 FROM monitored_users WHERE user_id IS NULL AND ip = ?)');
+      expect(calls[1].params).toEqual(['198.51.100.2', 'Lockout on login', '198.51.100.2']);
+    });
+  });
+
+  describe('files', () => {
+    it('should return the new record with its id', async () => {
+      const { db, calls } = createFakeDb({ INSERT: { insertId: 7 } });
+
+      const file = await createMysqlRepos(db).files.create({ stored_name: 'a.txt', size: 1 });
+      expect(file).toEqual({ id: 7, stored_name: 'a.txt', size: 1 });
+      expect(calls[0].sql).toBe('INSERT INTO files SET ?');
+    });
+
+    it('should build filters and the keyset into the list query', async () => {
+      const { db, calls } = createFakeDb({ SELECT: [] });
+
+      await createMysqlRepos(db).files.list({
+        uploadedBy: 1, name: 'report', mimeType: 'image', limit: 11, after: { value: new Date(5), id: 9 },
+      });
+      await createMysqlRepos(db).files.list({ mimeType: 'image/png', order: 'ASC', limit: 11 });
+
+      expect(calls[0].sql).toBe(
+        'SELECT id, stored_name, original_name, mime_type, size, checksum, uploaded_by, uploaded_at,'
+        + ' quarantined_at, quarantine_reason, display_name, description, tags, folder FROM files'
+        + ' WHERE quarantined_at IS NULL AND uploaded_by = ? AND (original_name LIKE ? OR display_name LIKE ?)'
+        + ' AND mime_type LIKE ? AND (uploaded_at < ? OR (uploaded_at = ? AND id < ?)) ORDER BY uploaded_at DESC, id DESC LIMIT ?'
+      );
+      expect(calls[0].params).toEqual([1, '%report%', '%report%', 'image/%', new Date(5), new Date(5), 9, 11]);
+      expect(calls[1].sql).toMatch(/WHERE quarantined_at IS NULL AND mime_type = \? ORDER BY uploaded_at ASC, id ASC LIMIT \?$/);
+      expect(calls[1].params).toEqual(['image/png', 11]);
+
+      await createMysqlRepos(db).files.list({ uploadedBy: 1 });
+      expect(calls[2].sql).toMatch(/WHERE quarantined_at IS NULL AND uploaded_by = \? ORDER BY uploaded_at DESC, id DESC$/);
+      expect(calls[2].params).toEqual([1]);
+    });
+
+    it('should store tags as JSON and read them back', async () => {
+      const { db, calls } = createFakeDb({ SELECT: [{ id: 1, tags: '["a","b"]' }, { id: 2, tags: null }] });
+      const repos = createMysqlRepos(db);
+
+      await repos.files.update(1, { folder: '/docs', tags: ['a', 'b'] });
+      const listed = await repos.files.list({ folder: '/docs', tag: 'a', limit: 11 });
+
+      expect(calls[0].params).toEqual([{ folder: '/docs', tags: '["a","b"]' }, 1]);
+      expect(calls[1].sql).toMatch(/AND folder = \? AND JSON_CONTAINS\(tags, JSON_QUOTE\(\?\)\) ORDER BY/);
+      expect(listed.map(file => file.tags)).toEqual([['a', 'b'], []]);
+    });
+
+    it('should sum usage per uploader or overall', async () => {
+      const { db, calls } = createFakeDb({ SELECT: [{ files: 2, bytes: '15' }] });
+      const repos = createMysqlRepos(db);
+
+      expect(await repos.files.usage({ uploadedBy: 1 })).toEqual({ files: 2, bytes: 15 });
+      expect(await repos.files.usage()).toEqual({ files: 2, bytes: 15 });
+      expect(calls[0].sql).toMatch(/WHERE uploaded_by = \?$/);
+      expect(calls[1].sql).toMatch(/FROM files$/);
+    });
+
+    it('should list only quarantined files when asked', async () => {
+      const { db, calls } = createFakeDb({ SELECT: [] });
+
+      await createMysqlRepos(db).files.list({ quarantined: true, limit: 11 });
+      expect(calls[0].sql).toMatch(/WHERE quarantined_at IS NOT NULL ORDER BY/);
+    });
+  });
+
+  describe('file shares', () => {
+    it('should check and remove single shares', async () => {
+      const { db, calls } = createFakeDb({ SELECT: [], DELETE: { affectedRows: 0 } });
+      const repos = createMysqlRepos(db);
+
+      await repos.fileShares.add(1, 2);
+      expect(await repos.fileShares.exists(1, 2)).toBe(false);
+      expect(await repos.fileShares.remove(1, 2)).toBe(false);
+      expect(calls[0].sql).toMatch(/^INSERT IGNORE INTO file_shares/);
+      expect(calls.map(call => call.params)).toEqual([[1, 2], [1, 2], [1, 2]]);
+    });
+  });
+
+  describe('upload sessions', () => {
+    it('should only advance from the expected offset', async () => {
+      const { db, calls } = createFakeDb({ UPDATE: { affectedRows: 0 } });
+      const repos = createMysqlRepos(db);
+
+      expect(await repos.uploadSessions.advance('abc', 4, 10, 'expiry')).toBe(false);
+      expect(calls[0].sql).toMatch(/WHERE id = \? AND received = \?$/);
+      expect(calls[0].params).toEqual([10, 'expiry', 'abc', 4]);
+    });
+
+    it('should delete expired sessions and return their ids', async () => {
+      const { db, calls } = createFakeDb({ SELECT: [{ id: 'a' }, { id: 'b' }] });
+      const repos = createMysqlRepos(db);
+
+      expect(await repos.uploadSessions.deleteExpired('now')).toEqual(['a', 'b']);
+      expect(calls[1].params).toEqual([['a', 'b'], 'now']);
+    });
+  });
+
+  describe('token tables', () => {
+    it('should only revoke refresh tokens that are still live', async () => {
+      const { db, calls } = createFakeDb({ UPDATE: { affectedRows: 0 } });
+
+      await expect(createMysqlRepos(db).refreshTokens.revoke(3)).resolves.toBe(false);
+      expect(calls[0].sql).toContain('WHERE id = ? AND revoked_at IS NULL');
+    });
+
+    it('should replace recovery codes with one bulk insert', async () => {
+      const { db, calls } = createFakeDb();
+
+      await createMysqlRepos(db).recoveryCodes.replace(2, ['h1', 'h2']);
+      expect(calls.map(call => call.sql)).toEqual([
+        'DELETE FROM two_factor_recovery_codes WHERE user_id = ?',
+        'INSERT INTO two_factor_recovery_codes (user_id, code_hash) VALUES ?',
+      ]);
+      expect(calls[1].params).toEqual([[[2, 'h1'], [2, 'h2']]]);
+    });
+  });
+
+  describe('transaction', () => {
+    it('should hand fn repos bound to a single pooled connection', async () => {
+      const connection = {
+        query: jest.fn((sql, params, callback) => callback(null, { affectedRows: 1 })),
+        beginTransaction: jest.fn(callback => callback(null)),
+        commit: jest.fn(callback => callback(null)),
+        rollback: jest.fn(callback => callback(null)),
+        release: jest.fn(),
+      };
+      const pool = { query: jest.fn(), getConnection: jest.fn(callback => callback(null, connection)) };
+      const repos = createMysqlRepos(pool);
+
+      await repos.transaction(async (tx) => {
+        await tx.users.update(1, { two_factor_enabled: true });
+        await tx.recoveryCodes.clear(1);
+      });
+
+      expect(pool.query).not.toHaveBeenCalled();
+      expect(connection.query).toHaveBeenCalledTimes(2);
+      expect(connection.commit).toHaveBeenCalled();
+      expect(connection.release).toHaveBeenCalled();
+    });
+
+  });
+});
@@ -0,0 +1,122 @@
+const { Readable } = require('stream');
+const { query, transaction, streamQuery } = require('../db/query');
+
+// Pool double whose connection records the transaction lifecycle
+const createFakePool = () => {
+  const events = [];
+  const connection = {
+    query: jest.fn((sql, params, callback) => {
+      events.push(sql);
+      callback(sql === 'FAIL' ? new Error('Query failed') : null, { affectedRows: 1 });
+    }),
+    beginTransaction: jest.fn((callback) => { events.push('BEGIN'); callback(null); }),
+    commit: jest.fn((callback) => { events.push('COMMIT'); callback(null); }),
+    rollback: jest.fn((callback) => { events.push('ROLLBACK'); callback(null); }),
+    release: jest.fn(() => events.push('RELEASE')),
+  };
+  const pool = {
+    query: jest.fn(),
+    getConnection: jest.fn((callback) => callback(null, connection)),
+  };
+  return { pool, connection, events };
+};
+
+describe('db/query', () => {
+  it('should resolve query results and reject errors', async () => {
+    const db = {
+      query: jest.fn((sql, params, callback) => callback(sql === 'bad' ? new Error('boom') : null, [{ id: 1 }])),
+    };
+
+    await expect(query(db, 'SELECT 1', [])).resolves.toEqual([{ id: 1 }]);
+    await expect(query(db, 'bad')).rejects.toThrow('boom');
+    expect(db.query).toHaveBeenCalledWith('bad', [], expect.any(Function));
+  });
+
+  it('should commit a transaction on a dedicated pooled connection', async () => {
+    const { pool, connection, events } = createFakePool();
+
+    const result = await transaction(pool, async (tx) => {
+      await query(tx, 'INSERT 1');
+      await query(tx, 'INSERT 2');
+      return 'done';
+    });
+
+    expect(result).toBe('done');
+    expect(events).toEqual(['BEGIN', 'INSERT 1', 'INSERT 2', 'COMMIT', 'RELEASE']);
+    expect(pool.query).not.toHaveBeenCalled();
+    expect(connection.release).toHaveBeenCalledTimes(1);
+  });
+
+  it('should roll back and release when the callback throws', async () => {
+    const { pool, events } = createFakePool();
+
+    await expect(transaction(pool, async (tx) => {
+      await query(tx, 'INSERT 1');
+      await query(tx, 'FAIL');
+    })).rejects.toThrow('Query failed');
+
+    expect(events).toEqual(['BEGIN', 'INSERT 1', 'FAIL', 'ROLLBACK', 'RELEASE']);
+  });
+
+  it('should reject when no connection can be acquired', async () => {
+    const pool = { getConnection: (callback) => callback(new Error('Pool exhausted')) };
+    const fn = jest.fn();
+
+    await expect(transaction(pool, fn)).rejects.toThrow('Pool exhausted');
+    expect(fn).not.toHaveBeenCalled();
+  });
+
+  describe('streamQuery', () => {
+    const createStreamingPool = (rows) => {
+      const connection = {
+        query: jest.fn(() => ({ stream: () => Readable.from(rows) })),
+        release: jest.fn(),
+        destroy: jest.fn(),
+      };
+      return { connection, pool: { getConnection: jest.fn(callback => callback(null, connection)) } };
+    };
+
+    const collect = async (rows) => {
+      const collected = [];
+      for await (const row of rows) collected.push(row);
+      return collected;
+    };
+
+    it('should yield every row and hand the connection back', async () => {
+      const { pool, connection } = createStreamingPool([{ id: 1 }, { id: 2 }, { id: 3 }]);
+
+      await expect(collect(streamQuery(pool, 'SELECT * FROM users', []))).resolves.toEqual([{ id: 1 }, { id: 2 }, { id: 3 }]);
+      expect(connection.query).toHaveBeenCalledWith('SELECT * FROM users', []);
+      expect(connection.release).toHaveBeenCalledTimes(1);
+      expect(connection.destroy).not.toHaveBeenCalled();
+    });
+
+    it('should destroy the connection when the consumer stops early', async () => {
+      const { pool, connection } = createStreamingPool([{ id: 1 }, { id: 2 }, { id: 3 }]);
+
+      for await (const row of streamQuery(pool, 'SELECT * FROM users')) {
+        if (row.id === 1) break;
+      }
+
+      expect(connection.destroy).toHaveBeenCalledTimes(1);
+      expect(connection.release).not.toHaveBeenCalled();
+    });
+
+    it('should pass on query errors', async () => {
+      const { pool, connection } = createStreamingPool([]);
+      connection.query.mockReturnValue({
+        stream: () => new Readable({ objectMode: true, read() { this.destroy(new Error('Query failed')); } }),
+      });
+
+      await expect(collect(streamQuery(pool, 'SELECT'))).rejects.toThrow('Query failed');
+      expect(connection.destroy).toHaveBeenCalled();
+    });
+  });
+
+  it('should run directly against doubles without transaction support', async () => {
+    const db = { query: jest.fn((sql, params, callback) => callback(null, [])) };
+
+    await transaction(db, (tx) => query(tx, 'SELECT 1'));
+    expect(db.query).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,125 @@
+const WebSocket = require('ws');
+const { createEventFeed } = require('../realtime/eventFeed');
+const { wantsEvent } = require('../realtime/topics');
+const { WS_SLOW_CONSUMER, createSendQueue } = require('../realtime/sendQueue');
+
+// Stands in for a ws socket: writes complete only when complete() is called
+const createFakeSocket = () => {
+  const socket = {
+    readyState: WebSocket.OPEN,
+    bufferedAmount: 0,
+    sent: [],
+    pending: [],
+    send: jest.fn((data, callback) => {
+      socket.sent.push(data);
+      socket.bufferedAmount += data.length;
+      socket.pending.push(() => {
+        socket.bufferedAmount -= data.length;
+        callback();
+      });
+    }),
+    complete: () => socket.pending.shift()(),
+    close: jest.fn(() => {
+      socket.readyState = WebSocket.CLOSING;
+    }),
+  };
+  return socket;
+};
+
+describe('realtime', () => {
+  describe('event feed', () => {
+    it('should replay what is still buffered and nothing older', () => {
+      const feed = createEventFeed({ capacity: 2 });
+      ['A', 'B', 'C'].forEach(type => feed.publish(type, null));
+
+      expect(feed.latest()).toBe(3);
+      expect(feed.since(1, feed.epoch).map(event => event.type)).toEqual(['B', 'C']);
+      expect(feed.since(3, feed.epoch)).toEqual([]);
+      expect(feed.since(0, feed.epoch)).toBeNull();
+      expect(feed.since(4, feed.epoch)).toBeNull();
+      expect(feed.since(1, createEventFeed().epoch)).toBeNull();
+    });
+  });
+
+  describe('topics', () => {
+    it('should only route file events to admins and the uploader', () => {
+      const subscriptions = new Map([['files', {}]]);
+      const event = { seq: 1, type: 'FILE_UPLOADED', data: { id: 4, uploadedBy: 2 } };
+
+      expect(wantsEvent({ id: 2, type: 'user' }, subscriptions, event)).toBe(true);
+      expect(wantsEvent({ id: 3, type: 'user' }, subscriptions, event)).toBe(false);
+      expect(wantsEvent({ id: 100, type: 'admin' }, subscriptions, event)).toBe(true);
+      expect(wantsEvent({ id: 100, type: 'admin' }, new Map([['files', { ids: [5] }]]), event)).toBe(false);
+    });
+  });
+
+  describe('send queue', () => {
+    const options = (policy, stats = { dropped: 0, disconnected: 0 }) => ({
+      highWaterMark: 10, maxQueued: 2, policy, stats,
+    });
+
+    it('should hold messages while the socket is backed up and flush them as it drains', () => {
+      const socket = createFakeSocket();
+      const queue = createSendQueue(socket, options('drop'));
+
+      expect(queue.send('0123456789')).toBe(true);
+      expect(queue.send('a')).toBe(true);
+      expect(queue.send('b')).toBe(true);
+      expect(socket.sent).toEqual(['0123456789']);
+      expect(queue.size()).toBe(2);
+
+      socket.complete();
+      expect(socket.sent).toEqual(['0123456789', 'a', 'b']);
+      expect(queue.size()).toBe(0);
+    });
+
+    it('should drop what does not fit under the drop policy', () => {
+      const socket = createFakeSocket();
+      const stats = { dropped: 0, disconnected: 0 };
+      const queue = createSendQueue(socket, options('drop', stats));
+
+      ['0123456789', 'a', 'b'].forEach(data => queue.send(data));
+      expect(queue.send('c')).toBe(false);
+      expect(stats).toEqual({ dropped: 1, disconnected: 0 });
+      expect(socket.close).not.toHaveBeenCalled();
+
+      socket.complete();
+      expect(socket.sent).toEqual(['0123456789', 'a', 'b', JSON.stringify({ type: 'DROPPED', seq: null })]);
+    });
+
+    it('should tell a slow client which events it lost', () => {
+      const socket = createFakeSocket();
+      const queue = createSendQueue(socket, options('drop'));
+
+      ['0123456789', 'a', 'b'].forEach(data => queue.send(data));
+      expect(queue.send('event 7', 7)).toBe(false);
+      expect(queue.send('event 8', 8)).toBe(false);
+      expect(queue.send('error')).toBe(false);
+
+      socket.complete();
+      expect(socket.sent).toEqual(['0123456789', 'a', 'b', JSON.stringify({ type: 'DROPPED', seq: 8 })]);
+
+      socket.complete();
+      socket.complete();
+      socket.complete();
+      expect(queue.send('event 9', 9)).toBe(true);
+      expect(socket.sent.slice(4)).toEqual(['event 9']);
+    });
+
+    it('should close slow consumers under the disconnect policy', () => {
+      const socket = createFakeSocket();
+      const stats = { dropped: 0, disconnected: 0 };
+      const queue = createSendQueue(socket, options('disconnect', stats));
+
+      ['0123456789', 'a', 'b'].forEach(queue.send);
+      expect(queue.send('c')).toBe(false);
+      expect(stats).toEqual({ dropped: 0, disconnected: 1 });
+      expect(socket.close).toHaveBeenCalledWith(WS_SLOW_CONSUMER, 'Client is not keeping up');
+      expect(queue.size()).toBe(0);
+
+      socket.complete();
+      expect(queue.send('d')).toBe(false);
+      expect(socket.sent).toEqual(['0123456789']);
+    });
+  });
+});
@@ -1,50 +1,96 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const request = require('supertest');
-const mysql = require('mysql');
-
-// Mock MySQL
-jest.mock('mysql', () => {
-  const mockConnection = {
-    query: jest.fn(),
-    connect: jest.fn((callback) => callback(null))
-  };
-  return {
-    createConnection: jest.fn(() => mockConnection)
-  };
-});
+const jwt = require('jsonwebtoken');
 
-// Set test environment
+// Set test environment; every test gets a fresh in-memory backend
 process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-secret';
+process.env.STORAGE_BACKEND = 'memory';
+// Stored files and uploads in progress go to throwaway directories
+process.env.UPLOAD_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'mpp-files-'));
+process.env.UPLOAD_TMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'mpp-uploads-'));
+process.env.USER_STORAGE_QUOTA = String(1024 * 1024);
+process.env.GLOBAL_STORAGE_QUOTA = String(4 * 1024 * 1024);
+// Requests come from supertest on loopback, standing in for the load balancer
+process.env.TRUST_PROXY = 'loopback';
+
+const adminToken = jwt.sign({ id: 100, email: 'admin@example.com', type: 'admin' }, 'test-secret');
+const userToken = jwt.sign({ id: 1, email: 'john@example.com', type: 'user' }, 'test-secret');
+const auth = (token) => ({ Authorization: `Bearer ${token}` });
 
 // Import app after setting test environment
-const { app, setDbConnection } = require('../server');
+const {
+  app,
+  setRepos,
+  monitorSuspiciousActivity,
+  purgeDeletedUsers,
+  expireUploadSessions,
+  eventFeed,
+  server,
+  checkHeartbeats,
+  attemptLimiters,
+  verificationResendLimiter,
+  passwordResetLimiter,
+} = require('../server');
+const { createMemoryRepos } = require('../repos');
+const { createDatabase } = require('../repos/memory/database');
+const { DEFAULT_CAPACITY } = require('../realtime/eventFeed');
+const { revokeAccessToken, clearRevocations } = require('../auth/tokens');
+const { signDownload } = require('../files/signedLinks');
 
 describe('User API Tests', () => {
-  let mockDb;
+  let database;
+  let repos;
+
+  // Stored rows of an in-memory table
+  const rows = (name) => database.tables[name] || [];
+
+  const seedUser = (user = {}) => repos.users.create({
+    name: 'John Doe',
+    email: 'john@example.com',
+    type: 'user',
+    ...user
+  });
 
   beforeEach(() => {
-    // Reset all mocks before each test
-    jest.clearAllMocks();
-    mockDb = mysql.createConnection();
-    setDbConnection(mockDb);
+    database = createDatabase();
+    repos = createMemoryRepos(database);
+    setRepos(repos);
+    clearRevocations();
+    attemptLimiters.account.clear();
+    attemptLimiters.ip.clear();
+    verificationResendLimiter.clear();
+    passwordResetLimiter.clear();
+  });
+
+  afterAll(() => {
+    fs.rmSync(process.env.UPLOAD_DIR, { recursive: true, force: true });
+    fs.rmSync(process.env.UPLOAD_TMP_DIR, { recursive: true, force: true });
   });
 
   describe('Database Connection', () => {
-    it('should handle database connection error', () => {
+    it('should handle database connection error and retry', () => {
       // Save original environment
       const originalEnv = process.env.NODE_ENV;
       
-      // Reset modules and set development environment
+      // Reset modules and start the MySQL backend outside the test environment
       jest.resetModules();
       process.env.NODE_ENV = 'development';
+      process.env.STORAGE_BACKEND = 'mysql';
       
       // Mock console.error
       const mockError = new Error('Connection failed');
       const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      jest.useFakeTimers();
       
-      // Mock MySQL with a failing connection
+      // Mock MySQL with a pool that cannot connect
+      const getConnection = jest.fn((callback) => callback(mockError));
       jest.doMock('mysql', () => ({
-        createConnection: jest.fn(() => ({
-          connect: jest.fn((callback) => callback(mockError)),
+        createPool: jest.fn(() => ({
+          getConnection,
+          on: jest.fn(),
           query: jest.fn()
         }))
       }));
@@ -54,150 +100,377 @@ describe('User API Tests', () => {
       
       // Verify error was logged
       expect(consoleSpy).toHaveBeenCalledWith('Database connection failed:', mockError);
+
+      // The connection check is retried
+      jest.advanceTimersByTime(5000);
+      expect(getConnection).toHaveBeenCalledTimes(2);
       
       // Cleanup
+      jest.useRealTimers();
       consoleSpy.mockRestore();
       process.env.NODE_ENV = originalEnv;
+      process.env.STORAGE_BACKEND = 'memory';
       jest.resetModules();
       jest.unmock('mysql');
     });
+
+    it('should refuse an unknown storage backend', () => {
+      jest.isolateModules(() => {
+        process.env.STORAGE_BACKEND = 'postgres';
+        expect(() => require('../server')).toThrow('Unknown STORAGE_BACKEND "postgres"');
+      });
+      process.env.STORAGE_BACKEND = 'memory';
+    });
   });
 
   describe('GET /users', () => {
+    beforeEach(async () => {
+      await seedUser({ name: 'John Doe', email: 'john@example.com', type: 'user' });
+      await seedUser({ name: 'Jane Smith', email: 'jane@example.com', type: 'admin' });
+    });
+
     it('should return all users', async () => {
-      const mockUsers = [
-        { id: 1, name: 'John Doe', email: 'john@example.com', type: 'user' },
-        { id: 2, name: 'Jane Smith', email: 'jane@example.com', type: 'admin' }
-      ];
+      const response = await request(app).get('/users');
+      expect(response.status).toBe(200);
+      expect(response.body.map(user => user.email)).toEqual(['jane@example.com', 'john@example.com']);
+    });
 
-      mockDb.query.mockImplementation((query, params, callback) => {
-        callback(null, mockUsers);
+    it('should never return credentials or account state', async () => {
+      await repos.users.update(1, {
+        password: '$2b$10$hash',
+        two_factor_secret: 'JBSWY3DPEHPK3PXP',
+        sessions_revoked_at: new Date(),
       });
 
-      const response = await request(app).get('/users');
-      expect(response.status).toBe(200);
-      expect(response.body).toEqual(mockUsers);
+      const offsetPage = await request(app).get('/users');
+      const cursorPage = await request(app).get('/users?cursor=');
+
+      for (const user of [...offsetPage.body, ...cursorPage.body.data]) {
+        expect(Object.keys(user).sort()).toEqual(['created_at', 'email', 'id', 'image', 'name', 'type']);
+      }
     });
 
     it('should handle database error', async () => {
-      const mockError = new Error('Database error');
-      mockDb.query.mockImplementation((query, params, callback) => {
-        callback(mockError);
-      });
+      jest.spyOn(repos.users, 'list').mockRejectedValue(new Error('Database error'));
 
       const response = await request(app).get('/users');
       expect(response.status).toBe(500);
-      expect(response.body).toEqual({ error: 'Server error' });
+      expect(response.body).toEqual({ error: 'Failed to fetch users' });
     });
 
     it('should filter users by name', async () => {
-      const mockUsers = [
-        { id: 1, name: 'John Doe', email: 'john@example.com', type: 'user' }
-      ];
+      const response = await request(app).get('/users?name=john');
+      expect(response.status).toBe(200);
+      expect(response.body).toHaveLength(1);
+      expect(response.body[0]).toMatchObject({ id: 1, name: 'John Doe' });
+    });
 
-      mockDb.query.mockImplementation((query, params, callback) => {
-        expect(query).toContain('WHERE name LIKE ?');
-        expect(params).toContain('%John%');
-        callback(null, mockUsers);
-      });
+    it('should filter users by type', async () => {
+      const response = await request(app).get('/users?type=admin');
+      expect(response.status).toBe(200);
+      expect(response.body.map(user => user.name)).toEqual(['Jane Smith']);
+    });
 
-      const response = await request(app).get('/users?name=John');
+    it('should filter users by email', async () => {
+      const response = await request(app).get('/users?email=john');
       expect(response.status).toBe(200);
-      expect(response.body).toEqual(mockUsers);
+      expect(response.body.map(user => user.email)).toEqual(['john@example.com']);
     });
 
-    it('should filter users by type', async () => {
-      const mockUsers = [
-        { id: 1, name: 'John Doe', email: 'john@example.com', type: 'admin' }
-      ];
+    it('should sort users by name', async () => {
+      const response = await request(app).get('/users?sort=name&order=desc');
+      expect(response.status).toBe(200);
+      expect(response.body.map(user => user.name)).toEqual(['John Doe', 'Jane Smith']);
+    });
 
-      mockDb.query.mockImplementation((query, params, callback) => {
-        expect(query).toContain('WHERE type = ?');
-        expect(params).toContain('admin');
-        callback(null, mockUsers);
-      });
+    it('should ignore invalid sort fields', async () => {
+      // Unknown sort columns fall back to name
+      const response = await request(app).get('/users?sort=invalid:asc');
+      expect(response.status).toBe(200);
+      expect(response.body.map(user => user.name)).toEqual(['Jane Smith', 'John Doe']);
+    });
 
-      const response = await request(app).get('/users?type=admin');
+    it('should page with limit and offset', async () => {
+      const response = await request(app).get('/users?limit=1&offset=1');
       expect(response.status).toBe(200);
-      expect(response.body).toEqual(mockUsers);
+      expect(response.body.map(user => user.name)).toEqual(['John Doe']);
     });
 
-    it('should filter users by email', async () => {
-      const mockUsers = [
-        { id: 1, name: 'John Doe', email: 'john@example.com', type: 'user' }
-      ];
+    it('should count filtered users', async () => {
+      const response = await request(app).get('/users/count?type=user');
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ count: 1 });
+    });
+  });
 
-      mockDb.query.mockImplementation((query, params, callback) => {
-        expect(query).toContain('WHERE email LIKE ?');
-        expect(params).toContain('%john%');
-        callback(null, mockUsers);
-      });
+  describe('GET /users with cursors', () => {
+    const names = (response) => response.body.data.map(user => `${user.name}#${user.id}`);
+    const page = (query) => request(app).get('/users').query({ limit: 2, ...query });
+
+    beforeEach(async () => {
+      // Two Bens so the id tiebreaker matters
+      await seedUser({ name: 'Dan', email: 'dan@example.com', created_at: new Date('2024-01-04') });
+      await seedUser({ name: 'Ben', email: 'ben2@example.com', created_at: new Date('2024-01-02') });
+      await seedUser({ name: 'Ana', email: 'ana@example.com', type: 'admin', created_at: new Date('2024-01-01') });
+      await seedUser({ name: 'Ben', email: 'ben4@example.com', created_at: new Date('2024-01-02') });
+      await seedUser({ name: 'Cleo', email: 'cleo@example.com', created_at: new Date('2024-01-03') });
+    });
+
+    it('should walk forwards and backwards through every row once', async () => {
+      const first = await page({ cursor: '' });
+      expect(first.status).toBe(200);
+      expect(names(first)).toEqual(['Ana#3', 'Ben#2']);
+      expect(first.body.prev).toBeNull();
+
+      const second = await page({ cursor: first.body.next });
+      expect(names(second)).toEqual(['Ben#4', 'Cleo#5']);
+
+      const third = await page({ cursor: second.body.next });
+      expect(names(third)).toEqual(['Dan#1']);
+      expect(third.body.next).toBeNull();
+
+      const back = await page({ cursor: third.body.prev });
+      expect(names(back)).toEqual(['Ben#4', 'Cleo#5']);
+
+      const start = await page({ cursor: back.body.prev });
+      expect(names(start)).toEqual(['Ana#3', 'Ben#2']);
+      expect(start.body.prev).toBeNull();
+      expect(start.body.next).toBeTruthy();
+    });
+
+    it('should page by created_at descending', async () => {
+      const first = await page({ cursor: '', sort: 'created_at', order: 'desc', limit: 3 });
+      expect(names(first)).toEqual(['Dan#1', 'Cleo#5', 'Ben#4']);
+
+      const second = await page({ cursor: first.body.next, sort: 'created_at', order: 'desc', limit: 3 });
+      expect(names(second)).toEqual(['Ben#2', 'Ana#3']);
+    });
+
+    it('should not skip or repeat rows when earlier rows change', async () => {
+      const first = await page({ cursor: '' });
+      await seedUser({ name: 'Aaron', email: 'aaron@example.com' });
+      await repos.users.remove(3);
+
+      const second = await page({ cursor: first.body.next });
+      expect(names(second)).toEqual(['Ben#4', 'Cleo#5']);
+    });
+
+    it('should link to the neighbouring pages with the same filters', async () => {
+      const first = await page({ cursor: '', email: 'example' });
+      const second = await page({ cursor: first.body.next, email: 'example' });
+
+      const links = second.headers.link.split(', ');
+      expect(links).toHaveLength(2);
+      const next = new URL(links[0].match(/<(.*)>/)[1], 'http://localhost');
+      expect(links[0]).toMatch(/rel="next"$/);
+      expect(links[1]).toMatch(/rel="prev"$/);
+      expect(next.pathname).toBe('/users');
+      expect(next.searchParams.get('email')).toBe('example');
+      expect(next.searchParams.get('cursor')).toBe(second.body.next);
+    });
+
+    it('should apply filters in cursor mode', async () => {
+      const response = await page({ cursor: '', type: 'admin' });
+      expect(names(response)).toEqual(['Ana#3']);
+      expect(response.body.next).toBeNull();
+      expect(response.headers.link).toBeUndefined();
+    });
+
+    it('should reject malformed cursors and cursors for another sort', async () => {
+      const garbage = await page({ cursor: 'not-a-cursor' });
+      expect(garbage.status).toBe(400);
+      expect(garbage.body).toEqual({ error: 'Invalid cursor' });
+
+      const first = await page({ cursor: '' });
+      const mismatch = await page({ cursor: first.body.next, sort: 'email' });
+      expect(mismatch.status).toBe(400);
+      expect(mismatch.body).toEqual({ error: 'Cursor does not match the requested sort' });
+    });
+
+    it('should keep offset paging as a plain array', async () => {
+      const response = await page({ offset: 2 });
+      expect(Array.isArray(response.body)).toBe(true);
+      expect(response.body.map(user => user.id)).toEqual([4, 5]);
+    });
+  });
+
+  describe('GET /users/export', () => {
+    const exportUsers = (query = '', headers = {}) => request(app)
+      .get(`/users/export${query}`)
+      .set(auth(adminToken))
+      .set(headers);
+
+    // Collects a binary body into a Buffer
+    const binary = (res, callback) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => callback(null, Buffer.concat(chunks)));
+    };
+
+    beforeEach(async () => {
+      await seedUser({ name: 'Zoe, "Z"', email: 'zoe@example.com', password: 'hash', two_factor_secret: 'secret' });
+      await seedUser({ name: '=HYPERLINK("x")', email: 'eve@example.com', type: 'admin' });
+      await seedUser({ name: 'Adam', email: 'adam@example.com' });
+    });
+
+    it('should stream CSV by default in /users order without secrets', async () => {
+      const response = await exportUsers();
 
-      const response = await request(app).get('/users?email=john');
       expect(response.status).toBe(200);
-      expect(response.body).toEqual(mockUsers);
+      expect(response.headers['content-type']).toBe('text/csv; charset=utf-8');
+      expect(response.headers['content-disposition']).toBe('attachment; filename="users.csv"');
+      const lines = response.text.trim().split('\r\n');
+      expect(lines[0]).toBe('id,name,email,type,image,two_factor_enabled,email_verified_at,created_at');
+      expect(lines.slice(1).map(line => line.split(',')[0])).toEqual(['2', '3', '1']);
+      expect(lines[1]).toMatch(/^2,"'=HYPERLINK\(""x""\)",eve@example\.com,admin,,false,,/);
+      expect(lines[3]).toMatch(/^1,"Zoe, ""Z""",zoe@example\.com,user,/);
+      expect(response.text).not.toMatch(/hash|secret/);
     });
 
-    it('should sort users by name', async () => {
-      const mockUsers = [
-        { id: 1, name: 'John Doe', email: 'john@example.com', type: 'user' },
-        { id: 2, name: 'Jane Smith', email: 'jane@example.com', type: 'admin' }
-      ];
+    it('should apply the /users filters and sort', async () => {
+      const response = await exportUsers('?format=ndjson&type=user&sort=email&order=desc');
 
-      mockDb.query.mockImplementation((query, params, callback) => {
-        expect(query).toContain('ORDER BY name ASC');
-        callback(null, mockUsers);
-      });
+      expect(response.headers['content-type']).toBe('application/x-ndjson; charset=utf-8');
+      const users = response.text.trim().split('\n').map(line => JSON.parse(line));
+      expect(users.map(user => user.email)).toEqual(['zoe@example.com', 'adam@example.com']);
+      expect(Object.keys(users[0])).toEqual([
+        'id', 'name', 'email', 'type', 'image', 'two_factor_enabled', 'email_verified_at', 'created_at',
+      ]);
+    });
+
+    it('should pick XLSX from the Accept header', async () => {
+      const response = await exportUsers('', {
+        Accept: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      }).buffer(true).parse(binary);
 
-      const response = await request(app).get('/users?sort=name:asc');
       expect(response.status).toBe(200);
-      expect(response.body).toEqual(mockUsers);
+      expect(response.headers['content-disposition']).toBe('attachment; filename="users.xlsx"');
+      expect(response.body.subarray(0, 4)).toEqual(Buffer.from([0x50, 0x4b, 0x03, 0x04]));
+      expect(response.body.includes(Buffer.from('xl/worksheets/sheet1.xml'))).toBe(true);
     });
 
-    it('should ignore invalid sort fields', async () => {
-      const mockUsers = [
-        { id: 1, name: 'John Doe', email: 'john@example.com', type: 'user' }
-      ];
+    it('should reject formats it cannot produce', async () => {
+      const unknown = await exportUsers('?format=pdf');
+      const unacceptable = await exportUsers('', { Accept: 'application/pdf' });
+
+      expect(unknown.status).toBe(400);
+      expect(unknown.body).toEqual({ error: 'Export format must be one of csv, ndjson, xlsx' });
+      expect(unacceptable.status).toBe(406);
+    });
 
-      mockDb.query.mockImplementation((query, params, callback) => {
-        expect(query).not.toContain('ORDER BY');
-        callback(null, mockUsers);
+    it('should answer 500 when the query fails before streaming', async () => {
+      jest.spyOn(repos.users, 'stream').mockImplementation(async function* failing() {
+        throw new Error('Database error');
       });
+      jest.spyOn(console, 'error').mockImplementation(() => {});
 
-      const response = await request(app).get('/users?sort=invalid:asc');
+      const response = await exportUsers();
+
+      expect(response.status).toBe(500);
+      expect(response.body).toEqual({ error: 'Failed to export users' });
+      console.error.mockRestore();
+    });
+
+    it('should be limited to admins', async () => {
+      const response = await request(app).get('/users/export').set(auth(userToken));
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('GET /users/search', () => {
+    beforeEach(async () => {
+      await seedUser({ name: 'John Doe', email: 'jdoe@example.com', password: 'hash' });
+      await seedUser({ name: 'Johnny Smith', email: 'johnny@example.com', type: 'admin' });
+      await seedUser({ name: 'Jane Johnson', email: 'jane@example.com' });
+      await seedUser({ name: 'Mark <b>Doe</b>', email: 'mark@example.com' });
+    });
+
+    it('should order by relevance and highlight matching prefixes', async () => {
+      const response = await request(app).get('/users/search').query({ q: 'john' });
       expect(response.status).toBe(200);
-      expect(response.body).toEqual(mockUsers);
+      expect(response.body.data.map(user => user.id)).toEqual([1, 2, 3]);
+      expect(response.body.data[0]).toEqual({
+        id: 1,
+        name: 'John Doe',
+        email: 'jdoe@example.com',
+        type: 'user',
+        image: null,
+        created_at: expect.any(String),
+        relevance: expect.any(Number),
+        highlights: { name: '<mark>John</mark> Doe' },
+      });
+      expect(response.body.data[1].highlights).toEqual({
+        name: '<mark>John</mark>ny Smith',
+        email: '<mark>john</mark>ny@example.com',
+      });
+    });
+
+    it('should require every term to match', async () => {
+      const response = await request(app).get('/users/search').query({ q: 'jo doe' });
+      expect(response.body.data.map(user => user.id)).toEqual([1, 4]);
+
+      const narrowed = await request(app).get('/users/search').query({ q: 'john doe' });
+      expect(narrowed.body.data.map(user => user.id)).toEqual([1]);
+    });
+
+    it('should escape stored markup in highlights', async () => {
+      const response = await request(app).get('/users/search').query({ q: 'mark' });
+      expect(response.body.data[0].highlights.name).toBe('<mark>Mark</mark> &lt;b&gt;Doe&lt;/b&gt;');
+    });
+
+    it('should filter by type and page with cursors', async () => {
+      const admins = await request(app).get('/users/search').query({ q: 'john', type: 'admin' });
+      expect(admins.body.data.map(user => user.id)).toEqual([2]);
+
+      const first = await request(app).get('/users/search').query({ q: 'john', limit: 2 });
+      expect(first.body.data.map(user => user.id)).toEqual([1, 2]);
+      expect(first.body.prev).toBeNull();
+      expect(first.headers.link).toMatch(/rel="next"$/);
+
+      const second = await request(app).get('/users/search').query({ q: 'john', limit: 2, cursor: first.body.next });
+      expect(second.body.data.map(user => user.id)).toEqual([3]);
+      expect(second.body.next).toBeNull();
+
+      const back = await request(app).get('/users/search').query({ q: 'john', limit: 2, cursor: second.body.prev });
+      expect(back.body.data.map(user => user.id)).toEqual([1, 2]);
+    });
+
+    it('should reject queries without a searchable word', async () => {
+      const response = await request(app).get('/users/search').query({ q: 'a b' });
+      expect(response.status).toBe(400);
+
+      const badCursor = await request(app).get('/users/search').query({ q: 'john', cursor: 'nope' });
+      expect(badCursor.status).toBe(400);
+      expect(badCursor.body).toEqual({ error: 'Invalid cursor' });
+    });
+
+    it('should handle database error', async () => {
+      jest.spyOn(repos.users, 'search').mockRejectedValue(new Error('Database error'));
+
+      const response = await request(app).get('/users/search').query({ q: 'john' });
+      expect(response.status).toBe(500);
+      expect(response.body).toEqual({ error: 'Failed to search users' });
     });
   });
 
   describe('GET /users/:id', () => {
     it('should return a single user', async () => {
-      const mockUser = { 
-        id: 1, 
-        name: 'John Doe', 
-        email: 'john@example.com', 
-        type: 'user',
-        image: null 
-      };
-
-      mockDb.query.mockImplementation((query, params, callback) => {
-        if (query.includes('WHERE id = ?') && params[0] === '1') {
-          callback(null, [mockUser]);
-        } else {
-          callback(new Error('Unexpected query'));
-        }
-      });
+      await seedUser({ password: 'hash' });
 
       const response = await request(app).get('/users/1');
       expect(response.status).toBe(200);
-      expect(response.body).toEqual(mockUser);
+      expect(response.body).toEqual({
+        id: 1,
+        name: 'John Doe',
+        email: 'john@example.com',
+        type: 'user',
+        image: null
+      });
     });
 
     it('should handle database error', async () => {
-      const mockError = new Error('Database error');
-      mockDb.query.mockImplementation((query, params, callback) => {
-        callback(mockError);
-      });
+      jest.spyOn(repos.users, 'findById').mockRejectedValue(new Error('Database error'));
 
       const response = await request(app).get('/users/1');
       expect(response.status).toBe(500);
@@ -205,10 +478,6 @@ describe('User API Tests', () => {
     });
 
     it('should return 404 for non-existent user', async () => {
-      mockDb.query.mockImplementation((query, params, callback) => {
-        callback(null, []);
-      });
-
       const response = await request(app).get('/users/999');
       expect(response.status).toBe(404);
       expect(response.body).toEqual({ error: 'User not found' });
@@ -223,18 +492,9 @@ describe('User API Tests', () => {
     };
 
     it('should create a new user', async () => {
-      mockDb.query
-        .mockImplementationOnce((query, params, callback) => {
-          // First query checks if email exists
-          callback(null, []);
-        })
-        .mockImplementationOnce((query, params, callback) => {
-          // Second query inserts the user
-          callback(null, { insertId: 1 });
-        });
-
       const response = await request(app)
         .post('/users')
+        .set(auth(adminToken))
         .send(validUser);
 
       expect(response.status).toBe(201);
@@ -243,16 +503,15 @@ describe('User API Tests', () => {
         ...validUser,
         image: null
       });
+      expect(await repos.users.findById(1)).toMatchObject(validUser);
     });
 
     it('should handle database error during email check', async () => {
-      const mockError = new Error('Database error');
-      mockDb.query.mockImplementation((query, params, callback) => {
-        callback(mockError);
-      });
+      jest.spyOn(repos.users, 'findByEmail').mockRejectedValue(new Error('Database error'));
 
       const response = await request(app)
         .post('/users')
+        .set(auth(adminToken))
         .send(validUser);
 
       expect(response.status).toBe(500);
@@ -260,18 +519,11 @@ describe('User API Tests', () => {
     });
 
     it('should handle database error during user creation', async () => {
-      mockDb.query
-        .mockImplementationOnce((query, params, callback) => {
-          // First query checks if email exists
-          callback(null, []);
-        })
-        .mockImplementationOnce((query, params, callback) => {
-          // Second query fails to insert the user
-          callback(new Error('Database error'));
-        });
+      jest.spyOn(repos.users, 'create').mockRejectedValue(new Error('Database error'));
 
       const response = await request(app)
         .post('/users')
+        .set(auth(adminToken))
         .send(validUser);
 
       expect(response.status).toBe(500);
@@ -281,6 +533,7 @@ describe('User API Tests', () => {
     it('should validate required fields', async () => {
       const response = await request(app)
         .post('/users')
+        .set(auth(adminToken))
         .send({});
 
       expect(response.status).toBe(400);
@@ -288,16 +541,115 @@ describe('User API Tests', () => {
     });
 
     it('should prevent duplicate emails', async () => {
-      mockDb.query.mockImplementation((query, params, callback) => {
-        callback(null, [{ id: 1 }]);
-      });
+      await seedUser({ email: 'JOHN@example.com' });
 
       const response = await request(app)
         .post('/users')
+        .set(auth(adminToken))
         .send(validUser);
 
       expect(response.status).toBe(400);
-      expect(response.body.error).toBe('Email already exists');
+      expect(response.body.errors[0].msg).toBe('Email already exists');
+    });
+  });
+
+  describe('POST /users/import', () => {
+    const csv = [
+      'name,email,type',
+      'Ann Lee,ann@example.com,user',
+      '"Kim, Jr.",kim@example.com,admin',
+      ',nameless@example.com,user',
+      'Ann Again,ANN@example.com,user',
+      'John Twin,john@example.com,user',
+      'Bad Type,bad@example.com,owner',
+    ].join('\r\n');
+
+    const importFile = (content, filename = 'users.csv', query = '') => request(app)
+      .post(`/users/import${query}`)
+      .set(auth(adminToken))
+      .attach('file', Buffer.from(content), filename);
+
+    beforeEach(async () => {
+      await seedUser();
+    });
+
+    it('should insert valid rows and report every row', async () => {
+      const seq = eventFeed.latest();
+
+      const response = await importFile(csv);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ dryRun: false, total: 6, valid: 2, invalid: 4, created: 2, failed: 0 });
+      expect(response.body.rows.map(row => row.status))
+        .toEqual(['created', 'created', 'invalid', 'invalid', 'invalid', 'invalid']);
+      expect(response.body.rows[2].errors).toEqual([{ path: 'name', msg: 'Name is required' }]);
+      expect(response.body.rows[3].errors[0].msg).toBe('Duplicate email in import file');
+      expect(response.body.rows[4].errors[0].msg).toBe('Email already exists');
+      expect(response.body.rows[5].errors[0].path).toBe('type');
+      expect(await repos.users.findByEmail('kim@example.com')).toMatchObject({ name: 'Kim, Jr.', type: 'admin' });
+      // One aggregated broadcast for the whole file
+      expect(eventFeed.since(seq, eventFeed.epoch)).toEqual([{ seq: seq + 1, type: 'USERS_IMPORTED', data: { created: 2 } }]);
+    });
+
+    it('should accept a JSON array', async () => {
+      const response = await importFile(JSON.stringify([
+        { name: '  Ann Lee ', email: 'ann@example.com', type: 'user' },
+        'not a user',
+      ]), 'users.json');
+
+      expect(response.status).toBe(200);
+      expect(response.body.rows.map(row => row.status)).toEqual(['created', 'invalid']);
+      expect(await repos.users.findByEmail('ann@example.com')).toMatchObject({ name: 'Ann Lee' });
+    });
+
+    it('should only check rows on a dry run', async () => {
+      const seq = eventFeed.latest();
+
+      const response = await importFile(csv, 'users.csv', '?dryRun=true');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ dryRun: true, valid: 2, created: 0 });
+      expect(response.body.rows.slice(0, 2).map(row => row.status)).toEqual(['valid', 'valid']);
+      expect(rows('users')).toHaveLength(1);
+      expect(eventFeed.latest()).toBe(seq);
+    });
+
+    it('should roll back a batch that fails and report its rows', async () => {
+      jest.spyOn(repos, 'transaction').mockRejectedValue(new Error('Database error'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const response = await importFile(csv);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ created: 0, failed: 2 });
+      expect(response.body.rows[0]).toMatchObject({ status: 'failed', errors: [{ msg: 'Failed to save user' }] });
+      expect(rows('users')).toHaveLength(1);
+      console.error.mockRestore();
+    });
+
+    it('should reject files it cannot read', async () => {
+      const missing = await request(app).post('/users/import').set(auth(adminToken));
+      const wrongType = await importFile('name', 'users.txt');
+      const badJson = await importFile('{"name":', 'users.json');
+      const empty = await importFile('name,email,type\n');
+      const unterminated = await importFile('name,email,type\n"Ann,ann@example.com,user');
+
+      expect(missing.body).toEqual({ error: 'No file uploaded' });
+      expect(wrongType.body).toEqual({ error: 'Import file must be CSV or JSON' });
+      expect(badJson.body).toEqual({ error: 'Import file is not valid JSON' });
+      expect(empty.body).toEqual({ error: 'Import file has no rows' });
+      expect(unterminated.body).toEqual({ error: 'Unterminated quoted field' });
+      [missing, wrongType, badJson, empty, unterminated].forEach(response => expect(response.status).toBe(400));
+    });
+
+    it('should be limited to admins', async () => {
+      const response = await request(app)
+        .post('/users/import')
+        .set(auth(userToken))
+        .attach('file', Buffer.from(csv), 'users.csv');
+
+      expect(response.status).toBe(403);
+      expect(rows('users')).toHaveLength(1);
     });
   });
 
@@ -308,19 +660,15 @@ describe('User API Tests', () => {
       type: 'admin'
     };
 
-    it('should update an existing user', async () => {
-      mockDb.query
-        .mockImplementationOnce((query, params, callback) => {
-          // First query checks if email exists for other users
-          callback(null, []);
-        })
-        .mockImplementationOnce((query, params, callback) => {
-          // Second query updates the user
-          callback(null, { affectedRows: 1 });
-        });
+    beforeEach(async () => {
+      await seedUser();
+    });
 
+    it('should update an existing user', async () => {
       const response = await request(app)
         .patch('/users/1')
+        .set(auth(adminToken))
+        .set('x-user-id', '100')
         .send(validUpdate);
 
       expect(response.status).toBe(200);
@@ -329,16 +677,22 @@ describe('User API Tests', () => {
         ...validUpdate,
         image: null
       });
+      expect(await repos.users.findById(1)).toMatchObject(validUpdate);
+    });
+
+    it('should keep the image in the response', async () => {
+      await repos.users.update(1, { image: 'https://example.com/john.png' });
+
+      const response = await request(app).patch('/users/1').set(auth(adminToken)).send(validUpdate);
+      expect(response.body.image).toBe('https://example.com/john.png');
     });
 
     it('should handle database error during email check', async () => {
-      const mockError = new Error('Database error');
-      mockDb.query.mockImplementation((query, params, callback) => {
-        callback(mockError);
-      });
+      jest.spyOn(repos.users, 'findByEmail').mockRejectedValue(new Error('Database error'));
 
       const response = await request(app)
         .patch('/users/1')
+        .set(auth(adminToken))
         .send(validUpdate);
 
       expect(response.status).toBe(500);
@@ -346,18 +700,11 @@ describe('User API Tests', () => {
     });
 
     it('should handle database error during update', async () => {
-      mockDb.query
-        .mockImplementationOnce((query, params, callback) => {
-          // First query checks if email exists for other users
-          callback(null, []);
-        })
-        .mockImplementationOnce((query, params, callback) => {
-          // Second query fails to update the user
-          callback(new Error('Database error'));
-        });
+      jest.spyOn(repos.users, 'update').mockRejectedValue(new Error('Database error'));
 
       const response = await request(app)
         .patch('/users/1')
+        .set(auth(adminToken))
         .send(validUpdate);
 
       expect(response.status).toBe(500);
@@ -365,27 +712,31 @@ describe('User API Tests', () => {
     });
 
     it('should return 404 for non-existent user', async () => {
-      mockDb.query
-        .mockImplementationOnce((query, params, callback) => {
-          // First query checks if email exists for other users
-          callback(null, []);
-        })
-        .mockImplementationOnce((query, params, callback) => {
-          // Second query updates the user
-          callback(null, { affectedRows: 0 });
-        });
-
       const response = await request(app)
         .patch('/users/999')
+        .set(auth(adminToken))
         .send(validUpdate);
 
       expect(response.status).toBe(404);
       expect(response.body).toEqual({ error: 'User not found' });
     });
 
+    it('should reject an email used by another user', async () => {
+      await seedUser({ email: 'john.updated@example.com' });
+
+      const response = await request(app)
+        .patch('/users/1')
+        .set(auth(adminToken))
+        .send(validUpdate);
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ error: 'Email already exists' });
+    });
+
     it('should validate update data', async () => {
       const response = await request(app)
         .patch('/users/1')
+        .set(auth(adminToken))
         .send({
           name: '',
           email: 'invalid-email',
@@ -397,35 +748,2287 @@ describe('User API Tests', () => {
     });
   });
 
+  describe('Avatars', () => {
+    const { Jimp } = require('jimp');
+    const { imageDimensions } = require('../users/avatars');
+    const avatarDir = path.join(process.env.UPLOAD_DIR, 'avatars');
+
+    // Resizing runs in plain JavaScript, which is slow on small machines
+    const RESIZE_TIMEOUT = 20000;
+
+    const image = (width, height, mime = 'image/png') => new Jimp({ width, height, color: 0x3366ccff })
+      .getBuffer(mime);
+
+    const putAvatar = async (id, content, token = userToken) => request(app)
+      .put(`/users/${id}/avatar`)
+      .set(auth(token))
+      .attach('file', await content, 'me.png');
+
+    beforeEach(async () => {
+      await seedUser();
+      await seedUser({ name: 'Jane Doe', email: 'jane@example.com' });
+    });
+
+    afterEach(() => {
+      fs.rmSync(avatarDir, { recursive: true, force: true });
+    });
+
+    it('should store resized variants and point users.image at one', async () => {
+      const seq = eventFeed.latest();
+      const response = await putAvatar(1, image(300, 200));
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ id: 1, name: 'John Doe', email: 'john@example.com' });
+      expect(response.body.image).toMatch(/^\/users\/1\/avatar\/medium\?v=\w+$/);
+      expect(Object.keys(response.body.avatar)).toEqual(['small', 'medium', 'large']);
+      expect(rows('users')[0].image).toBe(response.body.image);
+      expect(fs.readdirSync(path.join(avatarDir, '1')).sort()).toEqual(['large.png', 'medium.png', 'small.png']);
+
+      const [event] = eventFeed.since(seq, eventFeed.epoch);
+      const { avatar, ...user } = response.body;
+      expect(event).toMatchObject({ type: 'USER_UPDATED', data: user });
+
+      const medium = await request(app).get('/users/1/avatar/medium').buffer(true).parse((res, done) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => done(null, Buffer.concat(chunks)));
+      });
+      expect(medium.status).toBe(200);
+      expect(medium.headers['content-type']).toBe('image/png');
+      expect(imageDimensions(medium.body, 'image/png')).toEqual({ width: 256, height: 256 });
+    }, RESIZE_TIMEOUT);
+
+    it('should accept JPEG and GIF images', async () => {
+      const jpeg = await putAvatar(1, image(160, 120, 'image/jpeg'));
+      const gif = await putAvatar(1, image(100, 100, 'image/gif'));
+
+      expect(jpeg.status).toBe(200);
+      expect(gif.status).toBe(200);
+      const large = fs.readFileSync(path.join(avatarDir, '1', 'large.png'));
+      expect(imageDimensions(large, 'image/png')).toEqual({ width: 512, height: 512 });
+    }, RESIZE_TIMEOUT);
+
+    it('should refuse files that are not usable images', async () => {
+      // A PNG header claiming 5000x5000 pixels, refused before any decoding
+      const huge = Buffer.alloc(33);
+      Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]).copy(huge);
+      huge.writeUInt32BE(5000, 16);
+      huge.writeUInt32BE(5000, 20);
+      const corrupt = Buffer.from(huge);
+      corrupt.writeUInt32BE(100, 16);
+      corrupt.writeUInt32BE(100, 20);
+
+      const text = await putAvatar(1, Buffer.from('hello'));
+      const tiny = await putAvatar(1, image(32, 32));
+      const tooLarge = await putAvatar(1, huge);
+      const unreadable = await putAvatar(1, corrupt);
+      const missing = await request(app).put('/users/1/avatar').set(auth(userToken));
+
+      expect(text.status).toBe(415);
+      expect(tiny.status).toBe(400);
+      expect(tiny.body).toEqual({ error: 'Avatar must be between 64x64 and 4096x4096 pixels' });
+      expect(tooLarge.status).toBe(400);
+      expect(unreadable.body).toEqual({ error: 'Image could not be read' });
+      expect(missing.status).toBe(400);
+      expect(rows('users')[0].image).toBeNull();
+    });
+
+    it('should not store URLs built from the request headers', async () => {
+      const response = await request(app)
+        .put('/users/1/avatar')
+        .set(auth(userToken))
+        .set('Host', 'evil.example')
+        .set('X-Forwarded-Proto', 'https')
+        .attach('file', await image(100, 100), 'me.png');
+
+      expect(response.status).toBe(200);
+      expect(rows('users')[0].image).toMatch(/^\/users\/1\/avatar\/medium\?v=\w+$/);
+      expect(JSON.stringify(response.body.avatar)).not.toContain('evil.example');
+    }, RESIZE_TIMEOUT);
+
+    it('should let users change only their own avatar', async () => {
+      expect((await putAvatar(2, image(100, 100))).status).toBe(403);
+      expect((await putAvatar(2, image(100, 100), adminToken)).status).toBe(200);
+      expect((await putAvatar(99, image(100, 100), adminToken)).status).toBe(404);
+      expect((await request(app).put('/users/1/avatar')).status).toBe(401);
+    }, RESIZE_TIMEOUT);
+
+    it('should remove the avatar', async () => {
+      await putAvatar(1, image(100, 100));
+      const seq = eventFeed.latest();
+
+      const response = await request(app).delete('/users/1/avatar').set(auth(userToken));
+
+      expect(response.status).toBe(204);
+      expect(rows('users')[0].image).toBeNull();
+      expect(fs.readdirSync(path.join(avatarDir, '1'))).toEqual([]);
+      expect(eventFeed.since(seq, eventFeed.epoch)).toEqual([
+        { seq: seq + 1, type: 'USER_UPDATED', data: { id: 1, name: 'John Doe', email: 'john@example.com', type: 'user', image: null } },
+      ]);
+      expect((await request(app).get('/users/1/avatar/small')).status).toBe(404);
+      expect((await request(app).delete('/users/2/avatar').set(auth(userToken))).status).toBe(403);
+    }, RESIZE_TIMEOUT);
+
+    it('should only serve known variants', async () => {
+      await putAvatar(1, image(100, 100));
+
+      expect((await request(app).get('/users/1/avatar/small')).status).toBe(200);
+      expect((await request(app).get('/users/1/avatar/huge')).status).toBe(404);
+      expect((await request(app).get('/users/..%2F..%2Fpackage.json/avatar/small')).status).toBe(404);
+    }, RESIZE_TIMEOUT);
+  });
+
   describe('DELETE /users/:id', () => {
     it('should delete an existing user', async () => {
-      mockDb.query.mockImplementation((query, params, callback) => {
-        callback(null, { affectedRows: 1 });
-      });
+      await seedUser();
 
-      const response = await request(app).delete('/users/1');
+      const response = await request(app)
+        .delete('/users/1')
+        .set(auth(adminToken));
       expect(response.status).toBe(204);
+      expect(await repos.users.findById(1)).toBeNull();
+      expect(rows('users')[0].deleted_at).toBeInstanceOf(Date);
+    });
+
+    it('should hide deleted users everywhere but the trash', async () => {
+      const bcrypt = require('bcrypt');
+      await seedUser({ password: await bcrypt.hash('secret', 4) });
+      await seedUser({ name: 'Jane Doe', email: 'jane@example.com' });
+      await request(app).delete('/users/1').set(auth(adminToken));
+
+      const list = await request(app).get('/users');
+      const count = await request(app).get('/users/count');
+      const single = await request(app).get('/users/1');
+      const search = await request(app).get('/users/search?q=doe');
+      const login = await request(app).post('/login').send({ email: 'john@example.com', password: 'secret' });
+
+      expect(list.body.map(user => user.id)).toEqual([2]);
+      expect(count.body).toEqual({ count: 1 });
+      expect(single.status).toBe(404);
+      expect(search.body.data.map(user => user.id)).toEqual([2]);
+      expect(login.status).toBe(401);
+    });
+
+    it('should revoke refresh tokens and reset links of the deleted user', async () => {
+      await seedUser();
+      await repos.refreshTokens.create({ user_id: 1, token_hash: 'r', family_id: 'f', expires_at: new Date(Date.now() + 60000) });
+      await repos.resetTokens.create({ user_id: 1, token_hash: 'p', expires_at: new Date(Date.now() + 60000) });
+
+      await request(app).delete('/users/1').set(auth(adminToken));
+
+      expect(rows('refresh_tokens')[0].revoked_at).toBeInstanceOf(Date);
+      expect(rows('password_reset_tokens')[0].used_at).toBeInstanceOf(Date);
+    });
+
+    it('should stop accepting access tokens of the deleted user', async () => {
+      await seedUser();
+      const token = jwt.sign({ id: 1, email: 'john@example.com', type: 'user', iat: Math.floor(Date.now() / 1000) - 60 }, 'test-secret');
+      expect((await request(app).get('/files').set(auth(token))).status).toBe(200);
+
+      await request(app).delete('/users/1').set(auth(adminToken));
+
+      const response = await request(app).get('/files').set(auth(token));
+      expect(response.status).toBe(401);
+      expect(response.body).toEqual({ error: 'Token has been revoked' });
+    });
+
+    it('should return 404 for a user already in the trash', async () => {
+      await seedUser({ deleted_at: new Date() });
+
+      const response = await request(app).delete('/users/1').set(auth(adminToken));
+      expect(response.status).toBe(404);
     });
 
     it('should handle database error', async () => {
-      const mockError = new Error('Database error');
-      mockDb.query.mockImplementation((query, params, callback) => {
-        callback(mockError);
-      });
+      await seedUser();
+      jest.spyOn(repos.users, 'softDelete').mockRejectedValue(new Error('Database error'));
 
-      const response = await request(app).delete('/users/1');
+      const response = await request(app)
+        .delete('/users/1')
+        .set(auth(adminToken));
       expect(response.status).toBe(500);
-      expect(response.body).toEqual({ error: 'Server error' });
+      expect(response.body).toEqual({ error: 'Failed to delete user' });
     });
 
     it('should return 404 for non-existent user', async () => {
-      mockDb.query.mockImplementation((query, params, callback) => {
-        callback(null, { affectedRows: 0 });
-      });
-
-      const response = await request(app).delete('/users/999');
+      const response = await request(app)
+        .delete('/users/999')
+        .set(auth(adminToken));
       expect(response.status).toBe(404);
       expect(response.body).toEqual({ error: 'User not found' });
     });
   });
-}); 
\ No newline at end of file
+
+  describe('Trash', () => {
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    beforeEach(async () => {
+      await seedUser({ deleted_at: new Date(Date.now() - 2 * DAY_MS), password: 'hash' });
+      await seedUser({ name: 'Jane Doe', email: 'jane@example.com', deleted_at: new Date(Date.now() - DAY_MS) });
+      await seedUser({ name: 'Active', email: 'active@example.com' });
+    });
+
+    it('should list deleted users, most recent first, with their purge date', async () => {
+      const response = await request(app).get('/users/trash').set(auth(adminToken));
+
+      expect(response.status).toBe(200);
+      expect(response.body.map(user => user.id)).toEqual([2, 1]);
+      expect(response.body[1]).not.toHaveProperty('password');
+      const { deleted_at: deletedAt, purge_at: purgeAt } = response.body[0];
+      expect(new Date(purgeAt) - new Date(deletedAt)).toBe(30 * DAY_MS);
+    });
+
+    it('should restore a deleted user', async () => {
+      const response = await request(app).post('/users/1/restore').set(auth(adminToken));
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ id: 1, name: 'John Doe', email: 'john@example.com', type: 'user', image: null });
+      expect(await repos.users.findById(1)).toMatchObject({ deleted_at: null });
+      expect((await repos.logs.findFrequentActors({ windowSeconds: 60, threshold: 0 }))[0].user_id).toBe(100);
+    });
+
+    it('should not restore over an address that was reused', async () => {
+      await seedUser({ name: 'New John', email: 'JOHN@example.com' });
+
+      const response = await request(app).post('/users/1/restore').set(auth(adminToken));
+      const missing = await request(app).post('/users/3/restore').set(auth(adminToken));
+
+      expect(response.status).toBe(409);
+      expect(response.body).toEqual({ error: 'Email already exists' });
+      expect(missing.status).toBe(404);
+      expect(missing.body).toEqual({ error: 'User not found in trash' });
+    });
+
+    it('should purge users past the retention period', async () => {
+      const seq = eventFeed.latest();
+      await repos.recoveryCodes.replace(1, ['h1']);
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+
+      await purgeDeletedUsers(Date.now() + 28.5 * DAY_MS);
+
+      expect(rows('users').map(user => user.id)).toEqual([2, 3]);
+      expect(rows('two_factor_recovery_codes')).toEqual([]);
+      expect(eventFeed.since(seq, eventFeed.epoch)).toEqual([{ seq: seq + 1, type: 'USERS_PURGED', data: { ids: [1] } }]);
+
+      await purgeDeletedUsers();
+      expect(rows('users')).toHaveLength(2);
+      expect(eventFeed.latest()).toBe(seq + 1);
+      console.log.mockRestore();
+    });
+
+    it('should be limited to admins', async () => {
+      const trash = await request(app).get('/users/trash').set(auth(userToken));
+      const restore = await request(app).post('/users/1/restore').set(auth(userToken));
+
+      expect(trash.status).toBe(403);
+      expect(restore.status).toBe(403);
+    });
+  });
+
+  describe('Authorization', () => {
+    const selfUpdate = { name: 'John Doe', email: 'john@example.com', type: 'user' };
+    let before;
+
+    beforeEach(async () => {
+      await seedUser(selfUpdate);
+      await seedUser({ name: 'Jane Smith', email: 'jane@example.com' });
+      before = structuredClone(rows('users'));
+    });
+
+    it.each([
+      ['get', '/monitored-users'],
+      ['post', '/users'],
+      ['patch', '/users/1'],
+      ['delete', '/users/1'],
+    ])('should reject anonymous %s %s with 401', async (method, url) => {
+      const response = await request(app)[method](url).send(selfUpdate);
+      expect(response.status).toBe(401);
+      expect(rows('users')).toEqual(before);
+    });
+
+    it.each([
+      ['get', '/monitored-users'],
+      ['post', '/users'],
+      ['patch', '/users/2'],
+      ['delete', '/users/2'],
+      ['delete', '/users/1'],
+    ])('should reject %s %s for an ordinary user with 403', async (method, url) => {
+      const response = await request(app)[method](url)
+        .set(auth(userToken))
+        .send({ ...selfUpdate, email: 'other@example.com' });
+      expect(response.status).toBe(403);
+      expect(response.body).toEqual({ error: 'Insufficient permissions' });
+      expect(rows('users')).toEqual(before);
+    });
+
+    it.each([
+      ['get', '/monitored-users', 200],
+      ['post', '/users', 201],
+      ['patch', '/users/2', 200],
+      ['delete', '/users/2', 204],
+    ])('should allow admins to %s %s', async (method, url, status) => {
+      const response = await request(app)[method](url)
+        .set(auth(adminToken))
+        .send({ ...selfUpdate, email: 'new@example.com' });
+      expect(response.status).toBe(status);
+    });
+
+    it('should let a user edit their own record', async () => {
+      const response = await request(app)
+        .patch('/users/1')
+        .set(auth(userToken))
+        .send(selfUpdate);
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ id: 1, ...selfUpdate, image: null });
+    });
+
+    it('should not let a user promote themselves to admin', async () => {
+      const response = await request(app)
+        .patch('/users/1')
+        .set(auth(userToken))
+        .send({ ...selfUpdate, type: 'admin' });
+      expect(response.status).toBe(403);
+      expect(response.body).toEqual({ error: 'Only admins can change a user type' });
+      expect((await repos.users.findById(1)).type).toBe('user');
+    });
+
+    it('should not let anyone self-register as an admin', async () => {
+      const response = await request(app)
+        .post('/register')
+        .send({ name: 'Mallory', email: 'mallory@example.com', password: 'password1', type: 'admin' });
+      expect(response.status).toBe(403);
+      expect(await repos.users.findByEmail('mallory@example.com')).toBeNull();
+    });
+
+    it('should not accept the 2FA tempToken as an access token', async () => {
+      const tempToken = jwt.sign({ id: 100, email: 'admin@example.com', type: 'admin', scope: '2fa' }, 'test-secret');
+      const response = await request(app)
+        .delete('/users/2')
+        .set(auth(tempToken));
+      expect(response.status).toBe(403);
+      expect(response.body).toEqual({ error: 'Two-factor verification required' });
+      expect(rows('users')).toEqual(before);
+    });
+
+    it('should reject tokens without a role', async () => {
+      const token = jwt.sign({ id: 5, email: 'legacy@example.com' }, 'test-secret');
+      const response = await request(app)
+        .get('/monitored-users')
+        .set(auth(token));
+      expect(response.status).toBe(403);
+    });
+
+    it('should reject invalid tokens', async () => {
+      const response = await request(app)
+        .delete('/users/2')
+        .set(auth('not-a-token'));
+      expect(response.status).toBe(403);
+      expect(response.body).toEqual({ error: 'Invalid or expired token' });
+    });
+  });
+
+  describe('Activity monitoring', () => {
+    it('should flag users with a burst of actions once', async () => {
+      for (let i = 0; i < 11; i++) {
+        await repos.logs.create({ user_id: 5, action: 'update', entity: 'user', entity_id: 1 });
+      }
+      await repos.logs.create({ user_id: 6, action: 'update', entity: 'user', entity_id: 1 });
+
+      await monitorSuspiciousActivity();
+      await monitorSuspiciousActivity();
+
+      const response = await request(app).get('/monitored-users').set(auth(adminToken));
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual([
+        expect.objectContaining({ user_id: 5, reason: 'High frequency: 11 actions in 2 min' })
+      ]);
+    });
+
+    it('should not flag everyday logins and uploads', async () => {
+      const bcrypt = require('bcrypt');
+      await seedUser({ password: await bcrypt.hash('secret', 4) });
+      const stored = [];
+      for (let i = 0; i < 11; i++) {
+        const login = await request(app).post('/login').send({ email: 'john@example.com', password: 'secret' });
+        const upload = await request(app).post('/upload').set(auth(userToken)).attach('file', Buffer.from(`note ${i}`), 'note.txt');
+        expect([login.status, upload.status]).toEqual([200, 200]);
+        stored.push(upload.body.filename);
+      }
+
+      await monitorSuspiciousActivity();
+
+      expect(rows('logs').filter(entry => entry.user_id === 1).length).toBeGreaterThan(20);
+      expect(rows('monitored_users')).toEqual([]);
+      stored.forEach(filename => fs.rmSync(path.join(process.env.UPLOAD_DIR, filename)));
+    });
+
+    it('should log updates and deletes with the acting user', async () => {
+      await seedUser();
+      // The actor comes from the token, never from a client header
+      await request(app)
+        .patch('/users/1')
+        .set(auth(adminToken))
+        .set('x-user-id', '999')
+        .send({ name: 'John', email: 'john@example.com', type: 'user' });
+      await request(app).delete('/users/1').set(auth(adminToken)).set('x-user-id', '999');
+
+      const actors = await repos.logs.findFrequentActors({ windowSeconds: 60, threshold: 1 });
+      expect(actors).toEqual([{ user_id: 100, action_count: 2 }]);
+    });
+  });
+
+  describe('Audit log', () => {
+    const bcrypt = require('bcrypt');
+
+    it('should record user changes with the request origin and a diff', async () => {
+      await request(app)
+        .post('/users')
+        .set(auth(adminToken))
+        .set('User-Agent', 'audit-test')
+        .send({ name: 'Ann', email: 'ann@example.com', type: 'user' });
+      await request(app)
+        .patch('/users/1')
+        .set(auth(adminToken))
+        .send({ name: 'Ann Lee', email: 'ann@example.com', type: 'admin' });
+      await request(app).delete('/users/1').set(auth(adminToken));
+
+      const [create, update, remove] = rows('logs');
+      expect(create).toMatchObject({
+        user_id: 100,
+        action: 'create',
+        entity: 'user',
+        entity_id: 1,
+        user_agent: 'audit-test',
+        changes: {
+          name: { old: null, new: 'Ann' },
+          email: { old: null, new: 'ann@example.com' },
+          type: { old: null, new: 'user' },
+        },
+      });
+      expect(create.ip).toMatch(/127\.0\.0\.1/);
+      expect(update.changes).toEqual({ name: { old: 'Ann', new: 'Ann Lee' }, type: { old: 'user', new: 'admin' } });
+      expect(remove).toMatchObject({ action: 'delete', changes: { deleted_at: { old: null, new: expect.any(String) } } });
+    });
+
+    it('should record sign-ins, 2FA changes and password changes without secrets', async () => {
+      // Changing the password revokes the account's sessions, so keep clear of
+      // the ids the shared tokens use
+      database.lastIds.users = 20;
+      const register = await request(app)
+        .post('/register')
+        .send({ name: 'Ann', email: 'ann@example.com', password: 'password1', type: 'user' });
+      await repos.users.markEmailVerified(register.body.id);
+      const login = await request(app).post('/login').send({ email: 'ann@example.com', password: 'password1' });
+      const token = login.body.accessToken;
+      await request(app).post('/2fa/setup').set(auth(token));
+      await request(app)
+        .post('/password/change')
+        .set(auth(token))
+        .send({ currentPassword: 'password1', newPassword: 'password2' });
+
+      const entries = rows('logs');
+      expect(entries.map(entry => entry.action)).toEqual(['register', 'login', '2fa_setup', 'password_change']);
+      entries.forEach(entry => expect(entry).toMatchObject({ user_id: register.body.id, entity_id: register.body.id }));
+      expect(entries[0].changes.password).toEqual({ old: null, new: '[redacted]' });
+      expect(entries[2].changes).toEqual({ two_factor_secret: { old: null, new: '[redacted]' } });
+      expect(entries[3].changes).toEqual({ password: { old: '[redacted]', new: '[redacted]' } });
+      expect(JSON.stringify(entries)).not.toMatch(/\$2[aby]\$/);
+    });
+
+    it('should record uploads', async () => {
+      const response = await request(app)
+        .post('/upload')
+        .set(auth(userToken))
+        .attach('file', Buffer.from('hello'), 'hello.txt');
+      fs.unlinkSync(path.join(process.env.UPLOAD_DIR, response.body.filename));
+
+      expect(rows('logs')[0]).toMatchObject({
+        user_id: 1,
+        action: 'upload',
+        entity: 'file',
+        entity_id: response.body.id,
+        changes: { original_name: { old: null, new: 'hello.txt' } },
+      });
+    });
+
+    describe('GET /audit-logs', () => {
+      beforeEach(async () => {
+        const at = (seconds) => new Date(Date.UTC(2024, 0, 1, 0, 0, seconds));
+        const entries = [
+          { user_id: 100, action: 'create', entity: 'user', entity_id: 1, timestamp: at(0) },
+          { user_id: 100, action: 'update', entity: 'user', entity_id: 1, timestamp: at(10) },
+          { user_id: 7, action: 'login', entity: 'user', entity_id: 7, timestamp: at(20) },
+          { user_id: 100, action: 'delete', entity: 'user', entity_id: 2, timestamp: at(20) },
+        ];
+        for (const { timestamp, ...entry } of entries) {
+          await repos.logs.create(entry);
+        }
+        rows('logs').forEach((row, index) => { row.timestamp = entries[index].timestamp; });
+      });
+
+      const auditLogs = (query = '') => request(app).get(`/audit-logs${query}`).set(auth(adminToken));
+
+      it('should page through entries newest first', async () => {
+        const first = await auditLogs('?limit=3');
+        const second = await auditLogs(`?limit=3&cursor=${first.body.next}`);
+
+        expect(first.body.data.map(entry => entry.id)).toEqual([4, 3, 2]);
+        expect(first.headers.link).toContain('rel="next"');
+        expect(second.body.data.map(entry => entry.id)).toEqual([1]);
+        expect(second.body.next).toBeNull();
+        const back = await auditLogs(`?limit=3&cursor=${second.body.prev}`);
+        expect(back.body.data.map(entry => entry.id)).toEqual([4, 3, 2]);
+      });
+
+      it('should filter by actor, action, entity and time', async () => {
+        const byActor = await auditLogs('?actor=100&entity=user&entityId=1');
+        const byAction = await auditLogs('?action=login');
+        const byTime = await auditLogs('?from=2024-01-01T00:00:10Z&to=2024-01-01T00:00:20Z');
+
+        expect(byActor.body.data.map(entry => entry.id)).toEqual([2, 1]);
+        expect(byAction.body.data.map(entry => entry.id)).toEqual([3]);
+        expect(byTime.body.data.map(entry => entry.id)).toEqual([2]);
+      });
+
+      it('should reject bad dates and cursors', async () => {
+        const badDate = await auditLogs('?from=yesterday');
+        const badCursor = await auditLogs('?cursor=nope');
+
+        expect(badDate.status).toBe(400);
+        expect(badDate.body).toEqual({ error: 'Invalid from date' });
+        expect(badCursor.status).toBe(400);
+        expect(badCursor.body).toEqual({ error: 'Invalid cursor' });
+      });
+
+      it('should be limited to admins', async () => {
+        const response = await request(app).get('/audit-logs').set(auth(userToken));
+        expect(response.status).toBe(403);
+      });
+    });
+  });
+
+  describe('Files', () => {
+    const uploadDir = process.env.UPLOAD_DIR;
+    const workDir = process.env.UPLOAD_TMP_DIR;
+
+    const uploadFile = (token, content, filename) => request(app)
+      .post('/upload')
+      .set(auth(token))
+      .attach('file', Buffer.from(content), filename);
+
+    const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0x0d]);
+
+    // Files stored or in progress, in subdirectories too
+    const storedFiles = () => [uploadDir, workDir].flatMap(dir => fs.readdirSync(dir, { recursive: true })
+      .filter(name => fs.statSync(path.join(dir, name)).isFile()));
+
+    // Every test starts without stored files
+    afterEach(() => {
+      [uploadDir, workDir].forEach(dir => fs.readdirSync(dir)
+        .forEach(name => fs.rmSync(path.join(dir, name), { recursive: true, force: true })));
+    });
+
+    it('should store metadata for each upload', async () => {
+      const response = await uploadFile(userToken, 'hello', 'hello.txt');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({
+        id: 1,
+        filename: expect.stringMatching(/^[0-9a-f-]{36}\.txt$/),
+        originalName: 'hello.txt',
+        mimeType: 'text/plain',
+        size: 5,
+        checksum: '2cf24dba5fb0a30e26e83b2ac5b9e29e1b161e5c1fa7425e73043362938b9824',
+        uploadedBy: 1,
+        uploadDate: expect.any(String),
+        displayName: 'hello.txt',
+        description: null,
+        tags: [],
+        folder: '/',
+      });
+      expect(fs.readFileSync(path.join(uploadDir, response.body.filename), 'utf8')).toBe('hello');
+      expect(rows('files')[0]).toMatchObject({ stored_name: response.body.filename, uploaded_by: 1 });
+    });
+
+    it('should require a token to upload', async () => {
+      const response = await request(app).post('/upload').attach('file', Buffer.from('hello'), 'hello.txt');
+      expect(response.status).toBe(401);
+      expect(rows('files')).toEqual([]);
+    });
+
+    it('should remove the stored file if its metadata cannot be saved', async () => {
+      jest.spyOn(repos.files, 'create').mockRejectedValue(new Error('Database error'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const before = storedFiles();
+
+      const response = await uploadFile(userToken, 'hello', 'hello.txt');
+
+      expect(response.status).toBe(500);
+      expect(response.body).toEqual({ error: 'Failed to upload file' });
+      expect(storedFiles()).toEqual(before);
+      console.error.mockRestore();
+    });
+
+    describe('management', () => {
+      const otherToken = jwt.sign({ id: 2, email: 'jane@example.com', type: 'user' }, 'test-secret');
+
+      beforeEach(async () => {
+        await seedUser();
+        await seedUser({ name: 'Jane Doe', email: 'jane@example.com' });
+        await uploadFile(userToken, 'hello', 'hello.txt');
+      });
+
+      it('should edit metadata and announce it', async () => {
+        const seq = eventFeed.latest();
+        const response = await request(app).patch('/files/1').set(auth(userToken)).send({
+          displayName: ' Greeting.txt ',
+          description: 'Says hello',
+          tags: ['Demo', 'text ', 'demo'],
+          folder: 'docs//2024/',
+        });
+
+        expect(response.status).toBe(200);
+        expect(response.body).toMatchObject({
+          id: 1,
+          originalName: 'hello.txt',
+          displayName: 'Greeting.txt',
+          description: 'Says hello',
+          tags: ['demo', 'text'],
+          folder: '/docs/2024',
+        });
+        expect(rows('files')[0]).toMatchObject({ display_name: 'Greeting.txt', folder: '/docs/2024' });
+        expect(rows('logs').at(-1)).toMatchObject({ action: 'update', entity: 'file', entity_id: 1 });
+        expect(rows('logs').at(-1).changes.folder).toEqual({ old: '/', new: '/docs/2024' });
+        const [event] = JSON.parse(JSON.stringify(eventFeed.since(seq, eventFeed.epoch)));
+        expect(event).toEqual({ seq: seq + 1, type: 'FILE_UPDATED', data: response.body });
+
+        const download = await request(app).get('/files/1/download').set(auth(userToken));
+        expect(download.headers['content-disposition']).toBe('attachment; filename="Greeting.txt"');
+
+        const reset = await request(app).patch('/files/1').set(auth(userToken)).send({ displayName: null });
+        expect(reset.body.displayName).toBe('hello.txt');
+      });
+
+      it('should validate edits', async () => {
+        const edit = (body) => request(app).patch('/files/1').set(auth(userToken)).send(body);
+
+        const responses = await Promise.all([
+          edit({}),
+          edit({ displayName: '  ' }),
+          edit({ description: 5 }),
+          edit({ tags: 'demo' }),
+          edit({ tags: [''] }),
+          edit({ folder: '/docs/../secret' }),
+        ]);
+        expect(responses.map(response => response.status)).toEqual([400, 400, 400, 400, 400, 400]);
+        expect(responses[0].body).toEqual({ error: 'Nothing to change' });
+        expect(responses[5].body).toEqual({ error: 'folder must be a path like /reports/2024' });
+      });
+
+      it('should only let whoever manages a file edit or delete it', async () => {
+        await request(app).put('/files/1/shares/2').set(auth(userToken));
+
+        expect((await request(app).patch('/files/1').set(auth(otherToken)).send({ folder: '/x' })).status).toBe(404);
+        expect((await request(app).delete('/files/1').set(auth(otherToken))).status).toBe(404);
+        expect((await request(app).patch('/files/1').set(auth(adminToken)).send({ folder: '/x' })).status).toBe(200);
+      });
+
+      it('should filter by folder and tag and list folders', async () => {
+        await uploadFile(userToken, 'second', 'second.txt');
+        await uploadFile(userToken, 'third', 'third.txt');
+        await request(app).patch('/files/2').set(auth(userToken)).send({ folder: '/docs', tags: ['draft'] });
+        await request(app).patch('/files/3').set(auth(userToken)).send({ folder: '/docs/old', tags: ['Draft'] });
+        const list = async (query) => (await request(app).get(`/files?${query}`).set(auth(userToken))).body
+          .map(file => file.id);
+
+        expect(await list('folder=/docs')).toEqual([2]);
+        expect(await list('folder=docs/old/')).toEqual([3]);
+        expect(await list('tag=DRAFT')).toEqual([3, 2]);
+        expect((await request(app).get('/files?folder=..').set(auth(userToken))).status).toBe(400);
+
+        const folders = await request(app).get('/files/folders').set(auth(userToken));
+        expect(folders.body).toEqual([
+          { folder: '/', files: 1, bytes: 5 },
+          { folder: '/docs', files: 1, bytes: 6 },
+          { folder: '/docs/old', files: 1, bytes: 5 },
+        ]);
+        expect((await request(app).get('/files/folders').set(auth(otherToken))).body).toEqual([]);
+      });
+
+      it('should delete files with their shares and content', async () => {
+        await request(app).put('/files/1/shares/2').set(auth(userToken));
+        const { stored_name: storedName } = rows('files')[0];
+        const seq = eventFeed.latest();
+
+        const response = await request(app).delete('/files/1').set(auth(userToken));
+
+        expect(response.status).toBe(204);
+        expect(rows('files')).toEqual([]);
+        expect(rows('file_shares')).toEqual([]);
+        expect(fs.existsSync(path.join(uploadDir, storedName))).toBe(false);
+        expect(eventFeed.since(seq, eventFeed.epoch)).toEqual([
+          { seq: seq + 1, type: 'FILE_DELETED', data: { id: 1, uploadedBy: 1 } },
+        ]);
+        expect(rows('logs').at(-1)).toMatchObject({ action: 'delete', entity: 'file', entity_id: 1 });
+        expect((await request(app).get('/files/1').set(auth(userToken))).status).toBe(404);
+        expect((await request(app).delete('/files/1').set(auth(userToken))).status).toBe(404);
+      });
+
+      it('should delete quarantined files', async () => {
+        const { EICAR_SIGNATURE } = require('../files/scanner');
+        await uploadFile(userToken, EICAR_SIGNATURE, 'eicar.txt');
+        const quarantined = rows('files')[1];
+
+        expect((await request(app).delete(`/files/${quarantined.id}`).set(auth(adminToken))).status).toBe(204);
+        expect(fs.existsSync(path.join(uploadDir, '.quarantine', quarantined.stored_name))).toBe(false);
+      });
+    });
+
+    describe('quotas', () => {
+      const MB = 1024 * 1024;
+
+      // Usage recorded without files behind it
+      const seedFile = (uploadedBy, size) => repos.files.create({
+        stored_name: `seed-${Math.random()}.bin`,
+        original_name: 'seed.bin',
+        mime_type: 'application/octet-stream',
+        size,
+        checksum: '0'.repeat(64),
+        uploaded_by: uploadedBy,
+        uploaded_at: new Date(),
+      });
+
+      it('should refuse uploads past the user quota', async () => {
+        await seedFile(1, MB - 3);
+        const before = storedFiles();
+
+        const response = await uploadFile(userToken, 'hello', 'hello.txt');
+        const resumable = await request(app).post('/uploads').set(auth(userToken)).send({ filename: 'a.txt', size: 4 });
+        const fits = await uploadFile(userToken, 'abc', 'abc.txt');
+
+        expect(response.status).toBe(413);
+        expect(response.body).toEqual({ error: 'Storage quota exceeded', quota: MB, used: MB - 3 });
+        expect(resumable.status).toBe(413);
+        expect(fits.status).toBe(200);
+        expect(storedFiles()).toEqual([...before, fits.body.filename]);
+      });
+
+      it('should not let concurrent uploads overrun the quota together', async () => {
+        await seedFile(1, MB - 5);
+        const before = storedFiles();
+
+        const responses = await Promise.all([
+          uploadFile(userToken, 'abc', 'a.txt'),
+          uploadFile(userToken, 'def', 'b.txt'),
+          uploadFile(userToken, 'ghi', 'c.txt'),
+        ]);
+        const stored = responses.filter(response => response.status === 200);
+
+        expect(responses.map(response => response.status).sort()).toEqual([200, 413, 413]);
+        expect(storedFiles()).toEqual([...before, stored[0].body.filename]);
+        expect((await repos.files.usage({ uploadedBy: 1 })).bytes).toBe(MB - 2);
+      });
+
+      it('should refuse uploads once storage is full', async () => {
+        await seedFile(100, 4 * MB - 3);
+
+        const response = await uploadFile(userToken, 'hello', 'hello.txt');
+
+        expect(response.status).toBe(507);
+        expect(response.body).toEqual({ error: 'Storage is full' });
+      });
+
+      it('should report usage, with the global total for admins', async () => {
+        await seedFile(1, 100);
+        await seedFile(1, 50);
+        await seedFile(100, 1000);
+
+        const user = await request(app).get('/files/usage?userId=100').set(auth(userToken));
+        const admin = await request(app).get('/files/usage?userId=1').set(auth(adminToken));
+
+        expect(user.status).toBe(200);
+        expect(user.body).toEqual({ userId: 1, files: 2, used: 150, quota: MB, remaining: MB - 150 });
+        expect(admin.body).toEqual({
+          userId: 1,
+          files: 2,
+          used: 150,
+          quota: MB,
+          remaining: MB - 150,
+          global: { files: 3, used: 1150, quota: 4 * MB, remaining: 4 * MB - 1150 },
+        });
+      });
+    });
+
+    describe('on S3 storage', () => {
+      const { setFileStorage } = require('../server');
+      const { createLocalStorage, createS3Storage } = require('../files/storage');
+      const { createFakeS3 } = require('./fakeS3');
+      const fakeS3 = createFakeS3();
+      let s3Options;
+
+      beforeAll(async () => {
+        s3Options = await fakeS3.start();
+      });
+
+      beforeEach(() => {
+        setFileStorage(createS3Storage(s3Options));
+      });
+
+      afterEach(() => {
+        setFileStorage(createLocalStorage(uploadDir));
+        fakeS3.objects.clear();
+      });
+
+      afterAll(() => fakeS3.stop());
+
+      it('should store uploads in the bucket and serve them from it', async () => {
+        const uploaded = await uploadFile(userToken, 'hello', 'hello.txt');
+
+        expect(uploaded.status).toBe(200);
+        const object = fakeS3.objects.get(uploaded.body.filename);
+        expect(object.body.toString()).toBe('hello');
+        expect(object.contentType).toBe('text/plain');
+        expect(storedFiles()).toEqual([]);
+
+        const download = await request(app).get('/files/1/download').set(auth(userToken));
+        expect(download.status).toBe(200);
+        expect(download.text).toBe('hello');
+        expect(download.headers['content-length']).toBe('5');
+        expect(download.headers['content-disposition']).toBe('attachment; filename="hello.txt"');
+      });
+
+      it('should answer 404 for a recorded file missing from the bucket', async () => {
+        const uploaded = await uploadFile(userToken, 'hello', 'hello.txt');
+        fakeS3.objects.delete(uploaded.body.filename);
+
+        const download = await request(app).get('/files/1/download').set(auth(userToken));
+        expect(download.status).toBe(404);
+        expect(download.body).toEqual({ error: 'File not found' });
+      });
+
+      it('should keep quarantined files under their own prefix', async () => {
+        const { EICAR_SIGNATURE } = require('../files/scanner');
+        await uploadFile(userToken, EICAR_SIGNATURE, 'eicar.txt');
+
+        expect([...fakeS3.objects.keys()]).toEqual([`.quarantine/${rows('files')[0].stored_name}`]);
+      });
+    });
+
+    describe('content checks', () => {
+      const { setScanner } = require('../server');
+      const { EICAR_SIGNATURE, createLocalScanner } = require('../files/scanner');
+
+      afterEach(() => {
+        setScanner(createLocalScanner());
+      });
+
+      it('should type and name files by their content', async () => {
+        const response = await request(app)
+          .post('/upload')
+          .set(auth(userToken))
+          .attach('file', PNG, { filename: 'notes.txt', contentType: 'text/plain' });
+
+        expect(response.status).toBe(200);
+        expect(response.body).toMatchObject({ originalName: 'notes.txt', mimeType: 'image/png' });
+        expect(response.body.filename).toMatch(/^[0-9a-f-]{36}\.png$/);
+      });
+
+      it('should refuse blocked types whatever they are called', async () => {
+        const before = storedFiles();
+        const executable = await uploadFile(userToken, 'MZ\x90\x00', 'invoice.pdf');
+        const page = await uploadFile(userToken, '<!DOCTYPE html><script>alert(1)</script>', 'notes.txt');
+
+        expect(executable.status).toBe(415);
+        expect(executable.body).toEqual({
+          error: 'Files of type application/x-msdownload are not allowed',
+          mimeType: 'application/x-msdownload',
+        });
+        expect(page.status).toBe(415);
+        expect(rows('files')).toEqual([]);
+        expect(storedFiles()).toEqual(before);
+      });
+
+      it('should quarantine files the scanner flags', async () => {
+        const seq = eventFeed.latest();
+        const response = await uploadFile(userToken, EICAR_SIGNATURE, 'eicar.txt');
+
+        expect(response.status).toBe(422);
+        expect(response.body).toEqual({ error: 'File was quarantined', reason: 'EICAR test signature' });
+        const [file] = rows('files');
+        expect(file).toMatchObject({ id: 1, quarantine_reason: 'EICAR test signature', quarantined_at: expect.any(Date) });
+        expect(fs.existsSync(path.join(uploadDir, '.quarantine', file.stored_name))).toBe(true);
+        expect(fs.existsSync(path.join(uploadDir, file.stored_name))).toBe(false);
+        expect(rows('logs')[0]).toMatchObject({ action: 'quarantine', entity: 'file', entity_id: 1 });
+        expect(eventFeed.latest()).toBe(seq);
+
+        const listed = await request(app).get('/files').set(auth(adminToken));
+        const download = await request(app).get('/files/1/download').set(auth(adminToken));
+        const legacy = await request(app).get(`/download/${file.stored_name}`).set(auth(userToken));
+        expect(listed.body).toEqual([]);
+        expect(download.status).toBe(404);
+        expect(legacy.status).toBe(404);
+        expect((await request(app).get('/files/1').set(auth(userToken))).status).toBe(404);
+      });
+
+      it('should list quarantined files to admins only', async () => {
+        await uploadFile(userToken, EICAR_SIGNATURE, 'eicar.txt');
+
+        const admin = await request(app).get('/files?quarantined=true').set(auth(adminToken));
+        const user = await request(app).get('/files?quarantined=true').set(auth(userToken));
+
+        expect(admin.body).toEqual([
+          expect.objectContaining({ id: 1, quarantineReason: 'EICAR test signature', quarantinedAt: expect.any(String) }),
+        ]);
+        expect(user.status).toBe(403);
+      });
+
+      it('should quarantine files when the scanner fails', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const scan = jest.fn().mockRejectedValue(new Error('scanner unreachable'));
+        setScanner({ name: 'remote', scan });
+
+        const response = await uploadFile(userToken, 'hello', 'hello.txt');
+
+        expect(response.status).toBe(422);
+        expect(response.body.reason).toBe('Scan failed');
+        expect(scan).toHaveBeenCalledWith(expect.any(String), { type: 'text/plain', size: 5 });
+        console.error.mockRestore();
+      });
+    });
+
+    describe('downloads and sharing', () => {
+      const otherToken = jwt.sign({ id: 2, email: 'jane@example.com', type: 'user' }, 'test-secret');
+      let stored;
+
+      beforeEach(async () => {
+        await seedUser();
+        await seedUser({ name: 'Jane Doe', email: 'jane@example.com' });
+        stored = (await uploadFile(userToken, 'secret', 'notes.txt')).body;
+      });
+
+      it('should send files to their uploader only', async () => {
+        const own = await request(app).get('/files/1/download').set(auth(userToken));
+        const other = await request(app).get('/files/1/download').set(auth(otherToken));
+        const anonymous = await request(app).get('/files/1/download');
+
+        expect(own.status).toBe(200);
+        expect(own.text).toBe('secret');
+        expect(own.headers['content-disposition']).toBe('attachment; filename="notes.txt"');
+        expect(own.headers['x-content-type-options']).toBe('nosniff');
+        expect(other.status).toBe(404);
+        expect(anonymous.status).toBe(401);
+      });
+
+      it('should only serve recorded files by stored name', async () => {
+        const own = await request(app).get(`/download/${stored.filename}`).set(auth(userToken));
+        const other = await request(app).get(`/download/${stored.filename}`).set(auth(otherToken));
+        const anonymous = await request(app).get(`/download/${stored.filename}`);
+        const traversal = await request(app).get('/download/..%2Fpackage.json').set(auth(adminToken));
+
+        expect(own.text).toBe('secret');
+        expect(other.status).toBe(404);
+        expect(anonymous.status).toBe(401);
+        expect(traversal.status).toBe(404);
+      });
+
+      it('should serve uploads from before the files table once they are backfilled', async () => {
+        const { backfillFiles } = require('../db/backfillFiles');
+        const { createLocalStorage } = require('../files/storage');
+        fs.writeFileSync(path.join(uploadDir, '1744022051440.txt'), 'legacy');
+
+        const before = await request(app).get('/download/1744022051440.txt').set(auth(adminToken));
+        const created = await backfillFiles({ repos, storage: createLocalStorage(uploadDir) });
+        const admin = await request(app).get('/download/1744022051440.txt').set(auth(adminToken));
+        const user = await request(app).get('/download/1744022051440.txt').set(auth(userToken));
+
+        expect(before.status).toBe(404);
+        expect(created).toEqual([expect.objectContaining({ stored_name: '1744022051440.txt', uploaded_by: null })]);
+        expect(admin.status).toBe(200);
+        expect(admin.text).toBe('legacy');
+        expect(admin.headers['content-disposition']).toBe('attachment; filename="1744022051440.txt"');
+        expect(user.status).toBe(404);
+      });
+
+      it('should never serve a path outside uploads/', async () => {
+        const row = await repos.files.create({ ...rows('files')[0], id: undefined, stored_name: '../package.json' });
+
+        const response = await request(app).get(`/files/${row.id}/download`).set(auth(adminToken));
+        expect(response.status).toBe(404);
+        expect(response.body).toEqual({ error: 'File not found' });
+      });
+
+      it('should let shared users view and download but not manage a file', async () => {
+        const share = await request(app).put('/files/1/shares/2').set(auth(userToken));
+        expect(share.status).toBe(204);
+
+        const download = await request(app).get('/files/1/download').set(auth(otherToken));
+        const details = await request(app).get('/files/1').set(auth(otherToken));
+        const reshare = await request(app).put('/files/1/shares/2').set(auth(otherToken));
+        expect(download.text).toBe('secret');
+        expect(details.body).toMatchObject({ id: 1, originalName: 'notes.txt' });
+        expect(reshare.status).toBe(404);
+
+        const shares = await request(app).get('/files/1/shares').set(auth(userToken));
+        expect(shares.body).toEqual([{ user_id: 2, created_at: expect.any(String) }]);
+
+        const unshare = await request(app).delete('/files/1/shares/2').set(auth(userToken));
+        expect(unshare.status).toBe(204);
+        expect((await request(app).get('/files/1/download').set(auth(otherToken))).status).toBe(404);
+        expect(rows('logs').map(entry => entry.action)).toEqual(['upload', 'share', 'unshare']);
+      });
+
+      it('should not share with users that do not exist', async () => {
+        const response = await request(app).put('/files/1/shares/9').set(auth(userToken));
+        expect(response.status).toBe(404);
+        expect(response.body).toEqual({ error: 'User not found' });
+      });
+
+      it('should issue signed links that work without a token until they expire', async () => {
+        const response = await request(app)
+          .post('/files/1/links')
+          .set(auth(userToken))
+          .set('Host', 'evil.example')
+          .send({ expiresIn: 60 });
+
+        expect(response.status).toBe(201);
+        expect(response.body.url).toMatch(/^\/files\/1\/download\?/);
+        const url = new URL(response.body.url, 'http://localhost');
+        expect(url.pathname).toBe('/files/1/download');
+        expect(new Date(response.body.expiresAt) - Date.now()).toBeLessThanOrEqual(60 * 1000);
+
+        const download = await request(app).get(`${url.pathname}${url.search}`);
+        expect(download.status).toBe(200);
+        expect(download.text).toBe('secret');
+
+        const expires = url.searchParams.get('expires');
+        const signature = url.searchParams.get('signature');
+        const attempts = [
+          `/files/1/download?expires=${Number(expires) + 60}&signature=${signature}`,
+          `/files/2/download?expires=${expires}&signature=${signature}`,
+          `/files/1/download?expires=${expires}&signature=${signature.slice(1)}`,
+        ];
+        for (const attempt of attempts) {
+          const refused = await request(app).get(attempt);
+          expect(refused.status).toBe(403);
+          expect(refused.body).toEqual({ error: 'Invalid or expired download link' });
+        }
+
+        const past = signDownload(1, Date.now() - 1000);
+        const expired = await request(app).get(`/files/1/download?expires=${past.expires}&signature=${past.signature}`);
+        expect(expired.status).toBe(403);
+      });
+
+      it('should only sign links for files the caller manages', async () => {
+        const other = await request(app).post('/files/1/links').set(auth(otherToken));
+        await request(app).put('/files/1/shares/2').set(auth(userToken));
+        const shared = await request(app).post('/files/1/links').set(auth(otherToken));
+        const admin = await request(app).post('/files/1/links').set(auth(adminToken));
+        const tooLong = await request(app).post('/files/1/links').set(auth(userToken)).send({ expiresIn: 8 * 24 * 60 * 60 });
+
+        expect(other.status).toBe(404);
+        expect(shared.status).toBe(404);
+        expect(admin.status).toBe(201);
+        expect(tooLong.status).toBe(400);
+      });
+    });
+
+    describe('resumable uploads', () => {
+      const crypto = require('crypto');
+      const content = Buffer.from('0123456789');
+      const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+      const createUpload = (body, token = userToken) => request(app).post('/uploads').set(auth(token)).send(body);
+
+      const sendChunk = (id, offset, chunk, token = userToken) => request(app)
+        .patch(`/uploads/${id}`)
+        .set(auth(token))
+        .set('Content-Type', 'application/offset+octet-stream')
+        .set('Upload-Offset', String(offset))
+        .send(chunk);
+
+      it('should assemble chunks into a file', async () => {
+        const seq = eventFeed.latest();
+        const created = await createUpload({ filename: 'digits.txt', size: 10, mimeType: 'text/plain', checksum: sha256(content) });
+        expect(created.status).toBe(201);
+        expect(created.headers.location).toBe(`/uploads/${created.body.id}`);
+        expect(created.body).toMatchObject({ originalName: 'digits.txt', size: 10, offset: 0 });
+        const { id } = created.body;
+
+        const first = await sendChunk(id, 0, content.subarray(0, 4));
+        expect(first.status).toBe(204);
+        expect(first.headers['upload-offset']).toBe('4');
+
+        const progress = await request(app).head(`/uploads/${id}`).set(auth(userToken));
+        expect(progress.status).toBe(200);
+        expect(progress.headers['upload-offset']).toBe('4');
+        expect(progress.headers['upload-length']).toBe('10');
+
+        // A retried chunk the server already has
+        const stale = await sendChunk(id, 0, content.subarray(0, 4));
+        expect(stale.status).toBe(409);
+        expect(stale.body.offset).toBe(4);
+
+        expect((await sendChunk(id, 4, content.subarray(4))).status).toBe(204);
+        const finalized = await request(app).post(`/uploads/${id}/finalize`).set(auth(userToken));
+
+        expect(finalized.status).toBe(201);
+        expect(finalized.body).toMatchObject({
+          id: 1, originalName: 'digits.txt', mimeType: 'text/plain', size: 10, checksum: sha256(content), uploadedBy: 1,
+        });
+        expect(fs.readFileSync(path.join(uploadDir, finalized.body.filename))).toEqual(content);
+        expect(fs.existsSync(path.join(workDir, '.partial', id))).toBe(false);
+        expect(rows('upload_sessions')).toEqual([]);
+        const events = JSON.parse(JSON.stringify(eventFeed.since(seq, eventFeed.epoch)));
+        expect(events).toEqual([{ seq: seq + 1, type: 'FILE_UPLOADED', data: finalized.body }]);
+      });
+
+      it('should verify the checksum given at finalize', async () => {
+        const { id } = (await createUpload({ filename: 'digits.txt', size: 10 })).body;
+        await sendChunk(id, 0, content);
+
+        const missing = await request(app).post(`/uploads/${id}/finalize`).set(auth(userToken));
+        const wrong = await request(app).post(`/uploads/${id}/finalize`).set(auth(userToken))
+          .send({ checksum: sha256('something else') });
+
+        expect(missing.status).toBe(400);
+        expect(wrong.status).toBe(422);
+        expect(wrong.body).toEqual({ error: 'Checksum mismatch', checksum: sha256(content) });
+        // A corrupt upload is discarded
+        expect((await request(app).head(`/uploads/${id}`).set(auth(userToken))).status).toBe(404);
+        expect(rows('files')).toEqual([]);
+      });
+
+      it('should apply the content checks when finalizing', async () => {
+        const executable = Buffer.from([0x4d, 0x5a, 0x90, 0x00]);
+        const { id } = (await createUpload({ filename: 'setup.txt', size: 4, checksum: sha256(executable) })).body;
+        await sendChunk(id, 0, executable);
+
+        const response = await request(app).post(`/uploads/${id}/finalize`).set(auth(userToken));
+
+        expect(response.status).toBe(415);
+        expect(rows('files')).toEqual([]);
+        expect(rows('upload_sessions')).toEqual([]);
+        expect(fs.existsSync(path.join(workDir, '.partial', id))).toBe(false);
+      });
+
+      it('should not finalize an incomplete upload', async () => {
+        const { id } = (await createUpload({ filename: 'digits.txt', size: 10, checksum: sha256(content) })).body;
+        await sendChunk(id, 0, content.subarray(0, 3));
+
+        const response = await request(app).post(`/uploads/${id}/finalize`).set(auth(userToken));
+        expect(response.status).toBe(409);
+        expect(response.body).toEqual({ error: 'Upload is incomplete', offset: 3 });
+      });
+
+      it('should refuse chunks that do not fit', async () => {
+        const { id } = (await createUpload({ filename: 'digits.txt', size: 4 })).body;
+
+        const tooLarge = await sendChunk(id, 0, content);
+        const wrongType = await request(app)
+          .patch(`/uploads/${id}`)
+          .set(auth(userToken))
+          .set('Upload-Offset', '0')
+          .send({ data: 'abc' });
+
+        expect(tooLarge.status).toBe(413);
+        expect(wrongType.status).toBe(415);
+        expect(rows('upload_sessions')[0].received).toBe(0);
+      });
+
+      it('should validate new uploads', async () => {
+        const responses = await Promise.all([
+          createUpload({ size: 10 }),
+          createUpload({ filename: 'a.txt', size: -1 }),
+          createUpload({ filename: 'a.txt', size: 600 * 1024 * 1024 }),
+          createUpload({ filename: 'a.txt', size: 1, checksum: 'abc' }),
+        ]);
+        responses.forEach(response => expect(response.status).toBe(400));
+        expect((await request(app).post('/uploads').send({ filename: 'a.txt', size: 1 })).status).toBe(401);
+      });
+
+      it('should keep uploads private to whoever started them', async () => {
+        const otherToken = jwt.sign({ id: 2, email: 'jane@example.com', type: 'user' }, 'test-secret');
+        const { id } = (await createUpload({ filename: 'digits.txt', size: 10 })).body;
+
+        expect((await sendChunk(id, 0, content, otherToken)).status).toBe(404);
+        expect((await request(app).head(`/uploads/${id}`).set(auth(otherToken))).status).toBe(404);
+        expect((await request(app).delete(`/uploads/${id}`).set(auth(otherToken))).status).toBe(404);
+
+        expect((await request(app).delete(`/uploads/${id}`).set(auth(userToken))).status).toBe(204);
+        expect(fs.existsSync(path.join(workDir, '.partial', id))).toBe(false);
+      });
+
+      it('should drop uploads whose partial file is gone', async () => {
+        const { id } = (await createUpload({ filename: 'digits.txt', size: 10, checksum: sha256(content) })).body;
+        await sendChunk(id, 0, content.subarray(0, 4));
+        // As on another instance, or after a restart on a fresh disk
+        fs.rmSync(path.join(workDir, '.partial', id));
+
+        const chunk = await sendChunk(id, 4, content.subarray(4));
+        expect(chunk.status).toBe(410);
+        expect(chunk.body).toEqual({ error: 'Upload is no longer available' });
+        expect(rows('upload_sessions')).toEqual([]);
+        expect((await request(app).head(`/uploads/${id}`).set(auth(userToken))).status).toBe(404);
+        expect((await request(app).post(`/uploads/${id}/finalize`).set(auth(userToken))).status).toBe(404);
+      });
+
+      it('should expire abandoned uploads', async () => {
+        const { id } = (await createUpload({ filename: 'digits.txt', size: 10 })).body;
+        await sendChunk(id, 0, content.subarray(0, 5));
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+
+        await expireUploadSessions(Date.now() + 23 * 60 * 60 * 1000);
+        expect(rows('upload_sessions')).toHaveLength(1);
+
+        await expireUploadSessions(Date.now() + 25 * 60 * 60 * 1000);
+        expect(rows('upload_sessions')).toEqual([]);
+        expect(fs.existsSync(path.join(workDir, '.partial', id))).toBe(false);
+        console.log.mockRestore();
+      });
+    });
+
+    describe('listing', () => {
+      beforeEach(async () => {
+        await uploadFile(userToken, '%PDF-1.4', 'report.pdf');
+        await uploadFile(adminToken, PNG, 'photo.png');
+        await uploadFile(userToken, 'c', 'Annual Report.txt');
+        // Distinct upload times, oldest first
+        rows('files').forEach((file, i) => {
+          file.uploaded_at = new Date(Date.UTC(2024, 0, 1 + i));
+        });
+      });
+
+      it('should list files newest first with stable ids', async () => {
+        const first = await request(app).get('/files').set(auth(adminToken));
+        const again = await request(app).get('/files').set(auth(adminToken));
+
+        expect(first.status).toBe(200);
+        expect(first.body.map(file => file.id)).toEqual([3, 2, 1]);
+        expect(first.body.map(file => file.originalName)).toEqual(['Annual Report.txt', 'photo.png', 'report.pdf']);
+        expect(again.body).toEqual(first.body);
+      });
+
+      it('should only list their own files to users', async () => {
+        const response = await request(app).get('/files?uploadedBy=100').set(auth(userToken));
+        expect(response.body.map(file => file.id)).toEqual([3, 1]);
+      });
+
+      it('should filter by name, type, uploader and date', async () => {
+        const list = async (query) => (await request(app).get(`/files?${query}`).set(auth(adminToken))).body
+          .map(file => file.id);
+
+        expect(await list('name=report')).toEqual([3, 1]);
+        expect(await list('mimeType=image')).toEqual([2]);
+        expect(await list('mimeType=application/pdf')).toEqual([1]);
+        expect(await list('uploadedBy=100')).toEqual([2]);
+        expect(await list('from=2024-01-02&to=2024-01-03')).toEqual([2]);
+
+        const invalid = await request(app).get('/files?from=soon').set(auth(adminToken));
+        expect(invalid.status).toBe(400);
+        expect(invalid.body).toEqual({ error: 'Invalid from date' });
+      });
+
+      it('should page with cursors once asked to', async () => {
+        const plain = await request(app).get('/files?limit=2').set(auth(adminToken));
+        const first = await request(app).get('/files?limit=2&cursor=').set(auth(adminToken));
+        const second = await request(app).get(`/files?limit=2&cursor=${first.body.next}`).set(auth(adminToken));
+        const invalid = await request(app).get('/files?cursor=nope').set(auth(adminToken));
+
+        expect(plain.body.map(file => file.id)).toEqual([3, 2, 1]);
+        expect(plain.headers.link).toBeUndefined();
+        expect(first.body.data.map(file => file.id)).toEqual([3, 2]);
+        expect(first.headers.link).toContain('rel="next"');
+        expect(second.body.data.map(file => file.id)).toEqual([1]);
+        expect(second.body.next).toBeNull();
+        expect(invalid.status).toBe(400);
+      });
+
+      it('should return a single file to its uploader or an admin', async () => {
+        const own = await request(app).get('/files/1').set(auth(userToken));
+        const other = await request(app).get('/files/2').set(auth(userToken));
+        const admin = await request(app).get('/files/1').set(auth(adminToken));
+        const missing = await request(app).get('/files/9').set(auth(adminToken));
+
+        expect(own.status).toBe(200);
+        expect(own.body).toMatchObject({ id: 1, originalName: 'report.pdf', uploadedBy: 1 });
+        expect(admin.body).toEqual(own.body);
+        expect(other.status).toBe(404);
+        expect(missing.status).toBe(404);
+        expect(missing.body).toEqual({ error: 'File not found' });
+      });
+    });
+  });
+
+  describe('Refresh tokens and logout', () => {
+    const bcrypt = require('bcrypt');
+
+    const login = () => request(app).post('/login').send({ email: 'john@example.com', password: 'secret' });
+
+    beforeEach(async () => {
+      await seedUser({ name: 'John', password: await bcrypt.hash('secret', 4) });
+    });
+
+    it('should issue a refresh token on login and store only its hash', async () => {
+      const response = await login();
+      expect(response.status).toBe(200);
+      expect(response.body.accessToken).toBeDefined();
+      expect(response.body.refreshToken).toBeDefined();
+      expect(rows('refresh_tokens')).toHaveLength(1);
+      expect(rows('refresh_tokens')[0].token_hash).not.toBe(response.body.refreshToken);
+      expect(jwt.decode(response.body.accessToken)).toMatchObject({ id: 1, type: 'user', jti: expect.any(String) });
+    });
+
+    it('should rotate the refresh token', async () => {
+      const { body: { refreshToken } } = await login();
+
+      const response = await request(app).post('/token/refresh').send({ refreshToken });
+      expect(response.status).toBe(200);
+      expect(response.body.accessToken).toBeDefined();
+      expect(response.body.refreshToken).not.toBe(refreshToken);
+      expect(rows('refresh_tokens')).toHaveLength(2);
+      expect(rows('refresh_tokens')[0].revoked_at).not.toBeNull();
+      expect(rows('refresh_tokens')[1].family_id).toBe(rows('refresh_tokens')[0].family_id);
+      expect(jwt.decode(response.body.accessToken).twoFactorVerified).toBeUndefined();
+    });
+
+    it('should revoke the whole family when a rotated token is reused', async () => {
+      const { body: { refreshToken } } = await login();
+      const rotated = await request(app).post('/token/refresh').send({ refreshToken });
+
+      const reuse = await request(app).post('/token/refresh').send({ refreshToken });
+      expect(reuse.status).toBe(401);
+
+      const next = await request(app).post('/token/refresh').send({ refreshToken: rotated.body.refreshToken });
+      expect(next.status).toBe(401);
+      expect(rows('refresh_tokens').every(row => row.revoked_at)).toBe(true);
+    });
+
+    it('should reject unknown and expired refresh tokens', async () => {
+      const unknown = await request(app).post('/token/refresh').send({ refreshToken: 'nope' });
+      expect(unknown.status).toBe(401);
+
+      const { body: { refreshToken } } = await login();
+      rows('refresh_tokens')[0].expires_at = new Date(Date.now() - 1000);
+      const expired = await request(app).post('/token/refresh').send({ refreshToken });
+      expect(expired.status).toBe(401);
+    });
+
+    it('should require a refresh token', async () => {
+      const response = await request(app).post('/token/refresh').send({});
+      expect(response.status).toBe(400);
+    });
+
+    it('should revoke the access token and refresh family on logout', async () => {
+      const { body: { accessToken, refreshToken } } = await login();
+
+      const logout = await request(app)
+        .post('/logout')
+        .set(auth(accessToken))
+        .send({ refreshToken });
+      expect(logout.status).toBe(204);
+      expect(rows('revoked_tokens')).toEqual([
+        { jti: jwt.decode(accessToken).jti, expires_at: expect.any(Date) }
+      ]);
+
+      const reused = await request(app)
+        .patch('/users/1')
+        .set(auth(accessToken))
+        .send({ name: 'John', email: 'john@example.com', type: 'user' });
+      expect(reused.status).toBe(401);
+      expect(reused.body).toEqual({ error: 'Token has been revoked' });
+
+      const refresh = await request(app).post('/token/refresh').send({ refreshToken });
+      expect(refresh.status).toBe(401);
+    });
+  });
+
+  describe('Two-factor authentication', () => {
+    const speakeasy = require('speakeasy');
+    const bcrypt = require('bcrypt');
+    let password;
+
+    const user = () => database.tables.users[0];
+
+    const currentCode = () => speakeasy.totp({ secret: user().two_factor_secret, encoding: 'base32' });
+
+    const login = () => request(app).post('/login').send({ email: 'john@example.com', password: 'secret' });
+
+    const enroll = async () => {
+      await request(app).post('/2fa/setup').set(auth(userToken));
+      return request(app).post('/2fa/confirm').set(auth(userToken)).send({ token: currentCode() });
+    };
+
+    beforeAll(async () => {
+      password = await bcrypt.hash('secret', 4);
+    });
+
+    beforeEach(async () => {
+      await seedUser({ name: 'John', password });
+    });
+
+    it('should keep the secret pending until it is confirmed', async () => {
+      const setup = await request(app).post('/2fa/setup').set(auth(userToken));
+      expect(setup.status).toBe(200);
+      expect(setup.body.secret).toBe(user().two_factor_secret);
+      expect(user().two_factor_enabled).toBe(false);
+
+      const response = await login();
+      expect(response.body.requiresTwoFactor).toBeUndefined();
+      expect(response.body.accessToken).toBeDefined();
+    });
+
+    it('should reject confirmation with a wrong code', async () => {
+      await request(app).post('/2fa/setup').set(auth(userToken));
+      const response = await request(app).post('/2fa/confirm').set(auth(userToken)).send({ token: '000000' });
+      expect(response.status).toBe(401);
+      expect(user().two_factor_enabled).toBe(false);
+    });
+
+    it('should enable 2FA and return recovery codes on confirmation', async () => {
+      const response = await enroll();
+      expect(response.status).toBe(200);
+      expect(response.body.recoveryCodes).toHaveLength(10);
+      expect(user().two_factor_enabled).toBe(true);
+      expect(rows('two_factor_recovery_codes')).toHaveLength(10);
+      expect(rows('two_factor_recovery_codes').map(row => row.code_hash)).not.toContain(response.body.recoveryCodes[0]);
+
+      const login2 = await login();
+      expect(login2.body.requiresTwoFactor).toBe(true);
+    });
+
+    it('should leave 2FA off when storing the recovery codes fails', async () => {
+      await request(app).post('/2fa/setup').set(auth(userToken));
+      jest.spyOn(repos.users, 'update').mockRejectedValueOnce(new Error('Database error'));
+
+      const response = await request(app).post('/2fa/confirm').set(auth(userToken)).send({ token: currentCode() });
+      expect(response.status).toBe(500);
+      expect(user().two_factor_enabled).toBe(false);
+      expect(rows('two_factor_recovery_codes')).toHaveLength(0);
+    });
+
+    it('should refuse to restart setup while 2FA is enabled', async () => {
+      await enroll();
+      const response = await request(app).post('/2fa/setup').set(auth(userToken));
+      expect(response.status).toBe(409);
+    });
+
+    it('should keep sessions 2FA-verified across refreshes', async () => {
+      await enroll();
+      const { body: { tempToken } } = await login();
+      const verified = await request(app).post('/2fa/verify').set(auth(tempToken)).send({ token: currentCode() });
+
+      const first = await request(app).post('/token/refresh').send({ refreshToken: verified.body.refreshToken });
+      const second = await request(app).post('/token/refresh').send({ refreshToken: first.body.refreshToken });
+
+      expect(second.status).toBe(200);
+      expect(jwt.decode(first.body.accessToken).twoFactorVerified).toBe(true);
+      expect(jwt.decode(second.body.accessToken).twoFactorVerified).toBe(true);
+      expect(rows('refresh_tokens').map(row => row.two_factor_verified)).toEqual([true, true, true]);
+    });
+
+    it('should only accept the tempToken on /2fa/verify', async () => {
+      await enroll();
+      const { body: { tempToken } } = await login();
+
+      const misuse = await request(app).post('/2fa/setup').set(auth(tempToken));
+      expect(misuse.status).toBe(403);
+
+      const withAccessToken = await request(app).post('/2fa/verify').set(auth(userToken)).send({ token: currentCode() });
+      expect(withAccessToken.status).toBe(403);
+
+      const response = await request(app).post('/2fa/verify').set(auth(tempToken)).send({ token: currentCode() });
+      expect(response.status).toBe(200);
+      expect(jwt.decode(response.body.accessToken).twoFactorVerified).toBe(true);
+      expect(response.body.refreshToken).toBeDefined();
+
+      const replay = await request(app).post('/2fa/verify').set(auth(tempToken)).send({ token: currentCode() });
+      expect(replay.status).toBe(401);
+    });
+
+    it('should accept each recovery code once', async () => {
+      const { body: { recoveryCodes } } = await enroll();
+
+      const first = await login();
+      const response = await request(app)
+        .post('/2fa/verify')
+        .set(auth(first.body.tempToken))
+        .send({ recoveryCode: recoveryCodes[3].toUpperCase() });
+      expect(response.status).toBe(200);
+
+      const second = await login();
+      const reuse = await request(app)
+        .post('/2fa/verify')
+        .set(auth(second.body.tempToken))
+        .send({ recoveryCode: recoveryCodes[3] });
+      expect(reuse.status).toBe(401);
+      expect(reuse.body).toEqual({ error: 'Invalid recovery code' });
+    });
+
+    it('should disable 2FA with a current code or the password', async () => {
+      await enroll();
+      const wrong = await request(app).post('/2fa/disable').set(auth(userToken)).send({ password: 'wrong' });
+      expect(wrong.status).toBe(401);
+      expect(user().two_factor_enabled).toBe(true);
+
+      const byPassword = await request(app).post('/2fa/disable').set(auth(userToken)).send({ password: 'secret' });
+      expect(byPassword.status).toBe(200);
+      expect(user().two_factor_secret).toBeNull();
+      expect(rows('two_factor_recovery_codes')).toHaveLength(0);
+
+      await enroll();
+      const byCode = await request(app).post('/2fa/disable').set(auth(userToken)).send({ token: currentCode() });
+      expect(byCode.status).toBe(200);
+      expect(user().two_factor_enabled).toBe(false);
+    });
+
+    it('should require a code or password to disable 2FA', async () => {
+      const response = await request(app).post('/2fa/disable').set(auth(userToken)).send({});
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('Brute-force protection', () => {
+    const bcrypt = require('bcrypt');
+    let password;
+
+    const attempt = (pass, email = 'john@example.com') =>
+      request(app).post('/login').send({ email, password: pass });
+
+    beforeAll(async () => {
+      password = await bcrypt.hash('secret', 4);
+    });
+
+    beforeEach(async () => {
+      await seedUser({ name: 'John', password });
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should back off exponentially after the free attempts', async () => {
+      for (let i = 0; i < 3; i++) {
+        const response = await attempt('wrong');
+        expect(response.status).toBe(401);
+        expect(response.headers['retry-after']).toBeUndefined();
+      }
+
+      const fourth = await attempt('wrong');
+      expect(fourth.status).toBe(401);
+      expect(fourth.headers['retry-after']).toBe('1');
+
+      const blocked = await attempt('secret');
+      expect(blocked.status).toBe(429);
+      expect(blocked.headers['retry-after']).toBe('1');
+    });
+
+    it('should lock the account out and log the lockout', async () => {
+      let now = Date.now();
+      jest.spyOn(Date, 'now').mockImplementation(() => now);
+
+      let response;
+      for (let i = 0; i < 10; i++) {
+        response = await attempt('wrong');
+        expect(response.status).toBe(401);
+        now += 10 * 60 * 1000; // step past each backoff delay
+      }
+      now -= 10 * 60 * 1000;
+      expect(response.headers['retry-after']).toBe(String(15 * 60));
+      expect(rows('logs')).toEqual([
+        expect.objectContaining({ user_id: 1, action: 'lockout', entity: 'login', entity_id: 1 })
+      ]);
+
+      const locked = await attempt('secret');
+      expect(locked.status).toBe(429);
+
+      now += 15 * 60 * 1000;
+      const unlocked = await attempt('secret');
+      expect(unlocked.status).toBe(200);
+    });
+
+    it('should flag lockouts for monitoring, by IP for unknown emails', async () => {
+      let now = Date.now();
+      jest.spyOn(Date, 'now').mockImplementation(() => now);
+      for (const email of ['john@example.com', 'ghost@example.com']) {
+        for (let i = 0; i < 10; i++) {
+          await attempt('wrong', email);
+          now += 10 * 60 * 1000;
+        }
+      }
+      jest.restoreAllMocks();
+
+      await monitorSuspiciousActivity();
+      await monitorSuspiciousActivity();
+
+      expect(rows('monitored_users')).toEqual([
+        expect.objectContaining({ user_id: 1, ip: expect.stringMatching(/127\.0\.0\.1/), reason: 'Lockout on login' }),
+        expect.objectContaining({ user_id: null, ip: expect.stringMatching(/127\.0\.0\.1/), reason: 'Lockout on login' }),
+      ]);
+    });
+
+    it('should let many users behind one address log in at once', async () => {
+      for (let i = 0; i < 15; i++) {
+        await seedUser({ name: `User ${i}`, email: `user${i}@example.com`, password });
+      }
+
+      const responses = await Promise.all(Array.from({ length: 15 }, (_, i) => attempt('secret', `user${i}@example.com`)));
+
+      expect(responses.map(response => response.status)).toEqual(Array(15).fill(200));
+    });
+
+    it('should count unknown accounts too', async () => {
+      for (let i = 0; i < 4; i++) {
+        await attempt('wrong', 'ghost@example.com');
+      }
+      const response = await attempt('wrong', 'Ghost@example.com');
+      expect(response.status).toBe(429);
+    });
+
+    it('should block an IP guessing across many accounts', async () => {
+      for (let i = 0; i < 11; i++) {
+        const response = await attempt('wrong', `user${i}@example.com`);
+        expect(response.status).toBe(401);
+      }
+      const response = await attempt('secret');
+      expect(response.status).toBe(429);
+      expect(response.headers['retry-after']).toBeDefined();
+    });
+
+    it('should tell clients apart behind a trusted proxy', async () => {
+      const from = (ip, email, pass) => request(app)
+        .post('/login')
+        .set('X-Forwarded-For', ip)
+        .send({ email, password: pass });
+
+      for (let i = 0; i < 11; i++) {
+        await from('203.0.113.7', `user${i}@example.com`, 'wrong');
+      }
+
+      expect((await from('203.0.113.7', 'john@example.com', 'secret')).status).toBe(429);
+      expect((await from('198.51.100.2', 'john@example.com', 'secret')).status).toBe(200);
+      expect(rows('logs').at(-1).ip).toBe('198.51.100.2');
+    });
+
+    it('should count parallel guesses before any of them fails', async () => {
+      const responses = await Promise.all(Array.from({ length: 20 }, () => attempt('wrong')));
+      const statuses = responses.map(response => response.status);
+
+      // The free attempts, and at most one more once they have failed
+      expect(statuses.filter(status => status === 401).length).toBeLessThanOrEqual(4);
+      expect(statuses.filter(status => status !== 401).every(status => status === 429)).toBe(true);
+    });
+
+    it('should refuse logins without a password', async () => {
+      await repos.users.create({ name: 'Imported', email: 'imported@example.com', type: 'user' });
+
+      const missing = await request(app).post('/login').send({ email: 'john@example.com' });
+      const noPassword = await attempt('anything', 'imported@example.com');
+
+      expect(missing.status).toBe(400);
+      expect(noPassword.status).toBe(401);
+    });
+
+    it('should reset the account counter after a successful login', async () => {
+      for (let i = 0; i < 3; i++) {
+        await attempt('wrong');
+      }
+      expect((await attempt('secret')).status).toBe(200);
+
+      const response = await attempt('wrong');
+      expect(response.headers['retry-after']).toBeUndefined();
+    });
+
+    it('should throttle 2FA code guessing', async () => {
+      const tempToken = jwt.sign({ id: 1, email: 'john@example.com', type: 'user', scope: '2fa' }, 'test-secret', { expiresIn: '5m' });
+      await repos.users.update(1, { two_factor_secret: 'JBSWY3DPEHPK3PXP', two_factor_enabled: true });
+
+      for (let i = 0; i < 4; i++) {
+        const response = await request(app).post('/2fa/verify').set(auth(tempToken)).send({ token: '000000' });
+        expect(response.status).toBe(401);
+      }
+      const response = await request(app).post('/2fa/verify').set(auth(tempToken)).send({ token: '000000' });
+      expect(response.status).toBe(429);
+      expect(response.headers['retry-after']).toBe('1');
+    });
+
+    it('should count parallel 2FA guesses', async () => {
+      const tempToken = jwt.sign({ id: 1, email: 'john@example.com', type: 'user', scope: '2fa' }, 'test-secret', { expiresIn: '5m' });
+      await repos.users.update(1, { two_factor_secret: 'JBSWY3DPEHPK3PXP', two_factor_enabled: true });
+      // A lookup slow enough for every guess to arrive while the first is being checked
+      const { findById } = repos.users;
+      jest.spyOn(repos.users, 'findById').mockImplementation(async (id) => {
+        await new Promise(resolve => setTimeout(resolve, 20));
+        return findById(id);
+      });
+
+      const responses = await Promise.all(Array.from({ length: 10 }, () => request(app)
+        .post('/2fa/verify')
+        .set(auth(tempToken))
+        .send({ token: '000000' })));
+
+      expect(responses.filter(response => response.status === 401).length).toBeLessThanOrEqual(4);
+    });
+  });
+
+  describe('Password reset and change', () => {
+    const bcrypt = require('bcrypt');
+    const crypto = require('crypto');
+    const { setMailTransport } = require('../mail/mailer');
+    let sentMail;
+
+    // Ids 7 and 8 are not used elsewhere, so revoking their sessions can't leak into other tests
+    const user = () => database.tables.users[0];
+
+    const tokenFromMail = () => new URL(sentMail[sentMail.length - 1].text.match(/http\S+/)[0]).searchParams.get('token');
+
+    beforeEach(async () => {
+      await seedUser({ id: 7, email: 'kim@example.com', password: await bcrypt.hash('old-password', 4) });
+      sentMail = [];
+      setMailTransport({ send: async (message) => { sentMail.push(message); } });
+    });
+
+    it('should email a single-use reset token and store only its hash', async () => {
+      const response = await request(app).post('/password/forgot').send({ email: 'kim@example.com' });
+      expect(response.status).toBe(202);
+      expect(sentMail).toHaveLength(1);
+      expect(sentMail[0].to).toBe('kim@example.com');
+
+      const token = tokenFromMail();
+      expect(rows('password_reset_tokens')[0].token_hash).toBe(crypto.createHash('sha256').update(token).digest('hex'));
+    });
+
+    it('should not reveal whether an account exists', async () => {
+      const known = await request(app).post('/password/forgot').send({ email: 'kim@example.com' });
+      const unknown = await request(app).post('/password/forgot').send({ email: 'nobody@example.com' });
+      expect(unknown.status).toBe(known.status);
+      expect(unknown.body).toEqual(known.body);
+      expect(sentMail).toHaveLength(1);
+    });
+
+    it('should limit reset mails per address', async () => {
+      const first = await request(app).post('/password/forgot').send({ email: 'kim@example.com' });
+      const tooSoon = await request(app).post('/password/forgot').send({ email: 'Kim@example.com' });
+      const unknown = await request(app).post('/password/forgot').send({ email: 'nobody@example.com' });
+
+      expect(first.status).toBe(202);
+      expect(tooSoon.status).toBe(429);
+      expect(tooSoon.headers['retry-after']).toBe('60');
+      expect(unknown.status).toBe(202);
+      expect(sentMail).toHaveLength(1);
+    });
+
+    it('should reset the password once and end existing sessions', async () => {
+      const oldToken = jwt.sign({ id: 7, email: 'kim@example.com', type: 'user', iat: Math.floor(Date.now() / 1000) - 60 }, 'test-secret');
+      await request(app).post('/password/forgot').send({ email: 'kim@example.com' });
+      const token = tokenFromMail();
+      await repos.refreshTokens.create({ user_id: 7, family_id: 'f', token_hash: 'h', expires_at: new Date(Date.now() + 60000) });
+
+      const response = await request(app).post('/password/reset').send({ token, password: 'new-password' });
+      expect(response.status).toBe(200);
+      expect(await bcrypt.compare('new-password', user().password)).toBe(true);
+      expect(user().email_verified_at).toBeInstanceOf(Date);
+      expect(rows('refresh_tokens')[0].revoked_at).toBeInstanceOf(Date);
+
+      const again = await request(app).post('/password/reset').send({ token, password: 'another-password' });
+      expect(again.status).toBe(400);
+
+      const stale = await request(app).post('/logout').set(auth(oldToken));
+      expect(stale.status).toBe(401);
+    });
+
+    it('should keep the reset token when the password update fails', async () => {
+      await request(app).post('/password/forgot').send({ email: 'kim@example.com' });
+      const token = tokenFromMail();
+      jest.spyOn(repos.users, 'update').mockRejectedValueOnce(new Error('Database error'));
+
+      const failed = await request(app).post('/password/reset').send({ token, password: 'new-password' });
+      expect(failed.status).toBe(500);
+      expect(rows('password_reset_tokens')[0].used_at).toBeNull();
+    });
+
+    it('should reject expired and superseded reset tokens', async () => {
+      await request(app).post('/password/forgot').send({ email: 'kim@example.com' });
+      const first = tokenFromMail();
+      passwordResetLimiter.clear(); // as if the next request came after the wait
+      await request(app).post('/password/forgot').send({ email: 'kim@example.com' });
+      const second = tokenFromMail();
+
+      const superseded = await request(app).post('/password/reset').send({ token: first, password: 'new-password' });
+      expect(superseded.status).toBe(400);
+
+      rows('password_reset_tokens')[1].expires_at = new Date(Date.now() - 1000);
+      const expired = await request(app).post('/password/reset').send({ token: second, password: 'new-password' });
+      expect(expired.status).toBe(400);
+    });
+
+    it('should validate the new password', async () => {
+      const response = await request(app).post('/password/reset').send({ token: 'abc', password: 'short' });
+      expect(response.status).toBe(400);
+      expect(response.body.errors).toBeDefined();
+    });
+
+    it('should require the current password to change it', async () => {
+      const token = jwt.sign({ id: 7, email: 'kim@example.com', type: 'user' }, 'test-secret');
+      const response = await request(app)
+        .post('/password/change')
+        .set(auth(token))
+        .send({ currentPassword: 'wrong-password', newPassword: 'new-password' });
+      expect(response.status).toBe(401);
+      expect(await bcrypt.compare('old-password', user().password)).toBe(true);
+    });
+
+    it('should change the password and hand out a fresh session', async () => {
+      // A user whose sessions have not been revoked by an earlier test
+      await seedUser({ id: 8, email: 'lee@example.com', password: await bcrypt.hash('old-password', 4) });
+      const oldToken = jwt.sign({ id: 8, email: 'lee@example.com', type: 'user', iat: Math.floor(Date.now() / 1000) - 60 }, 'test-secret');
+      const response = await request(app)
+        .post('/password/change')
+        .set(auth(oldToken))
+        .send({ currentPassword: 'old-password', newPassword: 'new-password' });
+      expect(response.status).toBe(200);
+      expect(response.body.accessToken).toBeDefined();
+      expect(response.body.refreshToken).toBeDefined();
+      expect((await repos.users.findById(8)).sessions_revoked_at).toBeInstanceOf(Date);
+
+      const stale = await request(app).post('/logout').set(auth(oldToken));
+      expect(stale.status).toBe(401);
+
+      const fresh = await request(app).post('/logout').set(auth(response.body.accessToken));
+      expect(fresh.status).toBe(204);
+    });
+  });
+
+  describe('Email verification', () => {
+    const bcrypt = require('bcrypt');
+    const { setMailTransport } = require('../mail/mailer');
+    let sentMail;
+
+    const user = () => database.tables.users[0];
+
+    const linkToken = () => new URL(sentMail[sentMail.length - 1].text.match(/http\S+/)[0]).searchParams.get('token');
+
+    const register = () => request(app)
+      .post('/register')
+      .send({ name: 'Ana', email: 'ana@example.com', password: 'password1', type: 'user' });
+
+    beforeEach(() => {
+      sentMail = [];
+      setMailTransport({ send: async (message) => { sentMail.push(message); } });
+    });
+
+    afterEach(() => {
+      delete process.env.REQUIRE_EMAIL_VERIFICATION;
+    });
+
+    it('should send a verification link on registration', async () => {
+      const response = await register();
+      expect(response.status).toBe(201);
+      expect(sentMail).toHaveLength(1);
+      expect(sentMail[0].to).toBe('ana@example.com');
+      expect(linkToken()).toBeTruthy();
+      expect(await bcrypt.compare('password1', user().password)).toBe(true);
+    });
+
+    it('should reject a second registration with the same email', async () => {
+      await register();
+      const response = await register();
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ error: 'Email already exists' });
+    });
+
+    it('should mark the address verified when the link is opened', async () => {
+      await register();
+      const response = await request(app).get('/verify-email').query({ token: linkToken() });
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ verified: true });
+      expect(user().email_verified_at).toBeInstanceOf(Date);
+    });
+
+    it('should reject links for a different address or with a bad signature', async () => {
+      await register();
+      const token = linkToken();
+      await repos.users.update(user().id, { email: 'changed@example.com' });
+      const stale = await request(app).get('/verify-email').query({ token });
+      expect(stale.status).toBe(400);
+
+      const forged = jwt.sign({ id: user().id, email: 'changed@example.com', scope: 'verify-email' }, 'wrong-secret');
+      const response = await request(app).get('/verify-email').query({ token: forged });
+      expect(response.status).toBe(400);
+      expect(user().email_verified_at).toBeNull();
+    });
+
+    it('should require verifying a changed address again', async () => {
+      await seedUser({ email: 'ana@example.com', email_verified_at: new Date() });
+      const response = await request(app)
+        .patch('/users/1')
+        .set(auth(userToken))
+        .send({ name: 'Ana', email: 'other@example.com', type: 'user' });
+
+      expect(response.status).toBe(200);
+      expect(user().email_verified_at).toBeNull();
+      expect(sentMail.map(message => message.to)).toEqual(['other@example.com']);
+
+      const verify = await request(app).get('/verify-email').query({ token: linkToken() });
+      expect(verify.status).toBe(200);
+      expect(user().email_verified_at).toBeInstanceOf(Date);
+    });
+
+    it('should keep the verification when the address stays the same', async () => {
+      await seedUser({ email: 'ana@example.com', email_verified_at: new Date() });
+      await request(app)
+        .patch('/users/1')
+        .set(auth(userToken))
+        .send({ name: 'Ana Maria', email: 'ana@example.com', type: 'user' });
+
+      expect(user().email_verified_at).toBeInstanceOf(Date);
+      expect(sentMail).toHaveLength(0);
+    });
+
+    it('should validate registrations', async () => {
+      const badEmail = await request(app)
+        .post('/register')
+        .send({ name: 'Ana', email: { $gt: '' }, password: 'password1', type: 'user' });
+      const shortPassword = await request(app)
+        .post('/register')
+        .send({ name: 'Ana', email: 'ana@example.com', password: 'short', type: 'user' });
+      const noName = await request(app)
+        .post('/register')
+        .send({ name: ' ', email: 'ana@example.com', password: 'password1', type: 'user' });
+
+      expect(badEmail.status).toBe(400);
+      expect(shortPassword.status).toBe(400);
+      expect(shortPassword.body.errors[0].msg).toBe('Password must be at least 8 characters');
+      expect(noName.status).toBe(400);
+      expect(rows('users')).toEqual([]);
+      expect(sentMail).toHaveLength(0);
+    });
+
+    it('should not accept a verification link as an access token', async () => {
+      await register();
+      const response = await request(app).post('/logout').set(auth(linkToken()));
+      expect(response.status).toBe(403);
+    });
+
+    it('should throttle resends', async () => {
+      await register();
+      const tooSoon = await request(app).post('/verify-email/resend').send({ email: 'ana@example.com' });
+      expect(tooSoon.status).toBe(429);
+      expect(Number(tooSoon.headers['retry-after'])).toBeGreaterThan(0);
+
+      verificationResendLimiter.clear();
+      const resent = await request(app).post('/verify-email/resend').send({ email: 'ana@example.com' });
+      expect(resent.status).toBe(202);
+      expect(sentMail).toHaveLength(2);
+    });
+
+    it('should answer resends for unknown addresses without sending mail', async () => {
+      const response = await request(app).post('/verify-email/resend').send({ email: 'nobody@example.com' });
+      expect(response.status).toBe(202);
+      expect(sentMail).toHaveLength(0);
+    });
+
+    describe('when verification is required', () => {
+      beforeEach(async () => {
+        process.env.REQUIRE_EMAIL_VERIFICATION = 'true';
+        await seedUser({ id: 12, email: 'ana@example.com', password: await bcrypt.hash('password1', 4) });
+      });
+
+      it('should refuse to log in unverified accounts', async () => {
+        const response = await request(app).post('/login').send({ email: 'ana@example.com', password: 'password1' });
+        expect(response.status).toBe(403);
+        expect(response.body).toEqual({ error: 'Email address not verified' });
+      });
+
+      it('should log in verified accounts', async () => {
+        await repos.users.markEmailVerified(12);
+        const response = await request(app).post('/login').send({ email: 'ana@example.com', password: 'password1' });
+        expect(response.status).toBe(200);
+      });
+    });
+  });
+
+  describe('WebSocket updates', () => {
+    const WebSocket = require('ws');
+    let url;
+    const sockets = [];
+
+    beforeAll((done) => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      server.listen(0, () => {
+        url = `ws://localhost:${server.address().port}/ws`;
+        done();
+      });
+    });
+
+    afterAll((done) => {
+      server.close(() => {
+        console.log.mockRestore();
+        done();
+      });
+    });
+
+    // Waits until the server has seen every socket close
+    afterEach(async () => {
+      sockets.splice(0).forEach(socket => socket.terminate());
+      const open = () => new Promise((resolve, reject) => {
+        server.getConnections((err, count) => (err ? reject(err) : resolve(count)));
+      });
+      while (await open() > 0) {
+        await new Promise(resolve => setTimeout(resolve, 5));
+      }
+    });
+
+    // Opens a socket whose messages can be awaited in order. Resolves once
+    // CONNECTED has arrived, with that message as socket.connected.
+    const connect = (options = { headers: auth(adminToken) }, address = url) => new Promise((resolve, reject) => {
+      const socket = new WebSocket(address, options);
+      const received = [];
+      const waiting = [];
+      socket.on('message', (raw) => {
+        const message = JSON.parse(raw);
+        if (waiting.length > 0) waiting.shift()(message);
+        else received.push(message);
+      });
+      socket.next = () => (received.length > 0
+        ? Promise.resolve(received.shift())
+        : new Promise(resolveNext => waiting.push(resolveNext)));
+      socket.request = (message) => {
+        socket.send(JSON.stringify(message));
+        return socket.next();
+      };
+      socket.on('open', async () => {
+        socket.connected = await socket.next();
+        resolve(socket);
+      });
+      socket.on('unexpected-response', (req, res) => reject(Object.assign(new Error('Handshake refused'), {
+        status: res.statusCode,
+      })));
+      socket.on('error', reject);
+      sockets.push(socket);
+    });
+
+    const subscribe = async (socket, topic, filter) => {
+      expect(await socket.request({ type: 'SUBSCRIBE', topic, filter }))
+        .toEqual(expect.objectContaining({ type: 'SUBSCRIBED', topic }));
+    };
+
+    // Round-trips a message, so anything sent before it has arrived by then
+    const expectNothingMore = async (socket) => {
+      expect(await socket.request({ type: 'PING' })).toEqual({ type: 'ERROR', error: 'Unknown message type' });
+    };
+
+    const closeOf = (socket) => new Promise(resolve => socket.on('close', (code, reason) => {
+      resolve({ code, reason: reason.toString() });
+    }));
+
+    it('should refuse handshakes without a valid access token', async () => {
+      await expect(connect({})).rejects.toMatchObject({ status: 401 });
+      await expect(connect({ headers: auth('not-a-token') })).rejects.toMatchObject({ status: 403 });
+      const twoFactor = jwt.sign({ id: 1, type: 'user', scope: '2fa' }, 'test-secret');
+      await expect(connect({ headers: auth(twoFactor) })).rejects.toMatchObject({ status: 403 });
+    });
+
+    it('should accept the token as a query parameter', async () => {
+      const socket = await connect({}, `${url}?access_token=${userToken}`);
+      expect(socket.connected).toEqual({ type: 'CONNECTED', epoch: eventFeed.epoch, seq: eventFeed.latest() });
+    });
+
+    it('should close the socket when its token expires', async () => {
+      const token = jwt.sign({ id: 1, type: 'user', exp: Math.floor(Date.now() / 1000) + 1 }, 'test-secret');
+      const socket = await connect({ headers: auth(token) });
+
+      expect(await closeOf(socket)).toEqual({ code: 4001, reason: 'Token expired' });
+    });
+
+    it('should close the socket when its token is revoked', async () => {
+      const token = jwt.sign({ id: 100, type: 'admin' }, 'test-secret', { jwtid: 'ws-revoked', expiresIn: '1h' });
+      const socket = await connect({ headers: auth(token) });
+      await subscribe(socket, 'users');
+      await revokeAccessToken(repos, jwt.decode(token));
+
+      const closed = closeOf(socket);
+      await seedUser();
+      await request(app).delete('/users/1').set(auth(adminToken));
+
+      expect(await closed).toEqual({ code: 4001, reason: 'Token has been revoked' });
+    });
+
+    it('should disconnect users when they are deleted', async () => {
+      await seedUser();
+      const socket = await connect({ headers: auth(userToken) });
+
+      const closed = closeOf(socket);
+      await request(app).delete('/users/1').set(auth(adminToken));
+
+      expect(await closed).toEqual({ code: 4001, reason: 'Token has been revoked' });
+    });
+
+    it('should only allow the topics a role may see', async () => {
+      const socket = await connect({ headers: auth(userToken) });
+
+      expect(await socket.request({ type: 'SUBSCRIBE', topic: 'users' }))
+        .toEqual({ type: 'ERROR', error: 'Insufficient permissions', topic: 'users' });
+      expect(await socket.request({ type: 'SUBSCRIBE', topic: 'monitored-users' }))
+        .toEqual({ type: 'ERROR', error: 'Insufficient permissions', topic: 'monitored-users' });
+      expect(await socket.request({ type: 'SUBSCRIBE', topic: 'constructor' }))
+        .toEqual({ type: 'ERROR', error: 'Unknown topic', topic: 'constructor' });
+      expect(await socket.request({ type: 'SUBSCRIBE', topic: 'files', filter: { ids: ['1'] } }))
+        .toEqual({ type: 'ERROR', error: 'Invalid filter', topic: 'files' });
+      expect(await socket.request({ type: 'SUBSCRIBE', topic: 'files', filter: { owner: 1 } }))
+        .toEqual({ type: 'ERROR', error: 'Invalid filter', topic: 'files' });
+      expect(await socket.request({ type: 'SUBSCRIBE', topic: 'self' }))
+        .toEqual({ type: 'SUBSCRIBED', topic: 'self', filter: {} });
+    });
+
+    it('should send only the changed user with the next sequence number', async () => {
+      const socket = await connect();
+      const { seq } = socket.connected;
+      await subscribe(socket, 'users');
+
+      await request(app)
+        .post('/users')
+        .set(auth(adminToken))
+        .send({ name: 'Jane Doe', email: 'jane@example.com', type: 'user' });
+
+      const event = await socket.next();
+      expect(event).toEqual({
+        seq: seq + 1,
+        type: 'USER_ADDED',
+        data: expect.objectContaining({ id: 1, email: 'jane@example.com' }),
+      });
+      expect(event.data).not.toHaveProperty('password');
+
+      await request(app).delete('/users/1').set(auth(adminToken));
+      expect(await socket.next()).toEqual({ seq: seq + 2, type: 'USER_DELETED', data: { id: 1 } });
+    });
+
+    it('should route events only to matching subscriptions', async () => {
+      await seedUser();
+      await seedUser({ name: 'Jane Doe', email: 'jane@example.com' });
+      const admin = await connect();
+      const own = await connect({ headers: auth(userToken) });
+      const idle = await connect({ headers: auth(userToken) });
+      await subscribe(admin, 'users', { events: ['USER_DELETED'] });
+      await subscribe(own, 'self');
+
+      const rename = (id, name) => request(app)
+        .patch(`/users/${id}`)
+        .set(auth(adminToken))
+        .send({ name, email: id === 1 ? 'john@example.com' : 'jane@example.com', type: 'user' });
+      await rename(2, 'Jane Smith');
+      await rename(1, 'John Smith');
+      await request(app).delete('/users/2').set(auth(adminToken));
+
+      expect(await own.next()).toMatchObject({ type: 'USER_UPDATED', data: { id: 1, name: 'John Smith' } });
+      await expectNothingMore(own);
+      expect(await admin.next()).toMatchObject({ type: 'USER_DELETED', data: { id: 2 } });
+      await expectNothingMore(admin);
+      await expectNothingMore(idle);
+
+      expect(await admin.request({ type: 'UNSUBSCRIBE', topic: 'users' })).toEqual({ type: 'UNSUBSCRIBED', topic: 'users' });
+      await request(app).delete('/users/1').set(auth(adminToken));
+      await expectNothingMore(admin);
+    });
+
+    it('should tell admins about newly monitored users', async () => {
+      const socket = await connect();
+      await subscribe(socket, 'monitored-users');
+      for (let i = 0; i < 11; i += 1) {
+        await repos.logs.create({ user_id: 5, action: 'create', entity: 'user', entity_id: i });
+      }
+
+      await monitorSuspiciousActivity();
+      await monitorSuspiciousActivity();
+
+      expect(await socket.next()).toMatchObject({
+        type: 'MONITORED_USER_ADDED',
+        data: { user_id: 5, reason: 'High frequency: 11 actions in 2 min' },
+      });
+      await expectNothingMore(socket);
+    });
+
+    it('should replay the subscribed events a reconnecting client missed', async () => {
+      const seq = eventFeed.latest();
+      await seedUser();
+      await seedUser({ name: 'Jane Doe', email: 'jane@example.com' });
+      await request(app)
+        .patch('/users/1')
+        .set(auth(adminToken))
+        .send({ name: 'John Smith', email: 'john@example.com', type: 'user' });
+      await request(app).delete('/users/2').set(auth(adminToken));
+      await request(app)
+        .patch('/users/1')
+        .set(auth(adminToken))
+        .send({ name: 'John Smythe', email: 'john@example.com', type: 'user' });
+
+      const socket = await connect({ headers: auth(userToken) });
+      await subscribe(socket, 'self');
+      socket.send(JSON.stringify({ type: 'RESUME', epoch: eventFeed.epoch, seq }));
+
+      expect(await socket.next()).toMatchObject({ seq: seq + 1, type: 'USER_UPDATED', data: { name: 'John Smith' } });
+      expect(await socket.next()).toMatchObject({ seq: seq + 3, type: 'USER_UPDATED', data: { name: 'John Smythe' } });
+      expect(await socket.next()).toEqual({ type: 'RESUMED', seq: seq + 3 });
+    });
+
+    it('should tell clients that cannot catch up to resync', async () => {
+      const seq = eventFeed.latest();
+      for (let i = 0; i <= DEFAULT_CAPACITY; i += 1) {
+        eventFeed.publish('USER_DELETED', { id: i });
+      }
+      const socket = await connect();
+      const resync = { type: 'RESYNC', epoch: eventFeed.epoch, seq: eventFeed.latest() };
+
+      expect(await socket.request({ type: 'RESUME', epoch: eventFeed.epoch, seq })).toEqual(resync);
+      // Sequence numbers from before a restart mean nothing now
+      expect(await socket.request({ type: 'RESUME', epoch: 'previous', seq: eventFeed.latest() })).toEqual(resync);
+    });
+
+    it('should drop clients that stop answering pings', async () => {
+      const live = await connect();
+      const dead = await connect({ headers: auth(adminToken), autoPong: false });
+      const reaped = closeOf(dead);
+
+      const pinged = new Promise(resolve => live.once('ping', resolve));
+      checkHeartbeats();
+      await pinged;
+      // The pong went out before this message, so the server has it once the reply arrives
+      await expectNothingMore(live);
+      checkHeartbeats();
+
+      expect((await reaped).code).toBe(1006);
+      await expectNothingMore(live);
+    });
+
+    it('should report connection counts to admins', async () => {
+      const admin = await connect();
+      const user = await connect({ headers: auth(userToken) });
+      await subscribe(admin, 'users');
+      await subscribe(admin, 'files');
+      await subscribe(user, 'files');
+
+      const response = await request(app).get('/ws/stats').set(auth(adminToken));
+      const denied = await request(app).get('/ws/stats').set(auth(userToken));
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({
+        connections: 2,
+        byRole: { admin: 1, user: 1 },
+        subscriptions: { users: 1, files: 2 },
+        queued: 0,
+        slowClientPolicy: 'drop',
+        reaped: expect.any(Number),
+        dropped: 0,
+        disconnected: 0,
+      });
+      expect(denied.status).toBe(403);
+    });
+
+    it('should reject messages it does not understand', async () => {
+      const socket = await connect();
+
+      socket.send('not json');
+      expect(await socket.next()).toEqual({ type: 'ERROR', error: 'Messages must be JSON' });
+      await expectNothingMore(socket);
+    });
+  });
+});
@@ -0,0 +1,50 @@
+// Audit trail. Mutating routes record who did what to which entity, from
+// where, and what changed, as rows of the logs table.
+
+// Never written to the log; a change to one of these is only noted
+const REDACTED_FIELDS = ['password', 'two_factor_secret'];
+const REDACTED = '[redacted]';
+
+const normalize = (value) => (value instanceof Date ? value.toISOString() : value ?? null);
+
+const redact = (field, value) => (REDACTED_FIELDS.includes(field) && value !== null ? REDACTED : value);
+
+// { field: { old, new } } for every field that differs. Either record may be
+// null (a create or a delete); otherwise only the fields of `after` are
+// compared, so it can be a partial update. Resolves to null if nothing changed.
+const diff = (before, after) => {
+  const fields = Object.keys(after || before || {});
+  const changes = {};
+  for (const field of fields) {
+    const oldValue = normalize(before ? before[field] : null);
+    const newValue = normalize(after ? after[field] : null);
+    if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+      changes[field] = { old: redact(field, oldValue), new: redact(field, newValue) };
+    }
+  }
+  return Object.keys(changes).length > 0 ? changes : null;
+};
+
+// The logs row for an action taken while handling `req`, which may be null for
+// background jobs. The actor is the authenticated user unless given: routes
+// like /login act before there is one.
+const auditEntry = (req, { action, entity, entityId = null, actorId, before = null, after = null }) => {
+  const userAgent = req ? req.get('user-agent') : null;
+  return {
+    user_id: actorId !== undefined ? actorId : (req && req.user ? req.user.id : null),
+    action,
+    entity,
+    entity_id: entityId === null ? null : Number(entityId),
+    ip: req ? req.ip : null,
+    user_agent: userAgent ? userAgent.slice(0, 512) : null,
+    changes: diff(before, after),
+  };
+};
+
+// Writes the record in the background; a failure is logged but never fails
+// the request
+const recordAudit = (repos, req, details) => repos.logs.create(auditEntry(req, details)).catch((err) => {
+  console.error(`Failed to log ${details.action}:`, err);
+});
+
+module.exports = { REDACTED, diff, auditEntry, recordAudit };
@@ -0,0 +1,109 @@
+// In-memory failed-attempt counters with exponential backoff and lockout.
+// Each key (e.g. an account or an IP) gets a few free failures; after that every
+// further failure blocks the key for twice as long as the previous one, and once
+// lockoutThreshold is reached the key is locked out for lockoutMs. Counters reset
+// after windowMs without failures. Attempts still being checked are tracked too,
+// so parallel guesses can't all get in before the first failure is counted: a
+// key without failures may have maxInFlight attempts in flight (freeAttempts
+// unless given), and once it has failed, only as many as it has free attempts left.
+const DEFAULTS = {
+  freeAttempts: 3,
+  maxInFlight: null,
+  baseDelayMs: 1000,
+  maxDelayMs: 5 * 60 * 1000,
+  lockoutThreshold: 10,
+  lockoutMs: 15 * 60 * 1000,
+  windowMs: 15 * 60 * 1000,
+};
+
+const createAttemptLimiter = (options = {}) => {
+  const config = { ...DEFAULTS, ...options };
+  const maxInFlight = config.maxInFlight ?? config.freeAttempts;
+  const entries = new Map();
+  // key -> number of attempts let through by acquire() and not released yet
+  const pending = new Map();
+
+  const current = (key, now) => {
+    const entry = entries.get(key);
+    if (!entry) return null;
+    if (entry.blockedUntil <= now && now - entry.lastFailureAt > config.windowMs) {
+      entries.delete(key);
+      return null;
+    }
+    return entry;
+  };
+
+  // Seconds until the key may try again, or 0 if it is not blocked
+  const retryAfter = (key, now = Date.now()) => {
+    const entry = current(key, now);
+    if (!entry || entry.blockedUntil <= now) return 0;
+    return Math.ceil((entry.blockedUntil - now) / 1000);
+  };
+
+  // Lets an attempt through unless the key is blocked, or has as many attempts
+  // in flight as it may have. Returns the seconds to wait, or 0 once the
+  // attempt is counted as in flight; release() it when its outcome has been
+  // recorded.
+  const acquire = (key, now = Date.now()) => {
+    const wait = retryAfter(key, now);
+    if (wait > 0) return wait;
+
+    const entry = current(key, now);
+    const inFlight = pending.get(key) || 0;
+    const allowed = entry && entry.failures > 0 ? config.freeAttempts - entry.failures : maxInFlight;
+    if (inFlight > 0 && inFlight >= allowed) return 1;
+    pending.set(key, inFlight + 1);
+    return 0;
+  };
+
+  const release = (key) => {
+    const inFlight = (pending.get(key) || 0) - 1;
+    if (inFlight > 0) {
+      pending.set(key, inFlight);
+    } else {
+      pending.delete(key);
+    }
+  };
+
+  // Records a failure. Returns the new block duration and whether this failure
+  // triggered a lockout.
+  const fail = (key, now = Date.now()) => {
+    const entry = current(key, now) || { failures: 0, blockedUntil: 0, lastFailureAt: now };
+    entry.failures += 1;
+    entry.lastFailureAt = now;
+
+    // Callers only record failures for keys that are not blocked, so every
+    // failure at or past the threshold starts a fresh lockout
+    let delayMs = 0;
+    let lockedOut = false;
+    if (entry.failures >= config.lockoutThreshold) {
+      delayMs = config.lockoutMs;
+      lockedOut = true;
+    } else if (entry.failures > config.freeAttempts) {
+      const exponent = entry.failures - config.freeAttempts - 1;
+      delayMs = Math.min(config.baseDelayMs * 2 ** exponent, config.maxDelayMs);
+    }
+    entry.blockedUntil = delayMs ? now + delayMs : 0;
+    entries.set(key, entry);
+
+    return { failures: entry.failures, retryAfter: Math.ceil(delayMs / 1000), lockedOut };
+  };
+
+  const reset = (key) => {
+    entries.delete(key);
+  };
+
+  // Drops entries that are neither blocked nor inside the counting window
+  const prune = (now = Date.now()) => {
+    entries.forEach((entry, key) => current(key, now));
+  };
+
+  const clear = () => {
+    entries.clear();
+    pending.clear();
+  };
+
+  return { retryAfter, acquire, release, fail, reset, prune, clear, size: () => entries.size };
+};
+
+module.exports = { createAttemptLimiter, DEFAULTS };
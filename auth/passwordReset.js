@@ -0,0 +1,29 @@
+// Single-use password reset tokens. The emailed token is random; only its
+// SHA-256 hash is stored, and issuing a new token retires older unused ones.
+const crypto = require('crypto');
+const { hashToken } = require('./tokens');
+
+const RESET_TOKEN_TTL_MS = 60 * 60 * 1000; // 1 hour
+
+const createResetToken = async (repos, userId) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  await repos.resetTokens.retireForUser(userId);
+  await repos.resetTokens.create({
+    user_id: userId,
+    token_hash: hashToken(token),
+    expires_at: new Date(Date.now() + RESET_TOKEN_TTL_MS),
+  });
+  return token;
+};
+
+// Marks the token used and resolves to its user id, or null if it is unknown,
+// expired or already used
+const consumeResetToken = async (repos, token) => {
+  const stored = await repos.resetTokens.findByHash(hashToken(token));
+  if (!stored) return null;
+  if (stored.used_at || new Date(stored.expires_at) <= new Date()) return null;
+
+  return (await repos.resetTokens.markUsed(stored.id)) ? stored.user_id : null;
+};
+
+module.exports = { RESET_TOKEN_TTL_MS, createResetToken, consumeResetToken };
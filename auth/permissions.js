@@ -0,0 +1,39 @@
+// Role-based authorization.
+// Roles are the values of the users.type column. The map below lists, per route,
+// which roles may call it. The pseudo-role 'self' grants access when the route's
+// :id parameter is the caller's own user id.
+const ROLES = ['admin', 'user'];
+
+const routePermissions = {
+  'GET /monitored-users': ['admin'],
+  'GET /audit-logs': ['admin'],
+  'GET /ws/stats': ['admin'],
+  'GET /users/export': ['admin'],
+  'POST /users': ['admin'],
+  'POST /users/import': ['admin'],
+  'GET /users/trash': ['admin'],
+  'POST /users/:id/restore': ['admin'],
+  'PATCH /users/:id': ['admin', 'self'],
+  'PUT /users/:id/avatar': ['admin', 'self'],
+  'DELETE /users/:id/avatar': ['admin', 'self'],
+  'DELETE /users/:id': ['admin'],
+};
+
+const isAllowed = (user, roles, params = {}) => {
+  if (!user) return false;
+  if (roles.includes(user.type)) return true;
+  return roles.includes('self') && params.id !== undefined && String(params.id) === String(user.id);
+};
+
+// Must run after authenticateToken. Routes missing from the map are denied.
+const authorize = () => (req, res, next) => {
+  const key = `${req.method} ${req.route.path}`;
+  const roles = routePermissions[key];
+
+  if (!roles || !isAllowed(req.user, roles, req.params)) {
+    return res.status(403).json({ error: 'Insufficient permissions' });
+  }
+  next();
+};
+
+module.exports = { ROLES, routePermissions, isAllowed, authorize };
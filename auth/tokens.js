@@ -0,0 +1,135 @@
+// Access and refresh token handling.
+// Access tokens are short-lived JWTs carrying a jti so they can be revoked before
+// they expire. Refresh tokens are opaque random strings; only their SHA-256 hash
+// is stored in refresh_tokens. Every refresh rotates the token within its family,
+// and presenting an already-rotated token revokes the whole family.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
+const ACCESS_TOKEN_TTL = '1h';
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+// jti -> expiry (ms) of revoked access tokens that have not expired yet
+const revokedAccessTokens = new Map();
+// user id -> time (ms) before which every access token of that user is revoked
+const sessionCutoffs = new Map();
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const signAccessToken = (user, claims = {}, expiresIn = ACCESS_TOKEN_TTL) => jwt.sign(
+  { id: user.id, email: user.email, type: user.type, ...claims },
+  JWT_SECRET,
+  { expiresIn, jwtid: crypto.randomUUID() }
+);
+
+// twoFactorVerified: whether the session passed 2FA. It is kept for the whole
+// family so every access token it refreshes carries the claim too.
+const issueRefreshToken = async (repos, userId, { familyId = crypto.randomUUID(), twoFactorVerified = false } = {}) => {
+  const token = crypto.randomBytes(48).toString('base64url');
+  await repos.refreshTokens.create({
+    user_id: userId,
+    family_id: familyId,
+    token_hash: hashToken(token),
+    expires_at: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+    two_factor_verified: twoFactorVerified,
+  });
+  return token;
+};
+
+// Resolves to { userId, refreshToken, twoFactorVerified } with a freshly rotated
+// token, or null when the token is unknown, expired or has already been used.
+const rotateRefreshToken = async (repos, token) => {
+  const stored = await repos.refreshTokens.findByHash(hashToken(token));
+  if (!stored) return null;
+
+  if (stored.revoked_at) {
+    // A rotated token came back: assume it was stolen and kill every descendant
+    console.warn('Refresh token reuse detected for user:', stored.user_id);
+    await repos.refreshTokens.revokeFamily(stored.family_id);
+    return null;
+  }
+  if (new Date(stored.expires_at) <= new Date()) return null;
+
+  // Lost a race with a concurrent refresh of the same token
+  if (!(await repos.refreshTokens.revoke(stored.id))) {
+    await repos.refreshTokens.revokeFamily(stored.family_id);
+    return null;
+  }
+
+  const twoFactorVerified = Boolean(stored.two_factor_verified);
+  const refreshToken = await issueRefreshToken(repos, stored.user_id, { familyId: stored.family_id, twoFactorVerified });
+  return { userId: stored.user_id, refreshToken, twoFactorVerified };
+};
+
+// Revokes the family the given refresh token belongs to. Unknown tokens are ignored.
+const revokeRefreshToken = async (repos, token) => {
+  const stored = await repos.refreshTokens.findByHash(hashToken(token));
+  if (stored) await repos.refreshTokens.revokeFamily(stored.family_id);
+};
+
+const pruneRevokedAccessTokens = () => {
+  const now = Date.now();
+  revokedAccessTokens.forEach((expiresAt, jti) => {
+    if (expiresAt <= now) revokedAccessTokens.delete(jti);
+  });
+};
+
+// Adds a decoded access token to the denylist until it would have expired anyway
+const revokeAccessToken = async (repos, payload) => {
+  if (!payload.jti) return;
+  const expiresAt = payload.exp * 1000;
+  revokedAccessTokens.set(payload.jti, expiresAt);
+  await repos.revokedTokens.add(payload.jti, new Date(expiresAt));
+};
+
+// Ends every session of a user: refresh tokens are revoked and access tokens
+// issued before now stop being accepted
+const revokeUserSessions = async (repos, userId) => {
+  const now = Date.now();
+  sessionCutoffs.set(String(userId), now);
+  await repos.users.update(userId, { sessions_revoked_at: new Date(now) });
+  await repos.refreshTokens.revokeForUser(userId);
+};
+
+const isAccessTokenRevoked = (payload) => {
+  const expiresAt = payload.jti && revokedAccessTokens.get(payload.jti);
+  if (expiresAt && expiresAt > Date.now()) return true;
+
+  // iat has second precision; tokens minted in the same second as the cutoff survive
+  const cutoff = sessionCutoffs.get(String(payload.id));
+  return Boolean(cutoff) && payload.iat < Math.floor(cutoff / 1000);
+};
+
+// Warms the in-memory denylist from the database on startup
+const loadRevokedTokens = async (repos) => {
+  const rows = await repos.revokedTokens.listActive();
+  rows.forEach((row) => revokedAccessTokens.set(row.jti, new Date(row.expires_at).getTime()));
+  pruneRevokedAccessTokens();
+
+  // Older cutoffs only affect access tokens that have expired anyway
+  const users = await repos.users.findSessionsRevokedSince(new Date(Date.now() - 60 * 60 * 1000));
+  users.forEach((row) => sessionCutoffs.set(String(row.id), new Date(row.sessions_revoked_at).getTime()));
+};
+
+// Forgets every revocation held in memory, e.g. when the database behind them
+// is swapped for an empty one
+const clearRevocations = () => {
+  revokedAccessTokens.clear();
+  sessionCutoffs.clear();
+};
+
+module.exports = {
+  JWT_SECRET,
+  hashToken,
+  signAccessToken,
+  issueRefreshToken,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAccessToken,
+  revokeUserSessions,
+  isAccessTokenRevoked,
+  loadRevokedTokens,
+  pruneRevokedAccessTokens,
+  clearRevocations,
+};
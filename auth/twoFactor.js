@@ -0,0 +1,56 @@
+// Two-factor authentication helpers: TOTP checks and single-use recovery codes.
+// Recovery codes are shown to the user once when 2FA is confirmed; only bcrypt
+// hashes are kept in two_factor_recovery_codes.
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const speakeasy = require('speakeasy');
+
+const RECOVERY_CODE_COUNT = 10;
+
+const verifyTotp = (secret, token) => Boolean(secret && token) && speakeasy.totp.verify({
+  secret,
+  encoding: 'base32',
+  token: String(token),
+  window: 1
+});
+
+// Codes look like "a1b2c-3d4e5"; input is normalised so dashes and case don't matter
+const normaliseRecoveryCode = (code) => String(code).toLowerCase().replace(/[^a-f0-9]/g, '');
+
+const generateRecoveryCodes = () => Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+  const hex = crypto.randomBytes(5).toString('hex');
+  return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+});
+
+// Replaces any existing codes for the user and returns the new plaintext codes
+const replaceRecoveryCodes = async (repos, userId) => {
+  const codes = generateRecoveryCodes();
+  const hashes = await Promise.all(codes.map(code => bcrypt.hash(normaliseRecoveryCode(code), 10)));
+
+  await repos.recoveryCodes.replace(userId, hashes);
+  return codes;
+};
+
+// Marks a matching unused code as used. Resolves to true if one was consumed.
+const consumeRecoveryCode = async (repos, userId, code) => {
+  const candidate = normaliseRecoveryCode(code);
+  if (!candidate) return false;
+
+  const rows = await repos.recoveryCodes.listUnused(userId);
+  for (const row of rows) {
+    if (await bcrypt.compare(candidate, row.code_hash)) {
+      return repos.recoveryCodes.markUsed(row.id);
+    }
+  }
+  return false;
+};
+
+const clearRecoveryCodes = (repos, userId) => repos.recoveryCodes.clear(userId);
+
+module.exports = {
+  RECOVERY_CODE_COUNT,
+  verifyTotp,
+  replaceRecoveryCodes,
+  consumeRecoveryCode,
+  clearRecoveryCodes,
+};
@@ -0,0 +1,68 @@
+// Registers uploads stored before the files table existed. Back then uploads/
+// was listed straight from disk and downloaded by stored name, so those files
+// have no files row and GET /download/:filename can't find them. Each one gets
+// a row named after its stored name, with its checksum, sniffed type and
+// modification time. Their uploader is unknown, so only admins see them until
+// they are shared. Files that already have a row are left alone, so the script
+// can be run again safely.
+//
+// Usage: node db/backfillFiles.js
+require('dotenv').config();
+const crypto = require('crypto');
+const mysql = require('mysql');
+const { createMysqlRepos } = require('../repos');
+const { fileStorageFromEnv } = require('../files/storage');
+const { SNIFF_BYTES, sniffType } = require('../files/sniff');
+
+// Uploads were stored under plain names. Keys under a prefix (.quarantine/,
+// avatars/) belong to other features, and .tmp files are writes in progress.
+const isUploadKey = (key) => !key.includes('/') && !key.startsWith('.') && !key.endsWith('.tmp');
+
+// Reads a stored file once for its SHA-256 and sniffed type
+const inspect = async (storage, key) => {
+  const hash = crypto.createHash('sha256');
+  let head = Buffer.alloc(0);
+  for await (const chunk of await storage.get(key)) {
+    hash.update(chunk);
+    if (head.length < SNIFF_BYTES) head = Buffer.concat([head, chunk]).subarray(0, SNIFF_BYTES);
+  }
+  return { checksum: hash.digest('hex'), type: sniffType(head).type };
+};
+
+// Resolves to the files rows created
+const backfillFiles = async ({ repos, storage, log = () => {} }) => {
+  const created = [];
+  for (const { key, size, modified } of await storage.list('')) {
+    if (!isUploadKey(key) || await repos.files.findByStoredName(key)) continue;
+    const { checksum, type } = await inspect(storage, key);
+    created.push(await repos.files.create({
+      stored_name: key,
+      original_name: key,
+      mime_type: type,
+      size,
+      checksum,
+      uploaded_by: null,
+      uploaded_at: modified,
+    }));
+    log(`Registered ${key}`);
+  }
+  return created;
+};
+
+if (require.main === module) {
+  const db = mysql.createConnection({
+    host: process.env.DB_HOST,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    database: process.env.DB_NAME,
+  });
+  backfillFiles({ repos: createMysqlRepos(db), storage: fileStorageFromEnv(), log: console.log })
+    .then((created) => console.log(created.length ? `Registered ${created.length} file(s)` : 'Nothing to backfill'))
+    .catch((err) => {
+      console.error(err.message);
+      process.exitCode = 1;
+    })
+    .finally(() => db.end(() => {}));
+}
+
+module.exports = { backfillFiles };
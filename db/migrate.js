@@ -0,0 +1,216 @@
+// Versioned schema migrations.
+// Migrations live in migrations/ as NNNN_name.up.sql / NNNN_name.down.sql pairs and
+// are applied in version order. Applied versions are recorded in schema_migrations
+// together with a checksum of the up script, so editing a migration after it has
+// run is detected instead of silently diverging.
+//
+// Usage: node db/migrate.js <status|up|down|create> [arg]
+//   status        list every migration and whether it is applied
+//   up            apply all pending migrations
+//   down [n]      roll back the last n applied migrations (default 1)
+//   create <name> write an empty up/down pair with the next version number
+require('dotenv').config();
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const mysql = require('mysql');
+const { query } = require('./query');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const FILE_PATTERN = /^(\d+)_([\w-]+)\.(up|down)\.sql$/;
+
+const checksum = (sql) => crypto.createHash('sha256').update(sql).digest('hex');
+
+// Reads the migrations directory into [{ version, name, up, down, checksum }]
+const loadMigrations = (dir = MIGRATIONS_DIR) => {
+  const byVersion = new Map();
+  if (!fs.existsSync(dir)) return [];
+
+  fs.readdirSync(dir).forEach((file) => {
+    const match = file.match(FILE_PATTERN);
+    if (!match) return;
+    const [, version, name, direction] = match;
+    const migration = byVersion.get(version) || { version, name, up: null, down: null };
+    if (migration.name !== name) {
+      throw new Error(`Migration ${version} has files with different names: ${migration.name}, ${name}`);
+    }
+    migration[direction] = fs.readFileSync(path.join(dir, file), 'utf8');
+    byVersion.set(version, migration);
+  });
+
+  return [...byVersion.values()]
+    .map((migration) => {
+      if (migration.up === null) {
+        throw new Error(`Migration ${migration.version}_${migration.name} has no .up.sql file`);
+      }
+      return { ...migration, checksum: checksum(migration.up) };
+    })
+    .sort((a, b) => Number(a.version) - Number(b.version));
+};
+
+const ensureMigrationsTable = (db) => query(db, `CREATE TABLE IF NOT EXISTS schema_migrations (
+  version VARCHAR(32) PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  checksum CHAR(64) NOT NULL,
+  applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+)`);
+
+// Every known migration with its state: applied, pending, modified (checksum
+// changed since it ran) or missing (recorded as applied but the file is gone)
+const getStatus = async (db, dir = MIGRATIONS_DIR) => {
+  await ensureMigrationsTable(db);
+  const migrations = loadMigrations(dir);
+  const rows = await query(db, 'SELECT version, name, checksum, applied_at FROM schema_migrations');
+  const applied = new Map(rows.map((row) => [row.version, row]));
+
+  const status = migrations.map((migration) => {
+    const row = applied.get(migration.version);
+    let state = 'pending';
+    if (row) state = row.checksum === migration.checksum ? 'applied' : 'modified';
+    return { version: migration.version, name: migration.name, state, appliedAt: row ? row.applied_at : null };
+  });
+
+  rows
+    .filter((row) => !migrations.some((migration) => migration.version === row.version))
+    .forEach((row) => status.push({ version: row.version, name: row.name, state: 'missing', appliedAt: row.applied_at }));
+
+  return status.sort((a, b) => Number(a.version) - Number(b.version));
+};
+
+const assertUnmodified = (status) => {
+  const modified = status.filter((entry) => entry.state === 'modified');
+  if (modified.length > 0) {
+    const list = modified.map((entry) => `${entry.version}_${entry.name}`).join(', ');
+    throw new Error(`Applied migrations have been edited: ${list}. Add a new migration instead.`);
+  }
+};
+
+// Applies pending migrations in order and resolves to the versions applied
+const migrateUp = async (db, dir = MIGRATIONS_DIR, log = console.log) => {
+  const status = await getStatus(db, dir);
+  assertUnmodified(status);
+
+  const pending = new Set(status.filter((entry) => entry.state === 'pending').map((entry) => entry.version));
+  const applied = [];
+  for (const migration of loadMigrations(dir)) {
+    if (!pending.has(migration.version)) continue;
+    log(`Applying ${migration.version}_${migration.name}`);
+    await query(db, migration.up);
+    await query(
+      db,
+      'INSERT INTO schema_migrations (version, name, checksum) VALUES (?, ?, ?)',
+      [migration.version, migration.name, migration.checksum]
+    );
+    applied.push(migration.version);
+  }
+  return applied;
+};
+
+// Rolls back the most recently applied migrations and resolves to their versions
+const migrateDown = async (db, steps = 1, dir = MIGRATIONS_DIR, log = console.log) => {
+  const status = await getStatus(db, dir);
+  assertUnmodified(status);
+
+  const migrations = new Map(loadMigrations(dir).map((migration) => [migration.version, migration]));
+  const targets = status.filter((entry) => entry.state !== 'pending').reverse().slice(0, steps);
+  const reverted = [];
+  for (const entry of targets) {
+    const migration = migrations.get(entry.version);
+    if (!migration || migration.down === null) {
+      throw new Error(`Cannot roll back ${entry.version}_${entry.name}: no .down.sql file`);
+    }
+    log(`Reverting ${entry.version}_${entry.name}`);
+    if (migration.down.trim()) {
+      await query(db, migration.down);
+    }
+    await query(db, 'DELETE FROM schema_migrations WHERE version = ?', [entry.version]);
+    reverted.push(entry.version);
+  }
+  return reverted;
+};
+
+// Writes an empty up/down pair numbered after the highest existing version
+const createMigration = (name, dir = MIGRATIONS_DIR) => {
+  const slug = String(name || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+  if (!slug) {
+    throw new Error('Migration name is required');
+  }
+
+  const migrations = loadMigrations(dir);
+  const last = migrations.length ? Number(migrations[migrations.length - 1].version) : 0;
+  const version = String(last + 1).padStart(4, '0');
+
+  fs.mkdirSync(dir, { recursive: true });
+  const files = ['up', 'down'].map((direction) => path.join(dir, `${version}_${slug}.${direction}.sql`));
+  fs.writeFileSync(files[0], `-- ${slug}\n`);
+  fs.writeFileSync(files[1], `-- Revert ${slug}\n`);
+  return files;
+};
+
+const createMigrationConnection = () => mysql.createConnection({
+  host: process.env.DB_HOST,
+  user: process.env.DB_USER,
+  password: process.env.DB_PASSWORD,
+  database: process.env.DB_NAME,
+  multipleStatements: true, // migration files hold several statements
+});
+
+const COMMANDS = ['status', 'up', 'down', 'create'];
+
+const run = async ([command = 'status', arg] = []) => {
+  if (!COMMANDS.includes(command)) {
+    throw new Error(`Unknown command "${command}". Use ${COMMANDS.join(', ')}.`);
+  }
+  if (command === 'create') {
+    createMigration(arg).forEach((file) => console.log(`Created ${path.relative(process.cwd(), file)}`));
+    return;
+  }
+
+  const db = createMigrationConnection();
+  try {
+    switch (command) {
+      case 'status': {
+        const status = await getStatus(db);
+        status.forEach((entry) => {
+          console.log(`${entry.state.padEnd(8)} ${entry.version}_${entry.name}${entry.appliedAt ? `  (${new Date(entry.appliedAt).toISOString()})` : ''}`);
+        });
+        break;
+      }
+      case 'up': {
+        const applied = await migrateUp(db);
+        console.log(applied.length ? `Applied ${applied.length} migration(s)` : 'Nothing to migrate');
+        break;
+      }
+      case 'down': {
+        const steps = arg === undefined ? 1 : parseInt(arg, 10);
+        if (!Number.isInteger(steps) || steps < 1) {
+          throw new Error('down expects a positive number of steps');
+        }
+        const reverted = await migrateDown(db, steps);
+        console.log(reverted.length ? `Reverted ${reverted.length} migration(s)` : 'Nothing to revert');
+        break;
+      }
+    }
+  } finally {
+    // Errors here repeat whatever already failed the command
+    db.end(() => {});
+  }
+};
+
+if (require.main === module) {
+  run(process.argv.slice(2)).catch((err) => {
+    console.error(err.message);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  checksum,
+  loadMigrations,
+  getStatus,
+  migrateUp,
+  migrateDown,
+  createMigration,
+  run,
+};
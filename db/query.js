@@ -0,0 +1,69 @@
+// Promise helpers around the callback-style mysql API. `db` is either the pool
+// created in server.js or anything with a compatible query(sql, params, cb),
+// such as a single connection or a test double.
+const { Readable } = require('stream');
+
+const query = (db, sql, params = []) => new Promise((resolve, reject) => {
+  db.query(sql, params, (err, results) => (err ? reject(err) : resolve(results)));
+});
+
+const call = (target, method) => new Promise((resolve, reject) => {
+  target[method]((err, result) => (err ? reject(err) : resolve(result)));
+});
+
+// Runs fn(connection) inside a transaction and resolves to its result. Pools
+// hand out a dedicated connection so every statement in fn shares the
+// transaction; it is committed when fn resolves and rolled back when it throws.
+// Doubles without transaction support just run fn against themselves.
+const transaction = async (db, fn) => {
+  const pooled = typeof db.getConnection === 'function';
+  const connection = pooled ? await call(db, 'getConnection') : db;
+  const transactional = typeof connection.beginTransaction === 'function';
+
+  try {
+    if (transactional) await call(connection, 'beginTransaction');
+    const result = await fn(connection);
+    if (transactional) await call(connection, 'commit');
+    return result;
+  } catch (err) {
+    if (transactional) {
+      await call(connection, 'rollback').catch((rollbackErr) => {
+        console.error('Failed to roll back transaction:', rollbackErr);
+      });
+    }
+    throw err;
+  } finally {
+    if (pooled) connection.release();
+  }
+};
+
+// Yields result rows one at a time instead of buffering the whole result, and
+// stops reading from MySQL while the consumer is behind. Pools lend a
+// dedicated connection for the duration. The driver can't cancel a query that
+// is still sending rows, so if the consumer stops early that connection is
+// destroyed rather than handed back to the pool.
+async function* streamQuery(db, sql, params = [], { highWaterMark = 100 } = {}) {
+  const pooled = typeof db.getConnection === 'function';
+  const connection = pooled ? await call(db, 'getConnection') : db;
+  let finished = false;
+
+  try {
+    // The driver's row stream predates async iteration; wrap() adapts it
+    const rows = new Readable({ objectMode: true, highWaterMark })
+      .wrap(connection.query(sql, params).stream({ highWaterMark }));
+    for await (const row of rows) {
+      yield row;
+    }
+    finished = true;
+  } finally {
+    if (pooled) {
+      if (finished) {
+        connection.release();
+      } else {
+        connection.destroy();
+      }
+    }
+  }
+}
+
+module.exports = { query, transaction, streamQuery };
@@ -0,0 +1,13 @@
+// SHA-256 checksums of stored files, as lowercase hex
+const crypto = require('crypto');
+const fs = require('fs');
+
+const sha256File = (filePath) => new Promise((resolve, reject) => {
+  const hash = crypto.createHash('sha256');
+  fs.createReadStream(filePath)
+    .on('error', reject)
+    .on('data', chunk => hash.update(chunk))
+    .on('end', () => resolve(hash.digest('hex')));
+});
+
+module.exports = { sha256File };
@@ -0,0 +1,70 @@
+// Validation of the file metadata uploaders can edit: a display name, a
+// description, tags and the virtual folder. Folders are only a path stored
+// with each file; a folder exists while some file is in it.
+const MAX_NAME_LENGTH = 255;
+const MAX_DESCRIPTION_LENGTH = 2000;
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 50;
+const MAX_FOLDER_LENGTH = 255;
+const ROOT_FOLDER = '/';
+
+// '/a/b' for 'a/b/', ' /a//b ' and the like, or null for a path with an
+// empty-looking, '.' or '..' segment or one that is too long
+const normalizeFolder = (value) => {
+  if (typeof value !== 'string') return null;
+  const segments = value.split('/').map(segment => segment.trim()).filter(Boolean);
+  if (segments.some(segment => segment === '.' || segment === '..' || segment.includes('\\'))) return null;
+  const folder = `/${segments.join('/')}`;
+  return folder.length <= MAX_FOLDER_LENGTH ? folder : null;
+};
+
+// Trimmed, lowercased and without duplicates, or null if any tag is invalid
+const normalizeTags = (value) => {
+  if (!Array.isArray(value) || value.some(tag => typeof tag !== 'string')) return null;
+  const tags = [...new Set(value.map(tag => tag.trim().toLowerCase()))];
+  if (tags.length > MAX_TAGS || tags.some(tag => !tag || tag.length > MAX_TAG_LENGTH)) return null;
+  return tags;
+};
+
+// Turns a PATCH body ({ displayName, description, tags, folder }, all optional,
+// null resetting the name and description) into column changes. Resolves to
+// { changes } or { error }.
+const parseFileChanges = (body) => {
+  const { displayName, description, tags, folder } = body || {};
+  const changes = {};
+
+  if (displayName !== undefined) {
+    if (displayName !== null && (typeof displayName !== 'string' || !displayName.trim()
+      || displayName.length > MAX_NAME_LENGTH)) {
+      return { error: `displayName must be 1 to ${MAX_NAME_LENGTH} characters` };
+    }
+    changes.display_name = displayName === null ? null : displayName.trim();
+  }
+  if (description !== undefined) {
+    if (description !== null && (typeof description !== 'string' || description.length > MAX_DESCRIPTION_LENGTH)) {
+      return { error: `description must be at most ${MAX_DESCRIPTION_LENGTH} characters` };
+    }
+    changes.description = description || null;
+  }
+  if (tags !== undefined) {
+    const normalized = normalizeTags(tags);
+    if (!normalized) {
+      return { error: `tags must be a list of at most ${MAX_TAGS} tags of 1 to ${MAX_TAG_LENGTH} characters` };
+    }
+    changes.tags = normalized;
+  }
+  if (folder !== undefined) {
+    const normalized = normalizeFolder(folder);
+    if (!normalized) {
+      return { error: 'folder must be a path like /reports/2024' };
+    }
+    changes.folder = normalized;
+  }
+
+  if (Object.keys(changes).length === 0) {
+    return { error: 'Nothing to change' };
+  }
+  return { changes };
+};
+
+module.exports = { ROOT_FOLDER, normalizeFolder, normalizeTags, parseFileChanges };
@@ -0,0 +1,40 @@
+// Storage quotas, in bytes, checked whenever a file is about to be stored:
+// USER_STORAGE_QUOTA caps what each user has uploaded (1 GiB by default) and
+// GLOBAL_STORAGE_QUOTA all stored files together (no cap by default). A quota
+// of 0 means no cap. Quarantined files count too.
+const DEFAULT_USER_QUOTA = 1024 * 1024 * 1024;
+
+const parseQuota = (value, fallback) => {
+  if (value === undefined || value === '') return fallback;
+  if (!/^\d+$/.test(String(value))) {
+    throw new Error(`Invalid storage quota: ${value}`);
+  }
+  return Number(value) || null;
+};
+
+const quotasFromEnv = (env = process.env) => ({
+  user: parseQuota(env.USER_STORAGE_QUOTA, DEFAULT_USER_QUOTA),
+  global: parseQuota(env.GLOBAL_STORAGE_QUOTA, null),
+});
+
+// Usage as GET /files/usage reports it; quota and remaining are null without a cap
+const usageReport = ({ files, bytes }, quota) => ({
+  files,
+  used: bytes,
+  quota,
+  remaining: quota === null ? null : Math.max(quota - bytes, 0),
+});
+
+// Resolves to null if `size` more bytes fit in both quotas, or the
+// { status, error } to refuse the file with
+const checkQuotas = (size, { user, global }, quotas) => {
+  if (quotas.user !== null && user.bytes + size > quotas.user) {
+    return { status: 413, error: 'Storage quota exceeded', quota: quotas.user, used: user.bytes };
+  }
+  if (quotas.global !== null && global.bytes + size > quotas.global) {
+    return { status: 507, error: 'Storage is full' };
+  }
+  return null;
+};
+
+module.exports = { DEFAULT_USER_QUOTA, quotasFromEnv, usageReport, checkQuotas };
@@ -0,0 +1,61 @@
+// Resumable uploads. The bytes of an upload in progress are appended to a
+// partial file under .partial/ in the local upload work directory, named after
+// its session id, which goes to the file storage once the upload is finalized.
+// Sessions are in the database but partial files are not, so an instance
+// other than the one that received the first chunks, or one restarted on a
+// fresh disk, has no partial file for a session.
+const fs = require('fs');
+const path = require('path');
+const { Writable, pipeline } = require('stream');
+
+const PARTIAL_DIR = '.partial';
+
+const partialPath = (uploadDir, sessionId) => path.join(uploadDir, PARTIAL_DIR, sessionId);
+
+// Creates the empty partial file of a new session
+const createPartial = async (uploadDir, sessionId) => {
+  await fs.promises.mkdir(path.join(uploadDir, PARTIAL_DIR), { recursive: true });
+  await fs.promises.writeFile(partialPath(uploadDir, sessionId), '');
+};
+
+const hasPartial = async (uploadDir, sessionId) => {
+  try {
+    return (await fs.promises.stat(partialPath(uploadDir, sessionId))).isFile();
+  } catch (err) {
+    if (err.code === 'ENOENT') return false;
+    throw err;
+  }
+};
+
+const removePartial = (uploadDir, sessionId) => fs.promises.rm(partialPath(uploadDir, sessionId), { force: true });
+
+// Appends the body of `req` to the partial file, which must hold exactly
+// `offset` bytes, taking at most `maxBytes`. Anything past that is read and
+// discarded. Resolves to { written, tooLarge, error }; `written` counts the
+// bytes that reached the file even when the client went away mid-chunk.
+const appendChunk = async (req, filePath, { offset, maxBytes }) => {
+  // Bytes past the recorded offset are left over from a write that failed
+  await fs.promises.truncate(filePath, offset);
+
+  const handle = await fs.promises.open(filePath, 'a');
+  let written = 0;
+  let tooLarge = false;
+  const sink = new Writable({
+    write(chunk, encoding, callback) {
+      if (tooLarge || written + chunk.length > maxBytes) {
+        tooLarge = true;
+        return callback();
+      }
+      handle.write(chunk).then(() => {
+        written += chunk.length;
+        callback();
+      }, callback);
+    },
+  });
+
+  const error = await new Promise(resolve => pipeline(req, sink, resolve));
+  await handle.close();
+  return { written, tooLarge, error: error || null };
+};
+
+module.exports = { partialPath, createPartial, hasPartial, removePartial, appendChunk };
@@ -0,0 +1,24 @@
+// Content scanners. A scanner is { name, scan(filePath, file) } where file is
+// { type, size } and scan resolves to { clean: true } or { clean: false, reason }.
+// Uploads that don't come back clean are quarantined. The local scanner is a
+// stub that only recognises the EICAR test file, so quarantine can be tried
+// out; a deployment plugs a real antivirus in through setScanner.
+const fs = require('fs');
+
+// The EICAR file is this string, optionally followed by whitespace, within
+// the first 128 bytes
+const EICAR_SIGNATURE = 'X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*';
+const EICAR_MAX_BYTES = 128;
+
+const createLocalScanner = () => ({
+  name: 'local',
+  scan: async (filePath, { size }) => {
+    if (size > EICAR_MAX_BYTES) return { clean: true };
+    const content = await fs.promises.readFile(filePath, 'latin1');
+    return content.startsWith(EICAR_SIGNATURE)
+      ? { clean: false, reason: 'EICAR test signature' }
+      : { clean: true };
+  },
+});
+
+module.exports = { EICAR_SIGNATURE, createLocalScanner };
@@ -0,0 +1,32 @@
+// Signed download links. A link names a file and an expiry time and carries an
+// HMAC-SHA256 of both, so it works without a token until it expires and can't
+// be altered to point at another file or last longer.
+const crypto = require('crypto');
+const { JWT_SECRET } = require('../auth/tokens');
+
+const FILE_LINK_SECRET = process.env.FILE_LINK_SECRET || JWT_SECRET;
+const MAX_LINK_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+const signatureOf = (fileId, expires) => crypto
+  .createHmac('sha256', FILE_LINK_SECRET)
+  .update(`${fileId}:${expires}`)
+  .digest('base64url');
+
+// Query parameters of a link to the file that expires at `expiresAt` (ms)
+const signDownload = (fileId, expiresAt) => {
+  const expires = Math.floor(expiresAt / 1000);
+  return { expires, signature: signatureOf(fileId, expires) };
+};
+
+// Whether `expires` and `signature` from a link are genuine for the file and
+// have not expired
+const verifyDownload = (fileId, { expires, signature }, now = Date.now()) => {
+  if (!/^\d+$/.test(String(expires)) || typeof signature !== 'string') return false;
+  if (Number(expires) * 1000 <= now) return false;
+
+  const expected = Buffer.from(signatureOf(String(fileId), expires));
+  const actual = Buffer.from(signature);
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+};
+
+module.exports = { MAX_LINK_TTL_SECONDS, signDownload, verifyDownload };
@@ -0,0 +1,77 @@
+// Content type detection from the first bytes of a file (its magic bytes), so
+// what gets stored doesn't depend on the name or Content-Type the client sent.
+const fs = require('fs');
+
+// How much of a file is read to recognise it
+const SNIFF_BYTES = 512;
+
+const UNKNOWN = { type: 'application/octet-stream', ext: '.bin' };
+
+// parts: [offset, bytes] pairs that must all match; bytes as a string are ASCII
+const signature = (type, ext, ...parts) => ({
+  type,
+  ext,
+  parts: parts.map(([offset, bytes]) => [offset, Buffer.from(bytes, typeof bytes === 'string' ? 'latin1' : undefined)]),
+});
+
+const SIGNATURES = [
+  signature('image/png', '.png', [0, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]]),
+  signature('image/jpeg', '.jpg', [0, [0xff, 0xd8, 0xff]]),
+  signature('image/gif', '.gif', [0, 'GIF87a']),
+  signature('image/gif', '.gif', [0, 'GIF89a']),
+  signature('image/webp', '.webp', [0, 'RIFF'], [8, 'WEBP']),
+  signature('image/bmp', '.bmp', [0, 'BM']),
+  signature('application/pdf', '.pdf', [0, '%PDF-']),
+  signature('application/zip', '.zip', [0, [0x50, 0x4b, 0x03, 0x04]]),
+  signature('application/zip', '.zip', [0, [0x50, 0x4b, 0x05, 0x06]]),
+  signature('application/gzip', '.gz', [0, [0x1f, 0x8b]]),
+  signature('audio/mpeg', '.mp3', [0, 'ID3']),
+  signature('video/mp4', '.mp4', [4, 'ftyp']),
+  signature('application/x-msdownload', '.exe', [0, 'MZ']),
+  signature('application/x-executable', '.elf', [0, [0x7f, 0x45, 0x4c, 0x46]]),
+  signature('application/x-mach-binary', '.macho', [0, [0xcf, 0xfa, 0xed, 0xfe]]),
+];
+
+const matches = (head, { parts }) => parts.every(([offset, bytes]) => head.length >= offset + bytes.length
+  && head.subarray(offset, offset + bytes.length).equals(bytes));
+
+// Text is UTF-8 without NUL bytes. Markup a browser would render gets its own
+// type so it can be blocked.
+const sniffText = (head) => {
+  if (head.includes(0)) return null;
+  let text;
+  try {
+    // stream: a multi-byte character cut off at the end of head is fine
+    text = new TextDecoder('utf-8', { fatal: true }).decode(head, { stream: true });
+  } catch (err) {
+    return null;
+  }
+  const start = text.replace(/^\uFEFF/, '').trimStart().toLowerCase();
+  if (start.startsWith('<svg') || (start.startsWith('<?xml') && start.includes('<svg'))) {
+    return { type: 'image/svg+xml', ext: '.svg' };
+  }
+  if (/^<(!doctype html|html|head|body|script|iframe)[\s>]/.test(start)) {
+    return { type: 'text/html', ext: '.html' };
+  }
+  return { type: 'text/plain', ext: '.txt' };
+};
+
+// Resolves the first bytes of a file to { type, ext }
+const sniffType = (head) => {
+  if (head.length === 0) return UNKNOWN;
+  const known = SIGNATURES.find(sig => matches(head, sig));
+  if (known) return { type: known.type, ext: known.ext };
+  return sniffText(head) || UNKNOWN;
+};
+
+const sniffFile = async (filePath) => {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(SNIFF_BYTES), 0, SNIFF_BYTES, 0);
+    return sniffType(buffer.subarray(0, bytesRead));
+  } finally {
+    await handle.close();
+  }
+};
+
+module.exports = { SNIFF_BYTES, sniffType, sniffFile };
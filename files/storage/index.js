@@ -0,0 +1,39 @@
+// Where uploaded files are kept. Stored files are addressed by key (their
+// stored name, or '.quarantine/<stored name>') and only reached through a
+// driver with the same interface:
+// - put(key, stream, { size, contentType }) stores a file
+// - get(key) resolves to a readable stream, or rejects with code ENOENT
+// - delete(key) removes a file if it is there
+// - list(prefix) resolves to [{ key, size, modified }]
+// - stat(key) resolves to { size, modified }, or null for no such file
+// FILE_STORAGE picks the driver: 'local' (default) keeps files under
+// UPLOAD_DIR, 's3' in the S3_BUCKET bucket, which a deploy with an ephemeral
+// filesystem needs.
+const path = require('path');
+const { createLocalStorage } = require('./local');
+const { createS3Storage } = require('./s3');
+
+const FILE_STORAGE_DRIVERS = ['local', 's3'];
+
+const DEFAULT_UPLOAD_DIR = path.join(__dirname, '..', '..', 'uploads');
+
+const fileStorageFromEnv = (env = process.env) => {
+  const driver = env.FILE_STORAGE || 'local';
+  if (driver === 'local') {
+    return createLocalStorage(env.UPLOAD_DIR || DEFAULT_UPLOAD_DIR);
+  }
+  if (driver === 's3') {
+    return createS3Storage({
+      bucket: env.S3_BUCKET,
+      region: env.S3_REGION || env.AWS_REGION,
+      endpoint: env.S3_ENDPOINT,
+      prefix: env.S3_PREFIX,
+      accessKeyId: env.S3_ACCESS_KEY_ID || env.AWS_ACCESS_KEY_ID,
+      secretAccessKey: env.S3_SECRET_ACCESS_KEY || env.AWS_SECRET_ACCESS_KEY,
+      sessionToken: env.S3_SESSION_TOKEN || env.AWS_SESSION_TOKEN,
+    });
+  }
+  throw new Error(`Unknown FILE_STORAGE "${driver}" (expected ${FILE_STORAGE_DRIVERS.join(' or ')})`);
+};
+
+module.exports = { FILE_STORAGE_DRIVERS, fileStorageFromEnv, createLocalStorage, createS3Storage };
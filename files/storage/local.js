@@ -0,0 +1,74 @@
+// Local disk driver: each key is a file under `root`, with '/' in keys making
+// subdirectories.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+
+const notFound = (key) => Object.assign(new Error(`No stored file ${key}`), { code: 'ENOENT' });
+
+const createLocalStorage = (root) => {
+  const base = path.resolve(root);
+
+  // Keys can't reach outside root
+  const pathOf = (key) => {
+    const filePath = path.resolve(base, String(key));
+    if (!filePath.startsWith(base + path.sep)) {
+      throw Object.assign(new Error(`Invalid storage key ${key}`), { code: 'EINVAL' });
+    }
+    return filePath;
+  };
+
+  const stat = async (key) => {
+    try {
+      const stats = await fs.promises.stat(pathOf(key));
+      return stats.isFile() ? { size: stats.size, modified: new Date(stats.mtimeMs) } : null;
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  };
+
+  // Writes to a temporary name first so a key never holds half a file
+  const put = async (key, source) => {
+    const filePath = pathOf(key);
+    const tempPath = `${filePath}.${crypto.randomUUID()}.tmp`;
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    try {
+      await pipeline(source, fs.createWriteStream(tempPath));
+      await fs.promises.rename(tempPath, filePath);
+    } catch (err) {
+      await fs.promises.rm(tempPath, { force: true });
+      throw err;
+    }
+  };
+
+  const get = async (key) => {
+    let handle;
+    try {
+      handle = await fs.promises.open(pathOf(key), 'r');
+    } catch (err) {
+      throw err.code === 'ENOENT' || err.code === 'EISDIR' ? notFound(key) : err;
+    }
+    return handle.createReadStream();
+  };
+
+  const remove = (key) => fs.promises.rm(pathOf(key), { force: true });
+
+  const list = async (prefix = '') => {
+    let names;
+    try {
+      names = await fs.promises.readdir(base, { recursive: true });
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+    const keys = names.map(name => name.split(path.sep).join('/')).filter(key => key.startsWith(prefix)).sort();
+    const entries = await Promise.all(keys.map(async key => ({ key, ...(await stat(key)) })));
+    return entries.filter(entry => entry.size !== undefined);
+  };
+
+  return { name: 'local', put, get, delete: remove, list, stat };
+};
+
+module.exports = { createLocalStorage };
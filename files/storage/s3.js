@@ -0,0 +1,189 @@
+// S3 driver, for AWS S3 or any server speaking the S3 API (MinIO, LocalStack).
+// Requests are signed with AWS Signature Version 4. Bodies are streamed
+// unsigned (UNSIGNED-PAYLOAD), so puts need the size up front.
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+
+const sha256Hex = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// RFC 3986 encoding, which is what SigV4 expects
+const encode = (value) => encodeURIComponent(value)
+  .replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+const encodePath = (key) => key.split('/').map(encode).join('/');
+
+// Adds the x-amz-date and Authorization headers for a request.
+// request: { method, host, path (already encoded), query, headers, payloadHash }
+// credentials: { accessKeyId, secretAccessKey, region }
+const signRequest = (request, { accessKeyId, secretAccessKey, region }, now = new Date()) => {
+  const amzDate = now.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  const date = amzDate.slice(0, 8);
+  const headers = {
+    ...request.headers,
+    host: request.host,
+    'x-amz-date': amzDate,
+    'x-amz-content-sha256': request.payloadHash,
+  };
+
+  const names = Object.keys(headers).map(name => name.toLowerCase()).sort();
+  const valueOf = (name) => String(headers[Object.keys(headers).find(key => key.toLowerCase() === name)]).trim();
+  const signedHeaders = names.join(';');
+  const canonicalQuery = Object.keys(request.query || {}).sort()
+    .map(key => `${encode(key)}=${encode(request.query[key])}`)
+    .join('&');
+  const canonicalRequest = [
+    request.method,
+    request.path,
+    canonicalQuery,
+    ...names.map(name => `${name}:${valueOf(name)}`),
+    '',
+    signedHeaders,
+    request.payloadHash,
+  ].join('\n');
+
+  const scope = `${date}/${region}/s3/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+  const signingKey = ['s3', 'aws4_request'].reduce(hmac, hmac(hmac(`AWS4${secretAccessKey}`, date), region));
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  return {
+    ...headers,
+    Authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`,
+  };
+};
+
+const decodeXml = (text) => text
+  .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+  .replace(/&amp;/g, '&');
+
+const tagValue = (xml, tag) => {
+  const match = xml.match(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`));
+  return match ? decodeXml(match[1]) : undefined;
+};
+
+const readBody = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks).toString('utf8');
+};
+
+// options: { bucket, region, endpoint, prefix, accessKeyId, secretAccessKey, sessionToken }.
+// Without an endpoint, AWS's virtual-hosted bucket URL is used; with one
+// (e.g. http://localhost:9000), path-style URLs under it.
+const createS3Storage = ({
+  bucket,
+  region = 'us-east-1',
+  endpoint,
+  prefix = '',
+  accessKeyId,
+  secretAccessKey,
+  sessionToken,
+}) => {
+  if (!bucket) throw new Error('S3 storage needs a bucket');
+  const base = new URL(endpoint || `https://${bucket}.s3.${region}.amazonaws.com`);
+  const bucketPath = `${base.pathname.replace(/\/$/, '')}${endpoint ? `/${encode(bucket)}` : ''}`;
+  const transport = base.protocol === 'http:' ? http : https;
+  const credentials = { accessKeyId, secretAccessKey, region };
+
+  // Resolves to the response once its headers are in; `body` is piped in
+  const send = ({ method, key = '', query, headers = {}, body }) => new Promise((resolve, reject) => {
+    const objectPath = `${bucketPath}/${key ? encodePath(prefix + key) : ''}`;
+    const search = Object.keys(query || {}).map(name => `${encode(name)}=${encode(query[name])}`).join('&');
+    const signed = signRequest({
+      method,
+      host: base.host,
+      path: objectPath,
+      query,
+      headers: sessionToken ? { ...headers, 'x-amz-security-token': sessionToken } : headers,
+      payloadHash: body ? 'UNSIGNED-PAYLOAD' : sha256Hex(''),
+    }, credentials);
+
+    const req = transport.request({
+      protocol: base.protocol,
+      hostname: base.hostname,
+      port: base.port,
+      method,
+      path: search ? `${objectPath}?${search}` : objectPath,
+      headers: signed,
+    }, resolve);
+    req.on('error', reject);
+    if (body) {
+      body.on('error', (err) => req.destroy(err));
+      body.pipe(req);
+    } else {
+      req.end();
+    }
+  });
+
+  // Drains a response and rejects unless it has one of the expected statuses
+  const expect = async (res, statuses, what) => {
+    const text = await readBody(res);
+    if (statuses.includes(res.statusCode)) return text;
+    const code = tagValue(text, 'Code');
+    throw Object.assign(
+      new Error(`S3 ${what} failed with ${res.statusCode}${code ? ` ${code}` : ''}`),
+      { status: res.statusCode }
+    );
+  };
+
+  const notFound = (key) => Object.assign(new Error(`No stored file ${key}`), { code: 'ENOENT' });
+
+  const put = async (key, source, { size, contentType = 'application/octet-stream' } = {}) => {
+    if (!Number.isInteger(size)) throw new Error('S3 puts need the size of the content');
+    const res = await send({
+      method: 'PUT',
+      key,
+      headers: { 'content-length': String(size), 'content-type': contentType },
+      body: source,
+    });
+    await expect(res, [200], `put of ${key}`);
+  };
+
+  const get = async (key) => {
+    const res = await send({ method: 'GET', key });
+    if (res.statusCode === 200) return res;
+    if (res.statusCode === 404) {
+      res.resume();
+      throw notFound(key);
+    }
+    await expect(res, [], `get of ${key}`);
+  };
+
+  const stat = async (key) => {
+    const res = await send({ method: 'HEAD', key });
+    res.resume();
+    if (res.statusCode === 404) return null;
+    await expect(res, [200], `stat of ${key}`);
+    return { size: Number(res.headers['content-length']), modified: new Date(res.headers['last-modified']) };
+  };
+
+  const remove = async (key) => {
+    await expect(await send({ method: 'DELETE', key }), [200, 204, 404], `delete of ${key}`);
+  };
+
+  // Pages through ListObjectsV2
+  const list = async (keyPrefix = '') => {
+    const entries = [];
+    let token;
+    do {
+      const query = { 'list-type': '2', prefix: prefix + keyPrefix };
+      if (token) query['continuation-token'] = token;
+      const xml = await expect(await send({ method: 'GET', query }), [200], 'list');
+      for (const [, contents] of xml.matchAll(/<Contents>([\s\S]*?)<\/Contents>/g)) {
+        entries.push({
+          key: tagValue(contents, 'Key').slice(prefix.length),
+          size: Number(tagValue(contents, 'Size')),
+          modified: new Date(tagValue(contents, 'LastModified')),
+        });
+      }
+      token = tagValue(xml, 'IsTruncated') === 'true' ? tagValue(xml, 'NextContinuationToken') : undefined;
+    } while (token);
+    return entries;
+  };
+
+  return { name: 's3', put, get, delete: remove, list, stat };
+};
+
+module.exports = { signRequest, createS3Storage };
@@ -0,0 +1,54 @@
+// Which uploads are accepted, judged by their sniffed content type and size.
+// Types are matched exactly or by pattern: 'image/*', or '*/*' for anything.
+// Configured from the environment:
+// - UPLOAD_ALLOWED_TYPES: when set, only these types are accepted
+// - UPLOAD_BLOCKED_TYPES: refused even when allowed; defaults to executables
+//   and markup a browser would run
+// - UPLOAD_MAX_SIZES: per type limits in bytes, 'image/*=10485760,*/*=52428800';
+//   the first rule matching the type applies
+const DEFAULT_BLOCKED_TYPES = [
+  'application/x-msdownload',
+  'application/x-executable',
+  'application/x-mach-binary',
+  'text/html',
+  'image/svg+xml',
+];
+
+const matchesType = (type, pattern) => pattern === '*/*'
+  || pattern === type
+  || (pattern.endsWith('/*') && type.startsWith(pattern.slice(0, -1)));
+
+const parseList = (value) => value.split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+
+const parseMaxSizes = (value) => parseList(value).map((rule) => {
+  const [pattern, maxSize] = rule.split('=');
+  if (!pattern || !/^\d+$/.test(maxSize || '')) {
+    throw new Error(`Invalid UPLOAD_MAX_SIZES rule: ${rule}`);
+  }
+  return { pattern, maxSize: Number(maxSize) };
+});
+
+// allowed: patterns, or null for any type not blocked
+// maxSizes: [{ pattern, maxSize }], first match wins
+const createUploadPolicy = ({ allowed = null, blocked = DEFAULT_BLOCKED_TYPES, maxSizes = [] } = {}) => ({
+  // Resolves to null for an acceptable file, or the { status, error } to refuse it with
+  check: ({ type, size }) => {
+    if (blocked.some(pattern => matchesType(type, pattern))
+      || (allowed && !allowed.some(pattern => matchesType(type, pattern)))) {
+      return { status: 415, error: `Files of type ${type} are not allowed` };
+    }
+    const rule = maxSizes.find(({ pattern }) => matchesType(type, pattern));
+    if (rule && size > rule.maxSize) {
+      return { status: 413, error: `Files of type ${type} may be at most ${rule.maxSize} bytes` };
+    }
+    return null;
+  },
+});
+
+const uploadPolicyFromEnv = (env = process.env) => createUploadPolicy({
+  allowed: env.UPLOAD_ALLOWED_TYPES ? parseList(env.UPLOAD_ALLOWED_TYPES) : null,
+  blocked: env.UPLOAD_BLOCKED_TYPES !== undefined ? parseList(env.UPLOAD_BLOCKED_TYPES) : DEFAULT_BLOCKED_TYPES,
+  maxSizes: env.UPLOAD_MAX_SIZES ? parseMaxSizes(env.UPLOAD_MAX_SIZES) : [],
+});
+
+module.exports = { DEFAULT_BLOCKED_TYPES, createUploadPolicy, uploadPolicyFromEnv };
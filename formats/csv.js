@@ -0,0 +1,75 @@
+// CSV as in RFC 4180: comma separated, fields optionally wrapped in double
+// quotes, "" for a quote inside a quoted field, CRLF or LF line endings.
+
+// Splits text into records of raw string fields. Blank lines are skipped.
+// Throws on a quote that is never closed.
+const parseCsv = (text) => {
+  const source = String(text).replace(/^\uFEFF/, '');
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  let i = 0;
+
+  const endRecord = () => {
+    record.push(field);
+    if (record.length > 1 || record[0] !== '') records.push(record);
+    record = [];
+    field = '';
+  };
+
+  while (i < source.length) {
+    const ch = source[i];
+    if (quoted) {
+      if (ch === '"' && source[i + 1] === '"') {
+        field += '"';
+        i += 2;
+        continue;
+      }
+      if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+      i += 1;
+      continue;
+    }
+
+    if (ch === '"' && field === '') {
+      quoted = true;
+    } else if (ch === ',') {
+      record.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      endRecord();
+      if (ch === '\r' && source[i + 1] === '\n') i += 1;
+    } else {
+      field += ch;
+    }
+    i += 1;
+  }
+
+  if (quoted) throw new Error('Unterminated quoted field');
+  if (field !== '' || record.length > 0) endRecord();
+  return records;
+};
+
+// Records as objects keyed by the header row, whose names are trimmed and
+// lower-cased. Missing trailing fields come back as undefined.
+const parseCsvObjects = (text) => {
+  const [header, ...records] = parseCsv(text);
+  if (!header) return [];
+  const keys = header.map(key => key.trim().toLowerCase());
+  return records.map(record => Object.fromEntries(keys.map((key, index) => [key, record[index]])));
+};
+
+// Fields that hold a comma, quote or line break are quoted
+const formatCsvField = (value) => {
+  const text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One record, CRLF-terminated
+const formatCsvRow = (values) => `${values.map(formatCsvField).join(',')}\r\n`;
+
+module.exports = { parseCsv, parseCsvObjects, formatCsvRow };
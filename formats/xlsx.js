@@ -0,0 +1,64 @@
+// Streaming single-sheet XLSX writer. The workbook is the minimal set of parts
+// Excel and LibreOffice accept; cells are inline strings or numbers, without
+// styles, so dates are written as ISO 8601 text.
+const { zip } = require('./zip');
+
+const XLSX_CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const SHEET_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const REL_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+const CONTENT_TYPES = `${XML_HEADER}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">`
+  + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+  + '<Default Extension="xml" ContentType="application/xml"/>'
+  + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+  + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+  + '</Types>';
+
+const ROOT_RELS = `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+  + `<Relationship Id="rId1" Type="${REL_NS}/officeDocument" Target="xl/workbook.xml"/>`
+  + '</Relationships>';
+
+const WORKBOOK_RELS = `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+  + `<Relationship Id="rId1" Type="${REL_NS}/worksheet" Target="worksheets/sheet1.xml"/>`
+  + '</Relationships>';
+
+const escapeXml = (text) => text
+  // XML 1.0 allows no control characters but tab and line breaks, nor U+FFFE/U+FFFF
+  .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f\ufffe\uffff]/g, '')
+  .replace(/[&<>"]/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[ch]));
+
+const cell = (value) => {
+  if (value === null || value === undefined) return '<c/>';
+  if (typeof value === 'number' && Number.isFinite(value)) return `<c><v>${value}</v></c>`;
+  if (typeof value === 'boolean') return `<c t="b"><v>${value ? 1 : 0}</v></c>`;
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return `<c t="inlineStr"><is><t xml:space="preserve">${escapeXml(text)}</t></is></c>`;
+};
+
+const row = (values) => `<row>${values.map(cell).join('')}</row>`;
+
+async function* sheet(header, rows) {
+  yield `${XML_HEADER}<worksheet xmlns="${SHEET_NS}"><sheetData>${row(header)}`;
+  for await (const values of rows) {
+    yield row(values);
+  }
+  yield '</sheetData></worksheet>';
+}
+
+// header: the first row's values. rows: (async) iterable of arrays of cell
+// values. Yields the .xlsx file as Buffers.
+const xlsx = ({ sheetName = 'Sheet1', header, rows }) => zip([
+  { name: '[Content_Types].xml', content: CONTENT_TYPES },
+  { name: '_rels/.rels', content: ROOT_RELS },
+  {
+    name: 'xl/workbook.xml',
+    content: `${XML_HEADER}<workbook xmlns="${SHEET_NS}" xmlns:r="${REL_NS}">`
+      + `<sheets><sheet name="${escapeXml(sheetName)}" sheetId="1" r:id="rId1"/></sheets></workbook>`,
+  },
+  { name: 'xl/_rels/workbook.xml.rels', content: WORKBOOK_RELS },
+  { name: 'xl/worksheets/sheet1.xml', content: sheet(header, rows) },
+]);
+
+module.exports = { XLSX_CONTENT_TYPE, xlsx };
@@ -0,0 +1,130 @@
+// Streaming ZIP writer. Entries are deflated as their content arrives, and
+// their sizes and CRCs go in a data descriptor after the data, so nothing has
+// to be held in memory or known up front. No ZIP64: every entry and the
+// archive as a whole must stay under 4 GiB.
+const zlib = require('zlib');
+const { Readable, pipeline } = require('stream');
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k += 1) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32 = (buffer, crc = 0) => {
+  let c = crc ^ 0xffffffff;
+  for (const byte of buffer) c = CRC_TABLE[(c ^ byte) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+};
+
+// Bit 3: sizes and CRC follow the data. Bit 11: names are UTF-8.
+const FLAGS = 0x0808;
+const DEFLATE = 8;
+const VERSION = 20;
+
+const dosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+});
+
+const localHeader = (name, stamp) => {
+  const header = Buffer.alloc(30);
+  header.writeUInt32LE(0x04034b50, 0);
+  header.writeUInt16LE(VERSION, 4);
+  header.writeUInt16LE(FLAGS, 6);
+  header.writeUInt16LE(DEFLATE, 8);
+  header.writeUInt16LE(stamp.time, 10);
+  header.writeUInt16LE(stamp.date, 12);
+  // CRC and sizes (14-25) are left zero for the data descriptor
+  header.writeUInt16LE(name.length, 26);
+  return Buffer.concat([header, name]);
+};
+
+const dataDescriptor = ({ crc, compressedSize, size }) => {
+  const descriptor = Buffer.alloc(16);
+  descriptor.writeUInt32LE(0x08074b50, 0);
+  descriptor.writeUInt32LE(crc, 4);
+  descriptor.writeUInt32LE(compressedSize, 8);
+  descriptor.writeUInt32LE(size, 12);
+  return descriptor;
+};
+
+const centralHeader = ({ name, stamp, crc, compressedSize, size, offset }) => {
+  const header = Buffer.alloc(46);
+  header.writeUInt32LE(0x02014b50, 0);
+  header.writeUInt16LE(VERSION, 4);
+  header.writeUInt16LE(VERSION, 6);
+  header.writeUInt16LE(FLAGS, 8);
+  header.writeUInt16LE(DEFLATE, 10);
+  header.writeUInt16LE(stamp.time, 12);
+  header.writeUInt16LE(stamp.date, 14);
+  header.writeUInt32LE(crc, 16);
+  header.writeUInt32LE(compressedSize, 20);
+  header.writeUInt32LE(size, 24);
+  header.writeUInt16LE(name.length, 28);
+  header.writeUInt32LE(offset, 42);
+  return Buffer.concat([header, name]);
+};
+
+const endOfCentralDirectory = ({ count, size, offset }) => {
+  const record = Buffer.alloc(22);
+  record.writeUInt32LE(0x06054b50, 0);
+  record.writeUInt16LE(count, 8);
+  record.writeUInt16LE(count, 10);
+  record.writeUInt32LE(size, 12);
+  record.writeUInt32LE(offset, 16);
+  return record;
+};
+
+const toBuffer = (chunk) => (Buffer.isBuffer(chunk) ? chunk : Buffer.from(String(chunk), 'utf8'));
+
+// Deflates an (async) iterable of chunks, counting the raw bytes on the way
+const deflate = (chunks, totals) => {
+  async function* measured() {
+    for await (const chunk of chunks) {
+      const buffer = toBuffer(chunk);
+      totals.crc = crc32(buffer, totals.crc);
+      totals.size += buffer.length;
+      yield buffer;
+    }
+  }
+  const deflater = zlib.createDeflateRaw();
+  // Errors and early exits propagate both ways; the callback only keeps
+  // pipeline from throwing them a second time
+  pipeline(Readable.from(measured()), deflater, () => {});
+  return deflater;
+};
+
+// entries: iterable of { name, content }, content being a string, a Buffer or
+// an (async) iterable of either. Yields the archive as Buffers.
+async function* zip(entries) {
+  const written = [];
+  let offset = 0;
+
+  for (const { name, content } of entries) {
+    const entry = { name: Buffer.from(name, 'utf8'), stamp: dosDateTime(new Date()), offset };
+    const header = localHeader(entry.name, entry.stamp);
+    yield header;
+    offset += header.length;
+
+    const totals = { crc: 0, size: 0 };
+    let compressedSize = 0;
+    const chunks = typeof content === 'string' || Buffer.isBuffer(content) ? [content] : content;
+    for await (const compressed of deflate(chunks, totals)) {
+      compressedSize += compressed.length;
+      yield compressed;
+    }
+    Object.assign(entry, totals, { compressedSize });
+
+    const descriptor = dataDescriptor(entry);
+    yield descriptor;
+    offset += compressedSize + descriptor.length;
+    written.push(entry);
+  }
+
+  const directory = Buffer.concat(written.map(centralHeader));
+  yield directory;
+  yield endOfCentralDirectory({ count: written.length, size: directory.length, offset });
+}
+
+module.exports = { crc32, zip };
@@ -0,0 +1,53 @@
+// Outgoing mail goes through a swappable transport. A transport is any object
+// with an async send({ to, subject, text }) method. MAIL_TRANSPORT picks the
+// built-in one: 'console' prints messages, 'file' writes each message as JSON
+// into MAIL_DIR so local flows can be followed without an SMTP server.
+// Messages hold live reset and verification links, so with NODE_ENV=production
+// there is no default: printing them would put those links in the logs.
+const fs = require('fs');
+const path = require('path');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'no-reply@localhost';
+
+const createConsoleTransport = () => ({
+  send: async (message) => {
+    console.log(`[mail] To: ${message.to}\n[mail] Subject: ${message.subject}\n${message.text}`);
+  }
+});
+
+const createFileTransport = (dir = process.env.MAIL_DIR || 'mail-outbox') => ({
+  send: async (message) => {
+    await fs.promises.mkdir(dir, { recursive: true });
+    const file = path.join(dir, `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`);
+    await fs.promises.writeFile(file, JSON.stringify({ ...message, date: new Date() }, null, 2));
+  }
+});
+
+const MAIL_TRANSPORTS = ['console', 'file'];
+
+const mailTransportFromEnv = (env = process.env) => {
+  const name = env.MAIL_TRANSPORT || (env.NODE_ENV === 'production' ? null : 'console');
+  if (!name) {
+    throw new Error(`MAIL_TRANSPORT must be set in production (expected ${MAIL_TRANSPORTS.join(' or ')})`);
+  }
+  if (name === 'console') return createConsoleTransport();
+  if (name === 'file') return createFileTransport(env.MAIL_DIR);
+  throw new Error(`Unknown MAIL_TRANSPORT "${name}" (expected ${MAIL_TRANSPORTS.join(' or ')})`);
+};
+
+let transport = mailTransportFromEnv();
+
+// Allow injection of a transport (tests, or a real SMTP/API client)
+const setMailTransport = (newTransport) => {
+  transport = newTransport;
+};
+
+const sendMail = (message) => transport.send({ from: MAIL_FROM, ...message });
+
+module.exports = {
+  sendMail,
+  setMailTransport,
+  createConsoleTransport,
+  createFileTransport,
+  mailTransportFromEnv,
+};
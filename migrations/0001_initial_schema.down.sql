@@ -0,0 +1,3 @@
+DROP TABLE IF EXISTS monitored_users;
+DROP TABLE IF EXISTS logs;
+DROP TABLE IF EXISTS users;
@@ -0,0 +1,40 @@
+-- Schema as it stood before versioned migrations, built by hand from
+-- migrations/add_2fa.sql and fastqueries.txt. Databases set up that way already
+-- have these tables, which is why they are created with IF NOT EXISTS; every
+-- later change is a migration of its own.
+
+CREATE TABLE IF NOT EXISTS users (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  email VARCHAR(255) NOT NULL,
+  type ENUM('admin', 'user') NOT NULL DEFAULT 'user',
+  image VARCHAR(512) NULL,
+  password VARCHAR(255) NULL,
+  two_factor_secret VARCHAR(32) NULL,
+  two_factor_enabled BOOLEAN DEFAULT FALSE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_name (name),
+  INDEX idx_email (email),
+  INDEX idx_type (type),
+  INDEX idx_created_at (created_at)
+);
+
+-- Audit trail of user actions, scanned by the monitoring job
+CREATE TABLE IF NOT EXISTS logs (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NULL,
+  action VARCHAR(50) NOT NULL,
+  entity VARCHAR(50) NOT NULL,
+  entity_id INT NULL,
+  timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_logs_timestamp_user (timestamp, user_id)
+);
+
+-- Users flagged by the monitoring job (one row per user)
+CREATE TABLE IF NOT EXISTS monitored_users (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  reason VARCHAR(255) NOT NULL,
+  detected_at DATETIME NOT NULL,
+  UNIQUE KEY uq_monitored_user (user_id)
+);
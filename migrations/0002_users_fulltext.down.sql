@@ -0,0 +1,2 @@
+-- Revert users_fulltext
+ALTER TABLE users DROP INDEX ft_users_name_email;
@@ -0,0 +1,4 @@
+-- users_fulltext
+-- Backs GET /users/search. InnoDB only indexes words of at least
+-- innodb_ft_min_token_size (3) characters; search/terms.js drops shorter ones.
+ALTER TABLE users ADD FULLTEXT INDEX ft_users_name_email (name, email);
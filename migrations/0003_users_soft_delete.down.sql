@@ -0,0 +1,4 @@
+-- Revert users_soft_delete
+ALTER TABLE users
+  DROP INDEX idx_deleted_at,
+  DROP COLUMN deleted_at;
@@ -0,0 +1,7 @@
+-- users_soft_delete
+-- DELETE /users/:id only sets deleted_at; rows are removed for good once they
+-- have been in the trash for USER_RETENTION_DAYS. The index serves both the
+-- trash listing and the purge.
+ALTER TABLE users
+  ADD COLUMN deleted_at DATETIME NULL DEFAULT NULL,
+  ADD INDEX idx_deleted_at (deleted_at);
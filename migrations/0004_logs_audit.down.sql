@@ -0,0 +1,7 @@
+-- Revert logs_audit
+ALTER TABLE logs
+  DROP INDEX idx_logs_entity_timestamp,
+  DROP INDEX idx_logs_user_timestamp,
+  DROP COLUMN changes,
+  DROP COLUMN user_agent,
+  DROP COLUMN ip;
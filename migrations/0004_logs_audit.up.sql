@@ -0,0 +1,10 @@
+-- logs_audit
+-- Turns logs into an audit trail: where each action came from and what it
+-- changed, as { field: { old, new } }. The extra indexes back the filters of
+-- GET /audit-logs.
+ALTER TABLE logs
+  ADD COLUMN ip VARCHAR(45) NULL,
+  ADD COLUMN user_agent VARCHAR(512) NULL,
+  ADD COLUMN changes JSON NULL,
+  ADD INDEX idx_logs_user_timestamp (user_id, timestamp),
+  ADD INDEX idx_logs_entity_timestamp (entity, entity_id, timestamp);
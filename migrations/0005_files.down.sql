@@ -0,0 +1,2 @@
+-- Revert files
+DROP TABLE files;
@@ -0,0 +1,17 @@
+-- files
+-- Metadata of uploaded files, which used to live in process memory. The file
+-- itself stays in uploads/ under stored_name; checksum is the SHA-256 of its
+-- content and uploaded_by the user whose token made the upload.
+CREATE TABLE files (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  stored_name VARCHAR(255) NOT NULL,
+  original_name VARCHAR(255) NOT NULL,
+  mime_type VARCHAR(255) NOT NULL,
+  size BIGINT UNSIGNED NOT NULL,
+  checksum CHAR(64) NOT NULL,
+  uploaded_by INT NULL,
+  uploaded_at DATETIME NOT NULL,
+  UNIQUE KEY uq_files_stored_name (stored_name),
+  INDEX idx_files_uploaded_at (uploaded_at),
+  INDEX idx_files_uploader_uploaded_at (uploaded_by, uploaded_at)
+);
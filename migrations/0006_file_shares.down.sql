@@ -0,0 +1,2 @@
+-- Revert file_shares
+DROP TABLE file_shares;
@@ -0,0 +1,10 @@
+-- file_shares
+-- Users an uploader has shared a file with. They may view and download it
+-- like the uploader, but not manage it.
+CREATE TABLE file_shares (
+  file_id INT NOT NULL,
+  user_id INT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (file_id, user_id),
+  INDEX idx_file_shares_user (user_id)
+);
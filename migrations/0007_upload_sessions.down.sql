@@ -0,0 +1,2 @@
+-- Revert upload_sessions
+DROP TABLE upload_sessions;
@@ -0,0 +1,16 @@
+-- upload_sessions
+-- Resumable uploads in progress. The bytes received so far are kept in
+-- uploads/.partial/<id>; a session that sees no chunk before expires_at is
+-- dropped along with its partial file.
+CREATE TABLE upload_sessions (
+  id CHAR(36) PRIMARY KEY,
+  user_id INT NOT NULL,
+  original_name VARCHAR(255) NOT NULL,
+  mime_type VARCHAR(255) NOT NULL,
+  size BIGINT UNSIGNED NOT NULL,
+  received BIGINT UNSIGNED NOT NULL DEFAULT 0,
+  checksum CHAR(64) NULL,
+  created_at DATETIME NOT NULL,
+  expires_at DATETIME NOT NULL,
+  INDEX idx_upload_sessions_expires_at (expires_at)
+);
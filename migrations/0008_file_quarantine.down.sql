@@ -0,0 +1,4 @@
+-- Revert file_quarantine
+ALTER TABLE files
+  DROP COLUMN quarantine_reason,
+  DROP COLUMN quarantined_at;
@@ -0,0 +1,6 @@
+-- file_quarantine
+-- Uploads a content scan flagged are kept for review under uploads/.quarantine/
+-- rather than uploads/, and are never listed or served.
+ALTER TABLE files
+  ADD COLUMN quarantined_at DATETIME NULL DEFAULT NULL,
+  ADD COLUMN quarantine_reason VARCHAR(255) NULL DEFAULT NULL;
@@ -0,0 +1,7 @@
+-- Revert file_metadata
+ALTER TABLE files
+  DROP INDEX idx_files_uploader_folder,
+  DROP COLUMN folder,
+  DROP COLUMN tags,
+  DROP COLUMN description,
+  DROP COLUMN display_name;
@@ -0,0 +1,10 @@
+-- file_metadata
+-- What uploaders can change about a file: the name it is shown and downloaded
+-- under (the original name when NULL), a description, tags (a JSON array of
+-- strings) and the virtual folder it is filed in, a path like '/reports/2024'.
+ALTER TABLE files
+  ADD COLUMN display_name VARCHAR(255) NULL DEFAULT NULL,
+  ADD COLUMN description TEXT NULL,
+  ADD COLUMN tags JSON NULL,
+  ADD COLUMN folder VARCHAR(255) NOT NULL DEFAULT '/',
+  ADD INDEX idx_files_uploader_folder (uploaded_by, folder);
@@ -0,0 +1,5 @@
+-- Revert auth_tokens
+DROP TABLE password_reset_tokens;
+DROP TABLE two_factor_recovery_codes;
+DROP TABLE revoked_tokens;
+DROP TABLE refresh_tokens;
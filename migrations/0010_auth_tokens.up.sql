@@ -0,0 +1,43 @@
+-- auth_tokens
+-- Server-side refresh tokens. Only a SHA-256 hash of each token is stored;
+-- tokens rotated from the same login share a family_id.
+CREATE TABLE refresh_tokens (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  family_id CHAR(36) NOT NULL,
+  token_hash CHAR(64) NOT NULL,
+  expires_at DATETIME NOT NULL,
+  revoked_at DATETIME NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_refresh_token_hash (token_hash),
+  INDEX idx_refresh_family (family_id),
+  INDEX idx_refresh_user (user_id)
+);
+
+-- Access tokens revoked before their expiry (denylist by JWT id)
+CREATE TABLE revoked_tokens (
+  jti CHAR(36) PRIMARY KEY,
+  expires_at DATETIME NOT NULL
+);
+
+-- Single-use 2FA recovery codes (bcrypt hashes)
+CREATE TABLE two_factor_recovery_codes (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  code_hash VARCHAR(255) NOT NULL,
+  used_at DATETIME NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_recovery_user (user_id)
+);
+
+-- Hashed single-use password reset tokens
+CREATE TABLE password_reset_tokens (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  token_hash CHAR(64) NOT NULL,
+  expires_at DATETIME NOT NULL,
+  used_at DATETIME NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_reset_token_hash (token_hash),
+  INDEX idx_reset_user (user_id)
+);
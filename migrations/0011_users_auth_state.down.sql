@@ -0,0 +1,5 @@
+-- Revert users_auth_state
+-- two_factor_enabled keeps its backfilled values: they match what the old setup enforced
+ALTER TABLE users
+  DROP COLUMN sessions_revoked_at,
+  DROP COLUMN email_verified_at;
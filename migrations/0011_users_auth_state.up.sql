@@ -0,0 +1,14 @@
+-- users_auth_state
+-- email_verified_at is set once the address has been confirmed; access tokens
+-- issued before sessions_revoked_at are rejected (set on password change/reset).
+ALTER TABLE users
+  ADD COLUMN email_verified_at DATETIME NULL,
+  ADD COLUMN sessions_revoked_at DATETIME NULL;
+
+-- Accounts that existed before verification was introduced are grandfathered in,
+-- otherwise turning on REQUIRE_EMAIL_VERIFICATION would lock all of them out
+UPDATE users SET email_verified_at = NOW();
+
+-- 2FA is now only enforced once enrollment is confirmed. Secrets written by the
+-- old one-step setup were already being enforced, so keep them enabled.
+UPDATE users SET two_factor_enabled = TRUE WHERE two_factor_secret IS NOT NULL;
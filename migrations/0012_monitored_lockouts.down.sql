@@ -0,0 +1,7 @@
+-- Revert monitored_lockouts
+-- Entries without a user can't be kept once user_id is required again
+DELETE FROM monitored_users WHERE user_id IS NULL;
+ALTER TABLE monitored_users
+  DROP INDEX idx_monitored_users_ip,
+  DROP COLUMN ip,
+  MODIFY user_id INT NOT NULL;
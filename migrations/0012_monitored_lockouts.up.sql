@@ -0,0 +1,8 @@
+-- monitored_lockouts
+-- The monitoring job also flags login and 2FA lockouts. A lockout on an email
+-- nobody has has no user, so entries may name just the IP the attempts came
+-- from; there is one such entry per IP.
+ALTER TABLE monitored_users
+  MODIFY user_id INT NULL,
+  ADD COLUMN ip VARCHAR(45) NULL,
+  ADD INDEX idx_monitored_users_ip (ip);
@@ -0,0 +1,3 @@
+-- Revert refresh_two_factor
+ALTER TABLE refresh_tokens
+  DROP COLUMN two_factor_verified;
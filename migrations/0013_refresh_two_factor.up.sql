@@ -0,0 +1,5 @@
+-- refresh_two_factor
+-- Whether the session a refresh token family belongs to passed 2FA, so that
+-- refreshed access tokens keep the twoFactorVerified claim
+ALTER TABLE refresh_tokens
+  ADD COLUMN two_factor_verified BOOLEAN NOT NULL DEFAULT FALSE;
@@ -0,0 +1,5 @@
+-- Revert files_storage_comments
+ALTER TABLE files
+  COMMENT = '',
+  MODIFY stored_name VARCHAR(255) NOT NULL,
+  MODIFY checksum CHAR(64) NOT NULL;
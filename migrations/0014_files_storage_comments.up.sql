@@ -0,0 +1,10 @@
+-- files_storage_comments
+-- Files no longer necessarily sit in uploads/: since the storage drivers
+-- (files/storage) they live wherever FILE_STORAGE puts them, local disk or S3.
+-- The comments of 0005_files and 0008_file_quarantine still say uploads/, and
+-- applied migrations can't be edited, so the schema carries the current layout.
+ALTER TABLE files
+  COMMENT = 'Metadata of stored files; the content is in the file storage (FILE_STORAGE)',
+  MODIFY stored_name VARCHAR(255) NOT NULL
+    COMMENT 'Storage key of the file, or of .quarantine/<stored_name> while quarantined',
+  MODIFY checksum CHAR(64) NOT NULL COMMENT 'SHA-256 of the content';
@@ -0,0 +1,113 @@
+// Opaque cursors for keyset pagination. A cursor records the sort it was issued
+// for, the (sort value, id) key of the row it points past and which way it
+// points. It is base64url JSON: opaque to clients but not secret, because the
+// key only ever reaches SQL as bound parameters.
+
+const DIRECTIONS = ['next', 'prev'];
+
+const encodeCursor = ({ sort, order, value, id, direction }) => Buffer.from(JSON.stringify({
+  s: sort,
+  o: order,
+  // Dates are tagged so they come back as Dates rather than strings
+  v: value instanceof Date ? { d: value.toISOString() } : value,
+  i: id,
+  dir: direction,
+})).toString('base64url');
+
+// Resolves to { sort, order, value, id, direction }, or null if the cursor is
+// malformed
+const decodeCursor = (cursor) => {
+  let raw;
+  try {
+    raw = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (err) {
+    return null;
+  }
+  if (!raw || typeof raw !== 'object' || typeof raw.s !== 'string' || !['ASC', 'DESC'].includes(raw.o)
+    || !Number.isInteger(raw.i) || !DIRECTIONS.includes(raw.dir)) {
+    return null;
+  }
+
+  let value = raw.v;
+  if (value && typeof value === 'object') {
+    value = new Date(value.d);
+    if (Number.isNaN(value.getTime())) return null;
+  } else if (!['string', 'number'].includes(typeof value)) {
+    return null;
+  }
+  return { sort: raw.s, order: raw.o, value, id: raw.i, direction: raw.dir };
+};
+
+const flipOrder = (order) => (order === 'DESC' ? 'ASC' : 'DESC');
+
+// The scan to run for a page: prev pages read backwards from the cursor and
+// are flipped back afterwards. One extra row is fetched to tell whether
+// another page exists past this one.
+const pageQuery = ({ sort, order, limit, cursor }) => ({
+  sort,
+  order: cursor && cursor.direction === 'prev' ? flipOrder(order) : order,
+  limit: limit + 1,
+  after: cursor ? { value: cursor.value, id: cursor.id } : undefined,
+});
+
+// Turns the rows of pageQuery into { data, next, prev }
+const buildPage = (rows, { sort, order, limit, cursor }) => {
+  const backwards = Boolean(cursor) && cursor.direction === 'prev';
+  const hasMore = rows.length > limit;
+  const data = rows.slice(0, limit);
+  if (backwards) data.reverse();
+
+  const cursorFor = (row, direction) => encodeCursor({ sort, order, value: row[sort], id: row.id, direction });
+  const first = data[0];
+  const last = data[data.length - 1];
+  // Coming from a cursor means there is at least one row on the side we came from
+  const moreAfter = backwards ? true : hasMore;
+  const moreBefore = backwards ? hasMore : Boolean(cursor);
+
+  return {
+    data,
+    next: last && moreAfter ? cursorFor(last, 'next') : null,
+    prev: first && moreBefore ? cursorFor(first, 'prev') : null,
+  };
+};
+
+// Results without a stable sort key (search ranked by relevance) page by
+// position instead, and their cursors only carry the offset
+const encodeOffsetCursor = (offset) => Buffer.from(JSON.stringify({ off: offset })).toString('base64url');
+
+const decodeOffsetCursor = (cursor) => {
+  try {
+    const raw = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    return raw && Number.isInteger(raw.off) && raw.off >= 0 ? raw.off : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+// Turns limit + 1 rows read at `offset` into { data, next, prev }
+const buildOffsetPage = (rows, { limit, offset }) => ({
+  data: rows.slice(0, limit),
+  next: rows.length > limit ? encodeOffsetCursor(offset + limit) : null,
+  prev: offset > 0 ? encodeOffsetCursor(Math.max(0, offset - limit)) : null,
+});
+
+// RFC 8288 Link header pointing at the same URL with the cursor swapped
+const linkHeader = (req, { next, prev }) => {
+  const link = (cursor, rel) => {
+    const params = new URLSearchParams(req.query);
+    params.set('cursor', cursor);
+    return `<${req.baseUrl}${req.path}?${params}>; rel="${rel}"`;
+  };
+  return [next && link(next, 'next'), prev && link(prev, 'prev')].filter(Boolean).join(', ');
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  pageQuery,
+  buildPage,
+  encodeOffsetCursor,
+  decodeOffsetCursor,
+  buildOffsetPage,
+  linkHeader,
+};
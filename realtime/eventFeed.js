@@ -0,0 +1,39 @@
+// Sequenced change feed behind the WebSocket protocol. Every change gets the
+// next sequence number and is kept in a bounded replay buffer, so a client
+// that reconnects can catch up on what it missed instead of reloading
+// everything. Sequence numbers restart with the process; the epoch tells a
+// client whether its last sequence number still refers to this feed.
+const crypto = require('crypto');
+
+const DEFAULT_CAPACITY = 1000;
+
+// capacity: how many of the latest events are kept for replay
+const createEventFeed = ({ capacity = DEFAULT_CAPACITY } = {}) => {
+  const epoch = crypto.randomUUID();
+  const buffer = [];
+  let seq = 0;
+
+  const latest = () => seq;
+
+  // Assigns the next sequence number and returns the event
+  const publish = (type, data) => {
+    seq += 1;
+    const event = { seq, type, data };
+    buffer.push(event);
+    if (buffer.length > capacity) buffer.shift();
+    return event;
+  };
+
+  // Events after `lastSeq` in order, or null if they can't all be replayed:
+  // the oldest have been dropped, or `lastSeq` belongs to another epoch.
+  const since = (lastSeq, lastEpoch) => {
+    if (lastEpoch !== epoch || !Number.isInteger(lastSeq) || lastSeq < 0 || lastSeq > seq) return null;
+    const oldest = buffer.length > 0 ? buffer[0].seq : seq + 1;
+    if (lastSeq + 1 < oldest) return null;
+    return buffer.filter(event => event.seq > lastSeq);
+  };
+
+  return { epoch, latest, publish, since };
+};
+
+module.exports = { DEFAULT_CAPACITY, createEventFeed };
@@ -0,0 +1,68 @@
+// Outgoing message queue of one WebSocket. Messages go straight to the socket
+// while less than highWaterMark bytes are buffered for it; past that they wait
+// here and are sent as earlier writes complete. A client whose queue fills up
+// is a slow consumer, handled by the policy:
+// - 'drop': the message is discarded, and once there is room again the client
+//   gets DROPPED { seq } with the seq of the last event it lost. Topic filters
+//   leave gaps in the seqs a client sees anyway, so it can't tell a lost event
+//   from a filtered one without this; it should RESUME from the last event it
+//   handled.
+// - 'disconnect': the socket is closed and everything queued is discarded.
+const WebSocket = require('ws');
+
+const SLOW_CLIENT_POLICIES = ['drop', 'disconnect'];
+
+// Close code for clients disconnected by the 'disconnect' policy
+const WS_SLOW_CONSUMER = 4008;
+
+// stats: counters shared by all queues, incremented as messages are dropped
+// and slow clients disconnected
+const createSendQueue = (socket, { highWaterMark, maxQueued, policy, stats }) => {
+  const queue = [];
+  // { seq } of the last dropped event while the client hasn't been told yet
+  let missed = null;
+
+  const isOpen = () => socket.readyState === WebSocket.OPEN;
+
+  // Runs after every completed write, so the queue drains as the socket does
+  const flush = () => {
+    while (queue.length > 0 && isOpen() && socket.bufferedAmount < highWaterMark) {
+      socket.send(queue.shift(), flush);
+      if (missed) {
+        queue.push(JSON.stringify({ type: 'DROPPED', seq: missed.seq }));
+        missed = null;
+      }
+    }
+  };
+
+  const overflow = (seq) => {
+    if (policy === 'disconnect') {
+      stats.disconnected += 1;
+      queue.length = 0;
+      socket.close(WS_SLOW_CONSUMER, 'Client is not keeping up');
+    } else {
+      stats.dropped += 1;
+      missed = { seq: seq === undefined ? (missed ? missed.seq : null) : seq };
+    }
+  };
+
+  // `seq` is the sequence number of the event in `data`, if it is one.
+  // Resolves to whether the message was sent or queued.
+  const send = (data, seq) => {
+    if (!isOpen()) return false;
+    if (queue.length === 0 && socket.bufferedAmount < highWaterMark) {
+      socket.send(data, flush);
+      return true;
+    }
+    if (queue.length >= maxQueued) {
+      overflow(seq);
+      return false;
+    }
+    queue.push(data);
+    return true;
+  };
+
+  return { send, size: () => queue.length };
+};
+
+module.exports = { SLOW_CLIENT_POLICIES, WS_SLOW_CONSUMER, createSendQueue };
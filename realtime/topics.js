@@ -0,0 +1,68 @@
+// WebSocket topics. A client only receives the events of the topics it has
+// subscribed to, and may only subscribe to the topics its role allows. Every
+// event type belongs to a topic by prefix; 'self' carries the user events about
+// the subscriber's own record.
+const isAdmin = (user) => user.type === 'admin';
+
+// Ids of the records an event is about: data.id, or data.ids for bulk events
+const entityIdsOf = (event) => {
+  const { data } = event;
+  if (!data) return [];
+  if (Array.isArray(data.ids)) return data.ids.map(Number);
+  return data.id !== undefined ? [Number(data.id)] : [];
+};
+
+const TOPICS = {
+  users: { events: /^USERS?_/, allowed: isAdmin },
+  files: {
+    events: /^FILES?_/,
+    allowed: () => true,
+    // Users only hear about their own uploads
+    concerns: (event, user) => isAdmin(user) || String(event.data.uploadedBy) === String(user.id),
+  },
+  'monitored-users': { events: /^MONITORED_USERS?_/, allowed: isAdmin },
+  self: {
+    events: /^USERS?_/,
+    allowed: () => true,
+    concerns: (event, user) => entityIdsOf(event).includes(Number(user.id)),
+  },
+};
+
+const FILTER_KEYS = ['events', 'ids'];
+
+// A subscription filter narrows a topic to some event types and/or record ids:
+// { events: ['USER_UPDATED'], ids: [1, 2] }. Resolves to the normalized filter,
+// or null if it is malformed.
+const parseFilter = (filter) => {
+  if (filter === undefined || filter === null) return {};
+  if (typeof filter !== 'object' || Array.isArray(filter)) return null;
+  if (Object.keys(filter).some(key => !FILTER_KEYS.includes(key))) return null;
+
+  const { events, ids } = filter;
+  const parsed = {};
+  if (events !== undefined) {
+    if (!Array.isArray(events) || events.some(type => typeof type !== 'string')) return null;
+    parsed.events = events;
+  }
+  if (ids !== undefined) {
+    if (!Array.isArray(ids) || ids.some(id => !Number.isInteger(id))) return null;
+    parsed.ids = ids;
+  }
+  return parsed;
+};
+
+const matchesFilter = (event, filter) => {
+  if (filter.events && !filter.events.includes(event.type)) return false;
+  if (filter.ids && !entityIdsOf(event).some(id => filter.ids.includes(id))) return false;
+  return true;
+};
+
+// Whether `user`, with subscriptions (topic -> filter), should receive `event`
+const wantsEvent = (user, subscriptions, event) => [...subscriptions].some(([name, filter]) => {
+  const topic = TOPICS[name];
+  return topic.events.test(event.type)
+    && (!topic.concerns || topic.concerns(event, user))
+    && matchesFilter(event, filter);
+});
+
+module.exports = { TOPICS, parseFilter, wantsEvent };
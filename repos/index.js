@@ -0,0 +1,17 @@
+// Storage backends. Routes and the auth helpers go through these repositories
+// instead of writing SQL, so the API runs against MySQL or entirely in memory.
+// STORAGE_BACKEND picks one; MySQL is the default.
+const { createMysqlRepos } = require('./mysql');
+const { createMemoryRepos } = require('./memory');
+
+const BACKENDS = ['mysql', 'memory'];
+
+const storageBackend = () => {
+  const backend = process.env.STORAGE_BACKEND || 'mysql';
+  if (!BACKENDS.includes(backend)) {
+    throw new Error(`Unknown STORAGE_BACKEND "${backend}" (expected ${BACKENDS.join(' or ')})`);
+  }
+  return backend;
+};
+
+module.exports = { BACKENDS, storageBackend, createMysqlRepos, createMemoryRepos };
@@ -0,0 +1,59 @@
+// Plain arrays standing in for MySQL tables. Rows are copied on the way in and
+// out so callers can't change stored state without going through a repo.
+
+const createDatabase = () => ({ tables: {}, lastIds: {} });
+
+const table = (database, name) => {
+  if (!database.tables[name]) database.tables[name] = [];
+  return database.tables[name];
+};
+
+const copy = (row) => (row ? { ...row } : null);
+
+// Auto-increment like MySQL: an explicit id is kept and moves the counter on
+const insert = (database, name, row) => {
+  const id = row.id !== undefined ? Number(row.id) : (database.lastIds[name] || 0) + 1;
+  database.lastIds[name] = Math.max(database.lastIds[name] || 0, id);
+  const stored = { ...row, id };
+  table(database, name).push(stored);
+  return copy(stored);
+};
+
+// Route params arrive as strings; MySQL compares them to INT columns numerically
+const sameId = (a, b) => a !== null && a !== undefined && String(a) === String(b);
+
+// Case-insensitive like the default MySQL collation, NULLs first
+const compareValues = (a, b) => {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return -1;
+  if (b === null || b === undefined) return 1;
+  if (a instanceof Date || b instanceof Date) return new Date(a) - new Date(b);
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a).localeCompare(String(b), undefined, { sensitivity: 'base' });
+};
+
+const contains = (value, term) => String(value ?? '').toLowerCase().includes(String(term).toLowerCase());
+
+// Runs fn and puts every table back the way it was if fn throws. There is no
+// isolation: other requests see the writes before the commit.
+const withRollback = async (database, fn) => {
+  const snapshot = structuredClone(database);
+  try {
+    return await fn();
+  } catch (err) {
+    database.tables = snapshot.tables;
+    database.lastIds = snapshot.lastIds;
+    throw err;
+  }
+};
+
+module.exports = {
+  createDatabase,
+  table,
+  copy,
+  insert,
+  sameId,
+  compareValues,
+  contains,
+  withRollback,
+};
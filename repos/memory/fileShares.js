@@ -0,0 +1,32 @@
+const { table, sameId } = require('./database');
+
+const createFileSharesRepo = (database) => {
+  const find = (fileId, userId) => table(database, 'file_shares')
+    .findIndex(share => sameId(share.file_id, fileId) && sameId(share.user_id, userId));
+
+  return {
+    add: async (fileId, userId) => {
+      if (find(fileId, userId) !== -1) return;
+      table(database, 'file_shares').push({ file_id: Number(fileId), user_id: Number(userId), created_at: new Date() });
+    },
+
+    remove: async (fileId, userId) => {
+      const index = find(fileId, userId);
+      if (index === -1) return false;
+      table(database, 'file_shares').splice(index, 1);
+      return true;
+    },
+
+    removeForFile: async (fileId) => {
+      database.tables.file_shares = table(database, 'file_shares').filter(share => !sameId(share.file_id, fileId));
+    },
+
+    exists: async (fileId, userId) => find(fileId, userId) !== -1,
+
+    listForFile: async (fileId) => table(database, 'file_shares')
+      .filter(share => sameId(share.file_id, fileId))
+      .map(({ user_id, created_at }) => ({ user_id, created_at })),
+  };
+};
+
+module.exports = { createFileSharesRepo };
@@ -0,0 +1,81 @@
+const { table, copy, insert, sameId, compareValues, contains } = require('./database');
+
+const matchesType = (file, mimeType) => (mimeType.includes('/')
+  ? file.mime_type === mimeType
+  : file.mime_type.startsWith(`${mimeType}/`));
+
+// Column defaults from the migrations, and tags copied so they can't be
+// changed from outside
+const withDefaults = (file) => ({
+  quarantined_at: null,
+  quarantine_reason: null,
+  display_name: null,
+  description: null,
+  folder: '/',
+  ...file,
+  tags: [...(file.tags || [])],
+});
+
+const copyFile = (file) => (file ? { ...copy(file), tags: [...file.tags] } : null);
+
+// Metadata of uploaded files. Resolves to the stored record with its new id.
+const createFilesRepo = (database) => {
+  const files = () => table(database, 'files');
+  const byId = (id) => files().find(file => sameId(file.id, id));
+
+  const totals = (rows) => ({ files: rows.length, bytes: rows.reduce((sum, file) => sum + Number(file.size), 0) });
+
+  return {
+    create: async (file) => copyFile(insert(database, 'files', withDefaults(file))),
+
+    findById: async (id) => copyFile(byId(id)),
+
+    findByStoredName: async (storedName) => copyFile(files().find(file => file.stored_name === storedName)),
+
+    update: async (id, changes) => {
+      const file = byId(id);
+      if (file) Object.assign(file, changes, changes.tags ? { tags: [...changes.tags] } : {});
+      return Boolean(file);
+    },
+
+    remove: async (id) => {
+      const index = files().findIndex(file => sameId(file.id, id));
+      if (index !== -1) files().splice(index, 1);
+      return index !== -1;
+    },
+
+    list: async ({
+      uploadedBy, name, mimeType, folder, tag, from, to, quarantined = false, order = 'DESC', limit, after,
+    }) => {
+      const direction = order === 'ASC' ? 1 : -1;
+      const compare = (a, b) => direction * (compareValues(a.uploaded_at, b.uploaded_at) || a.id - b.id);
+      const key = after && { uploaded_at: after.value, id: Number(after.id) };
+      return files()
+        .filter(file => Boolean(file.quarantined_at) === quarantined
+          && (uploadedBy === undefined || sameId(file.uploaded_by, uploadedBy))
+          && (name === undefined || contains(file.original_name, name) || contains(file.display_name, name))
+          && (mimeType === undefined || matchesType(file, mimeType))
+          && (folder === undefined || file.folder === folder)
+          && (tag === undefined || file.tags.includes(tag))
+          && (!from || file.uploaded_at >= from)
+          && (!to || file.uploaded_at < to)
+          && (!key || compare(file, key) > 0))
+        .sort(compare)
+        .slice(0, limit)
+        .map(copyFile);
+    },
+
+    usage: async ({ uploadedBy } = {}) => totals(files()
+      .filter(file => uploadedBy === undefined || sameId(file.uploaded_by, uploadedBy))),
+
+    folders: async ({ uploadedBy }) => {
+      const byFolder = new Map();
+      files()
+        .filter(file => sameId(file.uploaded_by, uploadedBy) && !file.quarantined_at)
+        .forEach(file => byFolder.set(file.folder, [...(byFolder.get(file.folder) || []), file]));
+      return [...byFolder.keys()].sort().map(folder => ({ folder, ...totals(byFolder.get(folder)) }));
+    },
+  };
+};
+
+module.exports = { createFilesRepo };
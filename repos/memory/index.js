@@ -0,0 +1,34 @@
+// In-memory backend: same repositories as repos/mysql, kept in plain arrays.
+// Nothing survives a restart, which is what the tests and offline development want.
+const { createDatabase, withRollback } = require('./database');
+const { createUsersRepo } = require('./users');
+const { createLogsRepo } = require('./logs');
+const { createMonitoredUsersRepo } = require('./monitoredUsers');
+const { createFilesRepo } = require('./files');
+const { createFileSharesRepo } = require('./fileShares');
+const { createUploadSessionsRepo } = require('./uploadSessions');
+const {
+  createRefreshTokensRepo,
+  createRevokedTokensRepo,
+  createRecoveryCodesRepo,
+  createResetTokensRepo,
+} = require('./tokens');
+
+const createMemoryRepos = (database = createDatabase()) => {
+  const repos = {
+    users: createUsersRepo(database),
+    logs: createLogsRepo(database),
+    monitoredUsers: createMonitoredUsersRepo(database),
+    files: createFilesRepo(database),
+    fileShares: createFileSharesRepo(database),
+    uploadSessions: createUploadSessionsRepo(database),
+    refreshTokens: createRefreshTokensRepo(database),
+    revokedTokens: createRevokedTokensRepo(database),
+    recoveryCodes: createRecoveryCodesRepo(database),
+    resetTokens: createResetTokensRepo(database),
+    transaction: (fn) => withRollback(database, () => fn(repos)),
+  };
+  return repos;
+};
+
+module.exports = { createMemoryRepos };
@@ -0,0 +1,53 @@
+const { table, insert, copy, sameId, compareValues } = require('./database');
+
+const createLogsRepo = (database) => ({
+  create: async (entry) => insert(database, 'logs', {
+    ip: null,
+    user_agent: null,
+    changes: null,
+    ...entry,
+    timestamp: new Date(),
+  }),
+
+  list: async ({ userId, action, entity, entityId, from, to, order = 'DESC', limit, after }) => {
+    const direction = order === 'ASC' ? 1 : -1;
+    const compare = (a, b) => direction * (compareValues(a.timestamp, b.timestamp) || a.id - b.id);
+    const key = after && { timestamp: after.value, id: Number(after.id) };
+    return table(database, 'logs')
+      .filter(entry => (userId === undefined || sameId(entry.user_id, userId))
+        && (action === undefined || entry.action === action)
+        && (entity === undefined || entry.entity === entity)
+        && (entityId === undefined || sameId(entry.entity_id, entityId))
+        && (!from || entry.timestamp >= from)
+        && (!to || entry.timestamp < to)
+        && (!key || compare(entry, key) > 0))
+      .sort(compare)
+      .slice(0, limit)
+      .map(entry => ({ ...copy(entry), changes: structuredClone(entry.changes) }));
+  },
+
+  findFrequentActors: async ({ windowSeconds, threshold, entity, actions }) => {
+    const since = Date.now() - windowSeconds * 1000;
+    const counts = new Map();
+    table(database, 'logs')
+      .filter(entry => entry.timestamp.getTime() > since && entry.user_id && Number(entry.user_id) !== 0
+        && (entity === undefined || entry.entity === entity)
+        && (actions === undefined || actions.includes(entry.action)))
+      .forEach(entry => {
+        const key = String(entry.user_id);
+        const row = counts.get(key) || { user_id: entry.user_id, action_count: 0 };
+        row.action_count += 1;
+        counts.set(key, row);
+      });
+    return [...counts.values()].filter(row => row.action_count > threshold);
+  },
+
+  findLockouts: async ({ windowSeconds }) => {
+    const since = Date.now() - windowSeconds * 1000;
+    return table(database, 'logs')
+      .filter(entry => entry.action === 'lockout' && entry.timestamp.getTime() > since)
+      .map(({ user_id, ip, entity }) => ({ user_id, ip, entity }));
+  },
+});
+
+module.exports = { createLogsRepo };
@@ -0,0 +1,16 @@
+const { table, copy, insert, sameId } = require('./database');
+
+const createMonitoredUsersRepo = (database) => ({
+  add: async ({ user_id, ip = null, reason }) => {
+    const existing = user_id === null
+      ? row => row.user_id === null && row.ip === ip
+      : row => sameId(row.user_id, user_id);
+    if (table(database, 'monitored_users').some(existing)) return false;
+    insert(database, 'monitored_users', { user_id, ip, reason, detected_at: new Date() });
+    return true;
+  },
+
+  list: async () => table(database, 'monitored_users').map(copy),
+});
+
+module.exports = { createMonitoredUsersRepo };
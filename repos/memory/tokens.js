@@ -0,0 +1,95 @@
+const { table, copy, insert, sameId } = require('./database');
+
+const createRefreshTokensRepo = (database) => {
+  const tokens = () => table(database, 'refresh_tokens');
+  const revokeWhere = (predicate) => tokens()
+    .filter(row => !row.revoked_at && predicate(row))
+    .forEach(row => { row.revoked_at = new Date(); });
+
+  return {
+    create: async (token) => {
+      insert(database, 'refresh_tokens', { revoked_at: null, created_at: new Date(), ...token });
+    },
+
+    findByHash: async (tokenHash) => copy(tokens().find(row => row.token_hash === tokenHash)),
+
+    revoke: async (id) => {
+      const row = tokens().find(r => sameId(r.id, id) && !r.revoked_at);
+      if (row) row.revoked_at = new Date();
+      return Boolean(row);
+    },
+
+    revokeFamily: async (familyId) => revokeWhere(row => row.family_id === familyId),
+
+    revokeForUser: async (userId) => revokeWhere(row => sameId(row.user_id, userId)),
+  };
+};
+
+const createRevokedTokensRepo = (database) => {
+  const tokens = () => table(database, 'revoked_tokens');
+
+  return {
+    add: async (jti, expiresAt) => {
+      if (!tokens().some(row => row.jti === jti)) tokens().push({ jti, expires_at: expiresAt });
+    },
+
+    listActive: async () => tokens().filter(row => row.expires_at > new Date()).map(copy),
+  };
+};
+
+const createRecoveryCodesRepo = (database) => {
+  const codes = () => table(database, 'two_factor_recovery_codes');
+  const clear = (userId) => {
+    database.tables.two_factor_recovery_codes = codes().filter(row => !sameId(row.user_id, userId));
+  };
+
+  return {
+    replace: async (userId, codeHashes) => {
+      clear(userId);
+      codeHashes.forEach(code_hash => insert(database, 'two_factor_recovery_codes', {
+        user_id: userId, code_hash, used_at: null, created_at: new Date(),
+      }));
+    },
+
+    listUnused: async (userId) => codes()
+      .filter(row => sameId(row.user_id, userId) && !row.used_at)
+      .map(({ id, code_hash }) => ({ id, code_hash })),
+
+    markUsed: async (id) => {
+      const row = codes().find(r => sameId(r.id, id) && !r.used_at);
+      if (row) row.used_at = new Date();
+      return Boolean(row);
+    },
+
+    clear: async (userId) => clear(userId),
+  };
+};
+
+const createResetTokensRepo = (database) => {
+  const tokens = () => table(database, 'password_reset_tokens');
+
+  return {
+    create: async (token) => {
+      insert(database, 'password_reset_tokens', { used_at: null, created_at: new Date(), ...token });
+    },
+
+    retireForUser: async (userId) => tokens()
+      .filter(row => sameId(row.user_id, userId) && !row.used_at)
+      .forEach(row => { row.used_at = new Date(); }),
+
+    findByHash: async (tokenHash) => copy(tokens().find(row => row.token_hash === tokenHash)),
+
+    markUsed: async (id) => {
+      const row = tokens().find(r => sameId(r.id, id) && !r.used_at);
+      if (row) row.used_at = new Date();
+      return Boolean(row);
+    },
+  };
+};
+
+module.exports = {
+  createRefreshTokensRepo,
+  createRevokedTokensRepo,
+  createRecoveryCodesRepo,
+  createResetTokensRepo,
+};
@@ -0,0 +1,38 @@
+const { table, copy } = require('./database');
+
+const createUploadSessionsRepo = (database) => {
+  const sessions = () => table(database, 'upload_sessions');
+  const find = (id) => sessions().find(session => session.id === id);
+
+  return {
+    create: async (session) => {
+      const stored = { ...session, received: 0 };
+      sessions().push(stored);
+      return copy(stored);
+    },
+
+    findById: async (id) => copy(find(id)),
+
+    advance: async (id, from, to, expiresAt) => {
+      const session = find(id);
+      if (!session || session.received !== from) return false;
+      session.received = to;
+      session.expires_at = expiresAt;
+      return true;
+    },
+
+    remove: async (id) => {
+      const before = sessions().length;
+      database.tables.upload_sessions = sessions().filter(session => session.id !== id);
+      return database.tables.upload_sessions.length < before;
+    },
+
+    deleteExpired: async (now) => {
+      const expired = sessions().filter(session => session.expires_at < now).map(session => session.id);
+      database.tables.upload_sessions = sessions().filter(session => !expired.includes(session.id));
+      return expired;
+    },
+  };
+};
+
+module.exports = { createUploadSessionsRepo };
@@ -0,0 +1,148 @@
+const { table, copy, insert, sameId, compareValues, contains } = require('./database');
+const { words } = require('../../search/terms');
+const { EXPORT_COLUMNS } = require('../mysql/users');
+
+// Trashed users only match with `deleted: true`, and then only they do
+const inTrash = (user) => Boolean(user.deleted_at);
+
+const matches = ({ name, email, type, deleted = false } = {}) => (user) => inTrash(user) === deleted
+  && (!name || contains(user.name, name))
+  && (!email || contains(user.email, email))
+  && (!type || user.type === type);
+
+// Rough stand-in for MySQL's relevance: every term has to prefix a word of the
+// name or email; whole-word hits count double. 0 means no match.
+const relevance = (user, terms) => {
+  const userWords = [...words(user.name), ...words(user.email)];
+  let score = 0;
+  for (const term of terms) {
+    const hits = userWords.reduce((sum, word) => sum + (word === term ? 2 : word.startsWith(term) ? 1 : 0), 0);
+    if (hits === 0) return 0;
+    score += hits;
+  }
+  return score;
+};
+
+// What MySQL's PUBLIC_COLUMNS select: everything but credentials and 2FA state
+const publicFields = ({ id, name, email, type, image, created_at }) => ({ id, name, email, type, image, created_at });
+
+// Sort order of list: the sort column, then id so the order is total
+const comparator = (sort, order) => {
+  const direction = order === 'DESC' ? -1 : 1;
+  return (a, b) => direction * (compareValues(a[sort], b[sort]) || a.id - b.id);
+};
+
+const createUsersRepo = (database) => {
+  const users = () => table(database, 'users');
+  const byId = (id, deleted = false) => users().find(user => sameId(user.id, id) && inTrash(user) === deleted);
+  const byEmail = (email) => users().find(user => !inTrash(user) && compareValues(user.email, email) === 0);
+  const insertUser = (user) => insert(database, 'users', {
+    type: 'user',
+    image: null,
+    password: null,
+    two_factor_secret: null,
+    two_factor_enabled: false,
+    email_verified_at: null,
+    sessions_revoked_at: null,
+    created_at: new Date(),
+    deleted_at: null,
+    ...user,
+  });
+
+  return {
+    count: async (filters) => users().filter(matches(filters)).length,
+
+    list: async ({ sort = 'name', order = 'ASC', limit, offset = 0, after, ...filters }) => {
+      const compare = comparator(sort, order);
+      const key = after && { [sort]: after.value, id: Number(after.id) };
+      return users()
+        .filter(matches(filters))
+        .filter(user => !key || compare(user, key) > 0)
+        .sort(compare)
+        .slice(offset, offset + limit)
+        .map(publicFields);
+    },
+
+    stream: ({ sort = 'name', order = 'ASC', ...filters }) => {
+      const selected = users().filter(matches(filters)).sort(comparator(sort, order));
+      return (async function* exportRows() {
+        for (const user of selected) {
+          yield Object.fromEntries(EXPORT_COLUMNS.map(column => [column, user[column]]));
+        }
+      })();
+    },
+
+    search: async ({ terms, type, limit, offset = 0 }) => users()
+      .filter(matches({ type }))
+      .map(user => ({ user, score: relevance(user, terms) }))
+      .filter(({ score }) => score > 0)
+      .sort((a, b) => b.score - a.score || a.user.id - b.user.id)
+      .slice(offset, offset + limit)
+      .map(({ user, score }) => ({ ...publicFields(user), relevance: score })),
+
+    listDeleted: async ({ limit, offset = 0 }) => users()
+      .filter(inTrash)
+      .sort((a, b) => b.deleted_at - a.deleted_at || b.id - a.id)
+      .slice(offset, offset + limit)
+      .map(user => ({ ...publicFields(user), deleted_at: user.deleted_at })),
+
+    findById: async (id, { deleted = false } = {}) => copy(byId(id, deleted)),
+
+    findByEmail: async (email) => copy(byEmail(email)),
+
+    create: async (user) => insertUser(user).id,
+
+    createMany: async (newUsers) => {
+      newUsers.forEach(insertUser);
+      return newUsers.length;
+    },
+
+    findExistingEmails: async (emails) => emails
+      .map(email => byEmail(email))
+      .filter(Boolean)
+      .map(user => user.email),
+
+    update: async (id, changes) => {
+      const user = byId(id);
+      if (user) Object.assign(user, changes);
+      return Boolean(user);
+    },
+
+    markEmailVerified: async (id, email) => {
+      const user = byId(id);
+      if (!user || (email !== undefined && compareValues(user.email, email) !== 0)) return false;
+      user.email_verified_at = user.email_verified_at || new Date();
+      return true;
+    },
+
+    softDelete: async (id) => {
+      const user = byId(id);
+      if (user) user.deleted_at = new Date();
+      return Boolean(user);
+    },
+
+    restore: async (id) => {
+      const user = byId(id, true);
+      if (user) user.deleted_at = null;
+      return Boolean(user);
+    },
+
+    remove: async (id) => {
+      const index = users().findIndex(user => sameId(user.id, id));
+      if (index !== -1) users().splice(index, 1);
+      return index !== -1;
+    },
+
+    purgeDeleted: async (before) => {
+      const purged = users().filter(user => inTrash(user) && user.deleted_at < before).map(user => user.id);
+      database.tables.users = users().filter(user => !purged.includes(user.id));
+      return purged;
+    },
+
+    findSessionsRevokedSince: async (since) => users()
+      .filter(user => user.sessions_revoked_at && user.sessions_revoked_at > since)
+      .map(({ id, sessions_revoked_at }) => ({ id, sessions_revoked_at })),
+  };
+};
+
+module.exports = { createUsersRepo };
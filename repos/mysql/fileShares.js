@@ -0,0 +1,32 @@
+const { query } = require('../../db/query');
+
+const createFileSharesRepo = (db) => ({
+  // Sharing twice keeps the original entry
+  add: (fileId, userId) => query(
+    db,
+    'INSERT IGNORE INTO file_shares (file_id, user_id, created_at) VALUES (?, ?, NOW())',
+    [fileId, userId]
+  ),
+
+  remove: async (fileId, userId) => (await query(
+    db,
+    'DELETE FROM file_shares WHERE file_id = ? AND user_id = ?',
+    [fileId, userId]
+  )).affectedRows > 0,
+
+  removeForFile: (fileId) => query(db, 'DELETE FROM file_shares WHERE file_id = ?', [fileId]),
+
+  exists: async (fileId, userId) => (await query(
+    db,
+    'SELECT 1 FROM file_shares WHERE file_id = ? AND user_id = ? LIMIT 1',
+    [fileId, userId]
+  )).length > 0,
+
+  listForFile: (fileId) => query(
+    db,
+    'SELECT user_id, created_at FROM file_shares WHERE file_id = ? ORDER BY created_at, user_id',
+    [fileId]
+  ),
+});
+
+module.exports = { createFileSharesRepo };
@@ -0,0 +1,104 @@
+const { query } = require('../../db/query');
+
+const COLUMNS = 'id, stored_name, original_name, mime_type, size, checksum, uploaded_by, uploaded_at, '
+  + 'quarantined_at, quarantine_reason, display_name, description, tags, folder';
+
+// tags is a JSON column, which the driver hands over as text
+const toRow = (file) => (file.tags !== undefined ? { ...file, tags: JSON.stringify(file.tags) } : file);
+
+const toFile = (row) => {
+  if (!row) return null;
+  const tags = typeof row.tags === 'string' ? JSON.parse(row.tags) : row.tags;
+  return { ...row, tags: tags || [] };
+};
+
+const createFilesRepo = (db) => ({
+  // file: { stored_name, original_name, mime_type, size, checksum, uploaded_by,
+  // uploaded_at, and quarantined_at & quarantine_reason if a scan flagged it }. Resolves
+  // to the stored record with its new id.
+  create: async (file) => {
+    const { insertId } = await query(db, 'INSERT INTO files SET ?', [toRow(file)]);
+    return { id: insertId, ...file };
+  },
+
+  findById: async (id) => toFile((await query(db, `SELECT ${COLUMNS} FROM files WHERE id = ?`, [id]))[0]),
+
+  findByStoredName: async (storedName) => toFile((await query(
+    db,
+    `SELECT ${COLUMNS} FROM files WHERE stored_name = ?`,
+    [storedName]
+  ))[0]),
+
+  // changes: columns of the editable metadata. Resolves to false for no such file.
+  update: async (id, changes) => (
+    await query(db, 'UPDATE files SET ? WHERE id = ?', [toRow(changes), id])
+  ).affectedRows > 0,
+
+  remove: async (id) => (await query(db, 'DELETE FROM files WHERE id = ?', [id])).affectedRows > 0,
+
+  // Newest first unless order is 'ASC'. Filters are all optional: `name` is a
+  // substring of the original or display name, `mimeType` a full type
+  // ('image/png') or a bare top-level type ('image'), `folder` an exact folder,
+  // `tag` one of the tags, `from` inclusive and `to` exclusive. With
+  // `after: { value, id }` only files past that (uploaded_at, id) key are returned,
+  // and without `limit` all of them.
+  // Quarantined files are left out, or are all that is listed with `quarantined`.
+  list: async ({
+    uploadedBy, name, mimeType, folder, tag, from, to, quarantined = false, order = 'DESC', limit, after,
+  }) => {
+    let sql = ` WHERE quarantined_at IS ${quarantined ? 'NOT NULL' : 'NULL'}`;
+    const params = [];
+    const filter = (clause, ...values) => {
+      if (values[0] !== undefined) {
+        sql += ` AND ${clause}`;
+        params.push(...values);
+      }
+    };
+    filter('uploaded_by = ?', uploadedBy);
+    if (name !== undefined) filter('(original_name LIKE ? OR display_name LIKE ?)', `%${name}%`, `%${name}%`);
+    if (mimeType !== undefined && !mimeType.includes('/')) {
+      filter('mime_type LIKE ?', `${mimeType}/%`);
+    } else {
+      filter('mime_type = ?', mimeType);
+    }
+    filter('folder = ?', folder);
+    filter('JSON_CONTAINS(tags, JSON_QUOTE(?))', tag);
+    filter('uploaded_at >= ?', from);
+    filter('uploaded_at < ?', to);
+
+    const direction = order === 'ASC' ? 'ASC' : 'DESC';
+    if (after) {
+      const op = direction === 'DESC' ? '<' : '>';
+      sql += ` AND (uploaded_at ${op} ? OR (uploaded_at = ? AND id ${op} ?))`;
+      params.push(after.value, after.value, after.id);
+    }
+    sql += ` ORDER BY uploaded_at ${direction}, id ${direction}`;
+    if (limit !== undefined) {
+      sql += ' LIMIT ?';
+      params.push(limit);
+    }
+    const rows = await query(db, `SELECT ${COLUMNS} FROM files${sql}`, params);
+    return rows.map(toFile);
+  },
+
+  // Count and total size of the files of one uploader, or of all files
+  usage: async ({ uploadedBy } = {}) => {
+    const where = uploadedBy !== undefined ? ' WHERE uploaded_by = ?' : '';
+    const [row] = await query(
+      db,
+      `SELECT COUNT(*) AS files, COALESCE(SUM(size), 0) AS bytes FROM files${where}`,
+      uploadedBy !== undefined ? [uploadedBy] : []
+    );
+    return { files: Number(row.files), bytes: Number(row.bytes) };
+  },
+
+  // The folders an uploader has files in, with their count and total size
+  folders: async ({ uploadedBy }) => (await query(
+    db,
+    'SELECT folder, COUNT(*) AS files, SUM(size) AS bytes FROM files'
+      + ' WHERE uploaded_by = ? AND quarantined_at IS NULL GROUP BY folder ORDER BY folder',
+    [uploadedBy]
+  )).map(row => ({ folder: row.folder, files: Number(row.files), bytes: Number(row.bytes) })),
+});
+
+module.exports = { createFilesRepo };
@@ -0,0 +1,32 @@
+// MySQL backend. `db` is the pool from server.js or anything with a compatible
+// query(sql, params, cb); transaction() hands fn a set of repos bound to one
+// connection so all of its statements commit or roll back together.
+const { transaction } = require('../../db/query');
+const { createUsersRepo } = require('./users');
+const { createLogsRepo } = require('./logs');
+const { createMonitoredUsersRepo } = require('./monitoredUsers');
+const { createFilesRepo } = require('./files');
+const { createFileSharesRepo } = require('./fileShares');
+const { createUploadSessionsRepo } = require('./uploadSessions');
+const {
+  createRefreshTokensRepo,
+  createRevokedTokensRepo,
+  createRecoveryCodesRepo,
+  createResetTokensRepo,
+} = require('./tokens');
+
+const createMysqlRepos = (db) => ({
+  users: createUsersRepo(db),
+  logs: createLogsRepo(db),
+  monitoredUsers: createMonitoredUsersRepo(db),
+  files: createFilesRepo(db),
+  fileShares: createFileSharesRepo(db),
+  uploadSessions: createUploadSessionsRepo(db),
+  refreshTokens: createRefreshTokensRepo(db),
+  revokedTokens: createRevokedTokensRepo(db),
+  recoveryCodes: createRecoveryCodesRepo(db),
+  resetTokens: createResetTokensRepo(db),
+  transaction: (fn) => transaction(db, (connection) => fn(createMysqlRepos(connection))),
+});
+
+module.exports = { createMysqlRepos };
@@ -0,0 +1,87 @@
+const { query } = require('../../db/query');
+
+const COLUMNS = 'id, user_id, action, entity, entity_id, ip, user_agent, changes, timestamp';
+
+// The driver hands JSON columns back as text
+const parseChanges = (row) => ({
+  ...row,
+  changes: typeof row.changes === 'string' ? JSON.parse(row.changes) : row.changes,
+});
+
+const createLogsRepo = (db) => ({
+  // entry: { user_id, action, entity, entity_id, ip, user_agent, changes }
+  create: (entry) => query(db, 'INSERT INTO logs SET ?', [{
+    ...entry,
+    changes: entry.changes ? JSON.stringify(entry.changes) : null,
+  }]),
+
+  // Newest first unless order is 'ASC'. Filters are all optional; `from` is
+  // inclusive and `to` exclusive. With `after: { value, id }` only entries
+  // past that (timestamp, id) key are returned.
+  list: async ({ userId, action, entity, entityId, from, to, order = 'DESC', limit, after }) => {
+    let sql = ' WHERE 1=1';
+    const params = [];
+    const filter = (clause, value) => {
+      if (value !== undefined) {
+        sql += ` AND ${clause}`;
+        params.push(value);
+      }
+    };
+    filter('user_id = ?', userId);
+    filter('action = ?', action);
+    filter('entity = ?', entity);
+    filter('entity_id = ?', entityId);
+    filter('timestamp >= ?', from);
+    filter('timestamp < ?', to);
+
+    const direction = order === 'ASC' ? 'ASC' : 'DESC';
+    if (after) {
+      const op = direction === 'DESC' ? '<' : '>';
+      sql += ` AND (timestamp ${op} ? OR (timestamp = ? AND id ${op} ?))`;
+      params.push(after.value, after.value, after.id);
+    }
+    const rows = await query(
+      db,
+      `SELECT ${COLUMNS} FROM logs${sql} ORDER BY timestamp ${direction}, id ${direction} LIMIT ?`,
+      [...params, limit]
+    );
+    return rows.map(parseChanges);
+  },
+
+  // Users with more than `threshold` actions in the last `windowSeconds`,
+  // as [{ user_id, action_count }]. Only actions on `entity` and among
+  // `actions` count when those are given.
+  findFrequentActors: ({ windowSeconds, threshold, entity, actions }) => {
+    let sql = '';
+    const params = [windowSeconds];
+    if (entity !== undefined) {
+      sql += ' AND entity = ?';
+      params.push(entity);
+    }
+    if (actions !== undefined) {
+      sql += ' AND action IN (?)';
+      params.push(actions);
+    }
+    return query(
+      db,
+      `SELECT user_id, COUNT(*) as action_count
+       FROM logs
+       WHERE timestamp > (NOW() - INTERVAL ? SECOND)
+         AND user_id IS NOT NULL AND user_id != 0${sql}
+       GROUP BY user_id
+       HAVING action_count > ?`,
+      [...params, threshold]
+    );
+  },
+
+  // Lockouts recorded in the last `windowSeconds`, as [{ user_id, ip, entity }]
+  findLockouts: ({ windowSeconds }) => query(
+    db,
+    `SELECT user_id, ip, entity
+     FROM logs
+     WHERE action = 'lockout' AND timestamp > (NOW() - INTERVAL ? SECOND)`,
+    [windowSeconds]
+  ),
+});
+
+module.exports = { createLogsRepo };
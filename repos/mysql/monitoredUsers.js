@@ -0,0 +1,23 @@
+const { query } = require('../../db/query');
+
+const createMonitoredUsersRepo = (db) => ({
+  // A user already being monitored keeps their original entry, as does an IP
+  // flagged without a user; resolves to whether a new entry was added
+  add: async ({ user_id, ip = null, reason }) => (user_id === null
+    ? await query(
+      db,
+      `INSERT INTO monitored_users (user_id, ip, reason, detected_at)
+       SELECT NULL, ?, ?, NOW() FROM DUAL
+       WHERE NOT EXISTS (SELECT 1 FROM monitored_users WHERE user_id IS NULL AND ip = ?)`,
+      [ip, reason, ip]
+    )
+    : await query(
+      db,
+      'INSERT IGNORE INTO monitored_users (user_id, ip, reason, detected_at) VALUES (?, ?, ?, NOW())',
+      [user_id, ip, reason]
+    )).affectedRows > 0,
+
+  list: () => query(db, 'SELECT * FROM monitored_users'),
+});
+
+module.exports = { createMonitoredUsersRepo };
@@ -0,0 +1,103 @@
+// Tables behind auth/tokens, auth/twoFactor and auth/passwordReset. Tokens and
+// codes arrive here already hashed.
+const { query } = require('../../db/query');
+
+const first = (rows) => rows[0] || null;
+
+const createRefreshTokensRepo = (db) => ({
+  // token: { user_id, family_id, token_hash, expires_at, two_factor_verified }
+  create: (token) => query(db, 'INSERT INTO refresh_tokens SET ?', [token]),
+
+  findByHash: async (tokenHash) => first(await query(
+    db,
+    'SELECT id, user_id, family_id, expires_at, revoked_at, two_factor_verified FROM refresh_tokens WHERE token_hash = ?',
+    [tokenHash]
+  )),
+
+  // Conditional so two concurrent refreshes cannot both succeed; resolves to
+  // false if the token was already revoked
+  revoke: async (id) => (await query(
+    db,
+    'UPDATE refresh_tokens SET revoked_at = NOW() WHERE id = ? AND revoked_at IS NULL',
+    [id]
+  )).affectedRows > 0,
+
+  revokeFamily: (familyId) => query(
+    db,
+    'UPDATE refresh_tokens SET revoked_at = NOW() WHERE family_id = ? AND revoked_at IS NULL',
+    [familyId]
+  ),
+
+  revokeForUser: (userId) => query(
+    db,
+    'UPDATE refresh_tokens SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL',
+    [userId]
+  ),
+});
+
+const createRevokedTokensRepo = (db) => ({
+  add: (jti, expiresAt) => query(
+    db,
+    'INSERT IGNORE INTO revoked_tokens (jti, expires_at) VALUES (?, ?)',
+    [jti, expiresAt]
+  ),
+
+  listActive: () => query(db, 'SELECT jti, expires_at FROM revoked_tokens WHERE expires_at > NOW()'),
+});
+
+const createRecoveryCodesRepo = (db) => ({
+  replace: async (userId, codeHashes) => {
+    await query(db, 'DELETE FROM two_factor_recovery_codes WHERE user_id = ?', [userId]);
+    await query(
+      db,
+      'INSERT INTO two_factor_recovery_codes (user_id, code_hash) VALUES ?',
+      [codeHashes.map(hash => [userId, hash])]
+    );
+  },
+
+  listUnused: (userId) => query(
+    db,
+    'SELECT id, code_hash FROM two_factor_recovery_codes WHERE user_id = ? AND used_at IS NULL',
+    [userId]
+  ),
+
+  // Resolves to false if the code was used in the meantime
+  markUsed: async (id) => (await query(
+    db,
+    'UPDATE two_factor_recovery_codes SET used_at = NOW() WHERE id = ? AND used_at IS NULL',
+    [id]
+  )).affectedRows > 0,
+
+  clear: (userId) => query(db, 'DELETE FROM two_factor_recovery_codes WHERE user_id = ?', [userId]),
+});
+
+const createResetTokensRepo = (db) => ({
+  // token: { user_id, token_hash, expires_at }
+  create: (token) => query(db, 'INSERT INTO password_reset_tokens SET ?', [token]),
+
+  // Marks every unused token of the user as used
+  retireForUser: (userId) => query(
+    db,
+    'UPDATE password_reset_tokens SET used_at = NOW() WHERE user_id = ? AND used_at IS NULL',
+    [userId]
+  ),
+
+  findByHash: async (tokenHash) => first(await query(
+    db,
+    'SELECT id, user_id, expires_at, used_at FROM password_reset_tokens WHERE token_hash = ?',
+    [tokenHash]
+  )),
+
+  markUsed: async (id) => (await query(
+    db,
+    'UPDATE password_reset_tokens SET used_at = NOW() WHERE id = ? AND used_at IS NULL',
+    [id]
+  )).affectedRows > 0,
+});
+
+module.exports = {
+  createRefreshTokensRepo,
+  createRevokedTokensRepo,
+  createRecoveryCodesRepo,
+  createResetTokensRepo,
+};
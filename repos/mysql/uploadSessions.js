@@ -0,0 +1,34 @@
+const { query } = require('../../db/query');
+
+const createUploadSessionsRepo = (db) => ({
+  // session: { id, user_id, original_name, mime_type, size, checksum,
+  // created_at, expires_at }
+  create: async (session) => {
+    await query(db, 'INSERT INTO upload_sessions SET ?', [{ ...session, received: 0 }]);
+    return { ...session, received: 0 };
+  },
+
+  findById: async (id) => (await query(db, 'SELECT * FROM upload_sessions WHERE id = ?', [id]))[0] || null,
+
+  // Moves the offset from `from` to `to`. Conditional so two writers can't both
+  // advance from the same offset; resolves to false if the offset had moved.
+  advance: async (id, from, to, expiresAt) => (await query(
+    db,
+    'UPDATE upload_sessions SET received = ?, expires_at = ? WHERE id = ? AND received = ?',
+    [to, expiresAt, id, from]
+  )).affectedRows > 0,
+
+  remove: async (id) => (await query(db, 'DELETE FROM upload_sessions WHERE id = ?', [id])).affectedRows > 0,
+
+  // Deletes the sessions that expired before `now` and resolves to their ids
+  deleteExpired: async (now) => {
+    const rows = await query(db, 'SELECT id FROM upload_sessions WHERE expires_at < ?', [now]);
+    const ids = rows.map(row => row.id);
+    if (ids.length > 0) {
+      await query(db, 'DELETE FROM upload_sessions WHERE id IN (?) AND expires_at < ?', [ids, now]);
+    }
+    return ids;
+  },
+});
+
+module.exports = { createUploadSessionsRepo };
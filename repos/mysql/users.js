@@ -0,0 +1,175 @@
+const { query, streamQuery } = require('../../db/query');
+
+// Only these columns are ever interpolated into ORDER BY
+const SORT_COLUMNS = ['name', 'email', 'type', 'created_at'];
+// Everything but credentials and 2FA state
+const PUBLIC_COLUMNS = 'id, name, email, type, image, created_at';
+// What an export may contain: the whole row but credentials and 2FA secrets
+const EXPORT_COLUMNS = ['id', 'name', 'email', 'type', 'image', 'two_factor_enabled', 'email_verified_at', 'created_at'];
+
+const first = (rows) => rows[0] || null;
+
+// Soft-deleted users only show up where a method says so
+const ACTIVE = 'deleted_at IS NULL';
+
+// WHERE clause shared by list, count and stream. Rows in the trash are left
+// out, or are the only ones matched with `deleted: true`.
+const filterClause = ({ name, email, type, deleted = false } = {}) => {
+  let sql = deleted ? ' WHERE deleted_at IS NOT NULL' : ` WHERE ${ACTIVE}`;
+  const params = [];
+
+  if (name) {
+    sql += ' AND name LIKE ?';
+    params.push(`%${name}%`);
+  }
+  if (email) {
+    sql += ' AND email LIKE ?';
+    params.push(`%${email}%`);
+  }
+  if (type) {
+    sql += ' AND type = ?';
+    params.push(type);
+  }
+  return { sql, params };
+};
+
+const createUsersRepo = (db) => ({
+  count: async (filters) => {
+    const where = filterClause(filters);
+    const rows = await query(db, `SELECT COUNT(*) as count FROM users${where.sql}`, where.params);
+    return rows[0].count;
+  },
+
+  // id breaks ties so the order is total. With `after: { value, id }` only rows
+  // strictly past that key are returned (keyset pagination); InnoDB secondary
+  // indexes end with the primary key, so idx_<column> already covers (column, id).
+  list: async ({ sort = 'name', order = 'ASC', limit, offset = 0, after, ...filters }) => {
+    if (!SORT_COLUMNS.includes(sort)) throw new Error(`Cannot sort users by ${sort}`);
+    const where = filterClause(filters);
+    const direction = order === 'DESC' ? 'DESC' : 'ASC';
+    if (after) {
+      const op = direction === 'DESC' ? '<' : '>';
+      where.sql += ` AND (${sort} ${op} ? OR (${sort} = ? AND id ${op} ?))`;
+      where.params.push(after.value, after.value, after.id);
+    }
+    return query(
+      db,
+      `SELECT ${PUBLIC_COLUMNS} FROM users${where.sql} ORDER BY ${sort} ${direction}, id ${direction} LIMIT ? OFFSET ?`,
+      [...where.params, limit, offset]
+    );
+  },
+
+  // Async iterable of EXPORT_COLUMNS rows in list order, read from MySQL as
+  // they are consumed rather than all at once
+  stream: ({ sort = 'name', order = 'ASC', ...filters }) => {
+    if (!SORT_COLUMNS.includes(sort)) throw new Error(`Cannot sort users by ${sort}`);
+    const where = filterClause(filters);
+    const direction = order === 'DESC' ? 'DESC' : 'ASC';
+    return streamQuery(
+      db,
+      `SELECT ${EXPORT_COLUMNS.join(', ')} FROM users${where.sql} ORDER BY ${sort} ${direction}, id ${direction}`,
+      where.params
+    );
+  },
+
+  // Full-text search over name and email (ft_users_name_email). Every term is
+  // required and matches as a word prefix; terms come from search/terms and
+  // hold only word characters, so they can't inject boolean-mode operators.
+  search: ({ terms, type, limit, offset = 0 }) => {
+    const against = terms.map(term => `+${term}*`).join(' ');
+    let sql = `SELECT ${PUBLIC_COLUMNS}, MATCH(name, email) AGAINST (? IN BOOLEAN MODE) AS relevance
+               FROM users
+               WHERE MATCH(name, email) AGAINST (? IN BOOLEAN MODE) AND ${ACTIVE}`;
+    const params = [against, against];
+    if (type) {
+      sql += ' AND type = ?';
+      params.push(type);
+    }
+    sql += ' ORDER BY relevance DESC, id ASC LIMIT ? OFFSET ?';
+    return query(db, sql, [...params, limit, offset]);
+  },
+
+  // The trash, most recently deleted first
+  listDeleted: ({ limit, offset = 0 }) => query(
+    db,
+    `SELECT ${PUBLIC_COLUMNS}, deleted_at FROM users WHERE deleted_at IS NOT NULL
+     ORDER BY deleted_at DESC, id DESC LIMIT ? OFFSET ?`,
+    [limit, offset]
+  ),
+
+  // With `deleted: true`, finds the user only if it is in the trash
+  findById: async (id, { deleted = false } = {}) => first(await query(
+    db,
+    `SELECT * FROM users WHERE id = ? AND ${deleted ? 'deleted_at IS NOT NULL' : ACTIVE}`,
+    [id]
+  )),
+
+  findByEmail: async (email) => first(await query(db, `SELECT * FROM users WHERE email = ? AND ${ACTIVE}`, [email])),
+
+  // Resolves to the new user's id
+  create: async (user) => (await query(db, 'INSERT INTO users SET ?', [user])).insertId,
+
+  // One multi-row INSERT; every user needs the same columns as the first.
+  // Resolves to the number of rows inserted.
+  createMany: async (users) => {
+    if (users.length === 0) return 0;
+    const columns = Object.keys(users[0]);
+    const values = users.map(user => columns.map(column => user[column]));
+    return (await query(db, 'INSERT INTO users (??) VALUES ?', [columns, values])).affectedRows;
+  },
+
+  // The subset of `emails` already taken, as stored
+  findExistingEmails: async (emails) => {
+    if (emails.length === 0) return [];
+    const rows = await query(db, `SELECT email FROM users WHERE email IN (?) AND ${ACTIVE}`, [emails]);
+    return rows.map(row => row.email);
+  },
+
+  // Resolves to false when no such user exists
+  update: async (id, changes) => (
+    await query(db, `UPDATE users SET ? WHERE id = ? AND ${ACTIVE}`, [changes, id])
+  ).affectedRows > 0,
+
+  // Keeps the first verification time. With an email, only matches if the
+  // address is still the same.
+  markEmailVerified: async (id, email) => {
+    let sql = 'UPDATE users SET email_verified_at = COALESCE(email_verified_at, NOW()) WHERE id = ?';
+    const params = [id];
+    if (email !== undefined) {
+      sql += ' AND email = ?';
+      params.push(email);
+    }
+    return (await query(db, `${sql} AND ${ACTIVE}`, params)).affectedRows > 0;
+  },
+
+  // Moves the user to the trash. Resolves to false if there was no such user
+  // or it was already there.
+  softDelete: async (id) => (
+    await query(db, `UPDATE users SET deleted_at = NOW() WHERE id = ? AND ${ACTIVE}`, [id])
+  ).affectedRows > 0,
+
+  // Takes the user back out of the trash; false if it wasn't in there
+  restore: async (id) => (
+    await query(db, 'UPDATE users SET deleted_at = NULL WHERE id = ? AND deleted_at IS NOT NULL', [id])
+  ).affectedRows > 0,
+
+  remove: async (id) => (await query(db, 'DELETE FROM users WHERE id = ?', [id])).affectedRows > 0,
+
+  // Permanently deletes users that went into the trash before `before` and
+  // resolves to their ids. Run it in a transaction so the rows stay locked
+  // between finding and deleting them.
+  purgeDeleted: async (before) => {
+    const rows = await query(db, 'SELECT id FROM users WHERE deleted_at < ? FOR UPDATE', [before]);
+    const ids = rows.map(row => row.id);
+    if (ids.length > 0) await query(db, 'DELETE FROM users WHERE id IN (?)', [ids]);
+    return ids;
+  },
+
+  findSessionsRevokedSince: (since) => query(
+    db,
+    'SELECT id, sessions_revoked_at FROM users WHERE sessions_revoked_at > ?',
+    [since]
+  ),
+});
+
+module.exports = { SORT_COLUMNS, EXPORT_COLUMNS, createUsersRepo };
@@ -0,0 +1,42 @@
+// Search term handling shared by both storage backends. Text is split into
+// words the way MySQL's full-text parser does it (letters, digits and _), and
+// every term matches as a word prefix: "jo" finds "John" and "jo@example.com".
+
+// Same as InnoDB's innodb_ft_min_token_size; shorter words aren't indexed
+const MIN_TERM_LENGTH = 3;
+const MAX_TERMS = 10;
+
+const WORD = /[\p{L}\p{N}_]+/gu;
+
+const words = (text) => String(text ?? '').toLowerCase().match(WORD) || [];
+
+// Distinct lower-case terms from a query string, at most MAX_TERMS of them
+const parseTerms = (q) => [...new Set(words(q).filter(word => word.length >= MIN_TERM_LENGTH))].slice(0, MAX_TERMS);
+
+const escapeHtml = (text) => text.replace(/[&<>"']/g, (ch) => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;',
+}[ch]));
+
+// Wraps the matching prefix of every word that starts with a term in <mark>.
+// The rest of the text is HTML-escaped. Resolves to null if nothing matched.
+const highlight = (text, terms) => {
+  if (text === null || text === undefined) return null;
+  const source = String(text);
+  let result = '';
+  let last = 0;
+  let matched = false;
+
+  for (const match of source.matchAll(WORD)) {
+    const word = match[0].toLowerCase();
+    const length = Math.max(0, ...terms.filter(term => word.startsWith(term)).map(term => term.length));
+    if (length > 0) {
+      result += escapeHtml(source.slice(last, match.index));
+      result += `<mark>${escapeHtml(source.slice(match.index, match.index + length))}</mark>`;
+      last = match.index + length;
+      matched = true;
+    }
+  }
+  return matched ? result + escapeHtml(source.slice(last)) : null;
+};
+
+module.exports = { MIN_TERM_LENGTH, MAX_TERMS, words, parseTerms, highlight };
@@ -6,95 +6,345 @@ const { body, validationResult } = require('express-validator');
 const WebSocket = require('ws');
 const multer = require('multer');
 const path = require('path');
+const os = require('os');
 const fs = require('fs');
+const crypto = require('crypto');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 const speakeasy = require('speakeasy');
 const QRCode = require('qrcode');
-const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
-const authenticateToken = (req, res, next) => {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
-
+const http = require('http');
+const { Readable, pipeline, finished } = require('stream');
+const { ROLES, authorize } = require('./auth/permissions');
+const {
+  JWT_SECRET,
+  signAccessToken,
+  issueRefreshToken,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAccessToken,
+  revokeUserSessions,
+  isAccessTokenRevoked,
+  loadRevokedTokens,
+} = require('./auth/tokens');
+const {
+  verifyTotp,
+  replaceRecoveryCodes,
+  consumeRecoveryCode,
+  clearRecoveryCodes,
+} = require('./auth/twoFactor');
+const { createAttemptLimiter } = require('./auth/attemptLimiter');
+const { storageBackend, createMysqlRepos, createMemoryRepos } = require('./repos');
+const {
+  decodeCursor,
+  pageQuery,
+  buildPage,
+  decodeOffsetCursor,
+  buildOffsetPage,
+  linkHeader,
+} = require('./pagination/cursor');
+const { MIN_TERM_LENGTH, parseTerms, highlight } = require('./search/terms');
+const { recordAudit } = require('./audit/log');
+const { DEFAULT_CAPACITY, createEventFeed } = require('./realtime/eventFeed');
+const { TOPICS, parseFilter, wantsEvent } = require('./realtime/topics');
+const { SLOW_CLIENT_POLICIES, createSendQueue } = require('./realtime/sendQueue');
+const { parseImportFile, importUsers } = require('./users/import');
+const { EXPORT_FORMATS, exportFormatOf, startRows } = require('./users/export');
+const {
+  AVATAR_VARIANTS,
+  DEFAULT_VARIANT,
+  MAX_AVATAR_BYTES,
+  avatarKey,
+  checkAvatar,
+  createAvatarVariants,
+} = require('./users/avatars');
+const { SORT_COLUMNS } = require('./repos/mysql/users');
+const { sha256File } = require('./files/checksum');
+const { MAX_LINK_TTL_SECONDS, signDownload, verifyDownload } = require('./files/signedLinks');
+const { partialPath, createPartial, hasPartial, removePartial, appendChunk } = require('./files/resumable');
+const { sniffFile } = require('./files/sniff');
+const { uploadPolicyFromEnv } = require('./files/uploadPolicy');
+const { createLocalScanner } = require('./files/scanner');
+const { fileStorageFromEnv } = require('./files/storage');
+const { ROOT_FOLDER, normalizeFolder, parseFileChanges } = require('./files/metadata');
+const { quotasFromEnv, usageReport, checkQuotas } = require('./files/quotas');
+const { createResetToken, consumeResetToken } = require('./auth/passwordReset');
+const { sendMail } = require('./mail/mailer');
+const {
+  isEmailVerificationRequired,
+  readVerificationToken,
+  sendVerificationEmail,
+} = require('./auth/emailVerification');
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+// Where clients reach this API, for the URLs it hands out (avatars, download
+// links). The request's Host header is up to the client, or names an internal
+// host behind the proxy, so it never goes into them; without API_URL they are
+// relative to the API.
+const API_URL = (process.env.API_URL || '').replace(/\/+$/, '');
+
+// Checks an access token. Tokens carry an optional scope claim: the
+// short-lived token handed out between password and 2FA checks has scope '2fa'
+// and is only accepted by /2fa/verify, while regular access tokens have none.
+// Resolves to { user } for an acceptable token, or { status, error } saying
+// why it was refused.
+const verifyToken = (token, scope) => {
   if (!token) {
-    return res.status(401).json({ error: 'Access token required' });
+    return { status: 401, error: 'Access token required' };
   }
 
-  jwt.verify(token, JWT_SECRET, (err, user) => {
-    if (err) {
-      return res.status(403).json({ error: 'Invalid or expired token' });
-    }
-    req.user = user;
-    next();
-  });
+  let user;
+  try {
+    user = jwt.verify(token, JWT_SECRET);
+  } catch (err) {
+    return { status: 403, error: 'Invalid or expired token' };
+  }
+  if (isAccessTokenRevoked(user)) {
+    return { status: 401, error: 'Token has been revoked' };
+  }
+  if ((user.scope || null) !== scope) {
+    return { status: 403, error: scope ? 'Two-factor token required' : 'Two-factor verification required' };
+  }
+  return { user };
+};
+
+const bearerToken = (req) => {
+  const authHeader = req.headers['authorization'];
+  return authHeader && authHeader.split(' ')[1];
+};
+
+// Builds a bearer-token middleware for tokens of the given scope
+const requireToken = (scope) => (req, res, next) => {
+  const { user, status, error } = verifyToken(bearerToken(req), scope);
+  if (!user) {
+    return res.status(status).json({ error });
+  }
+  req.user = user;
+  next();
 };
+const authenticateToken = requireToken(null);
+const authenticateTwoFactorToken = requireToken('2fa');
 const app = express();
+// Behind a load balancer req.ip is the balancer's address unless Express may
+// read X-Forwarded-For. TRUST_PROXY is passed on as 'trust proxy': a hop
+// count, true, or a comma-separated list of trusted addresses and subnets.
+const trustProxyFromEnv = (value) => {
+  if (!value || value === 'false') return false;
+  if (value === 'true') return true;
+  if (/^\d+$/.test(value)) return Number(value);
+  return value.split(',').map(entry => entry.trim());
+};
+app.set('trust proxy', trustProxyFromEnv(process.env.TRUST_PROXY));
 app.use(cors());
 app.use(express.json());
 
+// Stored files live wherever the file storage driver keeps them (see
+// files/storage). Only uploads in progress touch the local disk: they wait in
+// UPLOAD_TMP_DIR until they are complete and their content has been checked.
+let fileStorage = fileStorageFromEnv();
+const UPLOAD_TMP_DIR = process.env.UPLOAD_TMP_DIR || path.join(os.tmpdir(), 'mpp-uploads');
+const INCOMING_DIR = path.join(UPLOAD_TMP_DIR, 'incoming');
+const MAX_UPLOAD_SIZE = 500 * 1024 * 1024; // 500MB, in one request or resumed
+
+// Swap in another file storage driver
+const setFileStorage = (nextStorage) => {
+  fileStorage = nextStorage;
+};
+
 // Configure multer for file uploads
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
-    const uploadDir = 'uploads';
-    if (!fs.existsSync(uploadDir)) {
-      fs.mkdirSync(uploadDir);
-    }
-    cb(null, uploadDir);
+    fs.mkdirSync(INCOMING_DIR, { recursive: true });
+    cb(null, INCOMING_DIR);
   },
+  // Random names so uploads never collide or reveal the original name. The
+  // extension is added from the sniffed type once the upload is accepted.
   filename: (req, file, cb) => {
-    cb(null, Date.now() + path.extname(file.originalname));
+    cb(null, crypto.randomUUID());
   }
 });
 
 const upload = multer({ 
   storage: storage,
   limits: { 
-    fileSize: 500 * 1024 * 1024, // 500MB limit
+    fileSize: MAX_UPLOAD_SIZE,
     files: 1 // Only 1 file at a time
   }
 });
 
-// Create database connection
+// Uploads are judged by their content rather than the name or Content-Type
+// the client sent (see files/uploadPolicy.js and files/scanner.js)
+const uploadPolicy = uploadPolicyFromEnv();
+const storageQuotas = quotasFromEnv();
+let scanner = createLocalScanner();
+
+// Plug in another content scanner, e.g. one backed by an antivirus daemon
+const setScanner = (nextScanner) => {
+  scanner = nextScanner;
+};
+
+// Import files are parsed straight from memory and never land in uploads/
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+    files: 1
+  }
+});
+
+// Create the database connection pool. Connections are opened on demand, so a
+// connection MySQL drops (idle timeout, restart) is discarded by the pool and
+// replaced on the next query instead of breaking every route.
 const createDbConnection = () => {
-  return mysql.createConnection({
+  const pool = mysql.createPool({
+    connectionLimit: parseInt(process.env.DB_POOL_SIZE, 10) || 10,
     host: process.env.DB_HOST,
     user: process.env.DB_USER,
     password: process.env.DB_PASSWORD,
     database: process.env.DB_NAME,
   });
+  pool.on('connection', (connection) => {
+    connection.on('error', (err) => console.error('MySQL connection error:', err.code || err));
+  });
+  return pool;
 };
 
-// Export db for testing
-let db = createDbConnection();
+// Only the MySQL backend needs a pool; every route goes through `repos`
+const STORAGE_BACKEND = storageBackend();
+let db = STORAGE_BACKEND === 'mysql' ? createDbConnection() : null;
+let repos = db ? createMysqlRepos(db) : createMemoryRepos();
 
-// Connect to database
+const DB_RETRY_DELAY_MS = 5000;
+
+// Check the database is reachable, retrying until it is
 const connectToDatabase = () => {
-  db.connect((err) => {
+  db.getConnection((err, connection) => {
     if (err) {
       console.error("Database connection failed:", err);
+      setTimeout(connectToDatabase, DB_RETRY_DELAY_MS).unref();
       return;
     }
+    connection.release();
     console.log("Connected to MySQL database");
+    loadRevokedTokens(repos).catch((loadErr) => {
+      console.error('Failed to load revoked tokens:', loadErr);
+    });
   });
 };
 
 // Allow injection of db connection for testing
 const setDbConnection = (connection) => {
   db = connection;
+  repos = createMysqlRepos(connection);
+};
+
+// Swap in another set of repositories, e.g. a fresh in-memory backend per test
+const setRepos = (nextRepos) => {
+  repos = nextRepos;
 };
 
+// Audit record for an action taken while handling req (see audit/log.js)
+const audit = (req, details) => recordAudit(repos, req, details);
+
 // Connect to database if not in test environment
-if (process.env.NODE_ENV !== 'test') {
+if (db && process.env.NODE_ENV !== 'test') {
   connectToDatabase();
 }
 
+// Brute-force protection for password and 2FA checks. Failures are counted per
+// account and per client IP; the IP limiter is looser because many users can
+// share one address, and they may well log in at the same time.
+const attemptLimiters = {
+  account: createAttemptLimiter(),
+  ip: createAttemptLimiter({ freeAttempts: 10, lockoutThreshold: 50, maxInFlight: 100 }),
+};
+
+// Emails anyone can ask for (verification resends, password resets): one per
+// minute, doubling each time, and at most five in an hour per address
+const createMailLimiter = () => createAttemptLimiter({
+  freeAttempts: 0,
+  baseDelayMs: 60 * 1000,
+  maxDelayMs: 60 * 60 * 1000,
+  lockoutThreshold: 5,
+  lockoutMs: 60 * 60 * 1000,
+  windowMs: 60 * 60 * 1000,
+});
+const verificationResendLimiter = createMailLimiter();
+const passwordResetLimiter = createMailLimiter();
+
+// Responds with 429 and returns false while `email` may not be sent another
+// mail; otherwise counts this one
+const throttleMail = (limiter, email, res) => {
+  const key = String(email).toLowerCase();
+  const wait = limiter.retryAfter(key);
+  if (wait > 0) {
+    res.set('Retry-After', String(wait));
+    res.status(429).json({ error: 'Too many attempts, try again later' });
+    return false;
+  }
+  limiter.fail(key);
+  return true;
+};
+
+const attemptKeys = (scope, account, req) => ({
+  account: `${scope}:${String(account).toLowerCase()}`,
+  ip: `${scope}:${req.ip}`,
+});
+
+// Responds with 429 and returns false while either key is blocked. Otherwise
+// the attempt is in flight for both keys until the response has been sent.
+const checkAttempts = (keys, res) => {
+  const accountWait = attemptLimiters.account.acquire(keys.account);
+  const ipWait = accountWait > 0
+    ? attemptLimiters.ip.retryAfter(keys.ip)
+    : attemptLimiters.ip.acquire(keys.ip);
+  if (accountWait > 0 || ipWait > 0) {
+    if (accountWait === 0) attemptLimiters.account.release(keys.account);
+    res.set('Retry-After', String(Math.max(accountWait, ipWait)));
+    res.status(429).json({ error: 'Too many attempts, try again later' });
+    return false;
+  }
+  finished(res, () => {
+    attemptLimiters.account.release(keys.account);
+    attemptLimiters.ip.release(keys.ip);
+  });
+  return true;
+};
+
+// Counts a failed attempt, sets Retry-After when backoff kicks in and records
+// lockouts in the logs table so the monitoring job picks them up
+const recordFailedAttempt = (keys, res, entity, userId = null) => {
+  const account = attemptLimiters.account.fail(keys.account);
+  const ip = attemptLimiters.ip.fail(keys.ip);
+  const wait = Math.max(account.retryAfter, ip.retryAfter);
+  if (wait > 0) {
+    res.set('Retry-After', String(wait));
+  }
+  if (account.lockedOut || ip.lockedOut) {
+    console.warn(`Lockout on ${entity} for ${account.lockedOut ? keys.account : keys.ip}`);
+    audit(res.req, { action: 'lockout', entity, entityId: userId, actorId: userId });
+  }
+};
+
 // Validation middleware
 const validateUser = [
   body('name').trim().notEmpty().withMessage('Name is required'),
   body('email').isEmail().withMessage('Invalid email format'),
-  body('type').isIn(['admin', 'user']).withMessage('Type must be either admin or user'),
+  body('type').isIn(ROLES).withMessage('Type must be either admin or user'),
 ];
 
+const validateNewPassword = (field) => body(field)
+  .isString()
+  .isLength({ min: 8 })
+  .withMessage('Password must be at least 8 characters');
+
+// Runs validateUser against a plain object rather than a request; resolves to
+// the errors and the sanitized values
+const validateUserRow = async (row) => {
+  const req = { body: { ...row } };
+  await Promise.all(validateUser.map(chain => chain.run(req)));
+  return { errors: validationResult(req).array(), values: req.body };
+};
+
 // Error handling middleware
 const handleValidationErrors = (req, res, next) => {
   const errors = validationResult(req);
@@ -105,519 +355,2004 @@ const handleValidationErrors = (req, res, next) => {
 };
 
 // GET total count of users with filtering
-app.get('/users/count', (req, res) => {
+app.get('/users/count', async (req, res) => {
   const { name, type } = req.query;
-  let query = 'SELECT COUNT(*) as count FROM users WHERE 1=1';
-  const params = [];
 
-  if (name) {
-    query += ' AND name LIKE ?';
-    params.push(`%${name}%`);
+  try {
+    const count = await repos.users.count({ name, type });
+    res.json({ count });
+  } catch (err) {
+    console.error('Error counting users:', err);
+    res.status(500).json({ error: 'Failed to count users' });
   }
+});
 
-  if (type) {
-    query += ' AND type = ?';
-    params.push(type);
+const MAX_PAGE_SIZE = 100;
+const pageSizeOf = (limit) => Math.min(Math.max(parseInt(limit) || 10, 1), MAX_PAGE_SIZE);
+
+// Parses optional from/to query dates. Resolves to { dates } or, for a date
+// that doesn't parse, { error }.
+const dateRange = (values) => {
+  const dates = {};
+  for (const [name, value] of Object.entries(values)) {
+    if (value === undefined) continue;
+    dates[name] = new Date(value);
+    if (Number.isNaN(dates[name].getTime())) {
+      return { error: `Invalid ${name} date` };
+    }
   }
+  return { dates };
+};
 
-  db.query(query, params, (err, results) => {
-    if (err) {
-      console.error('Error counting users:', err);
-      return res.status(500).json({ error: 'Failed to count users' });
-    }
-    res.json({ count: results[0].count });
-  });
+// Sort column and direction of a /users query; anything unknown falls back to
+// name ascending
+const listSortOf = ({ sort = 'name', order = 'asc' }) => ({
+  sortCol: SORT_COLUMNS.includes(sort) ? sort : 'name',
+  sortOrder: String(order).toLowerCase() === 'desc' ? 'DESC' : 'ASC',
 });
 
-app.get('/users', (req, res) => {
-  const { name, email, type, sort = 'name', order = 'asc', limit = 10, offset = 0 } = req.query;
-  let query = 'SELECT * FROM users WHERE 1=1';
-  const params = [];
+app.get('/users', async (req, res) => {
+  const { name, email, type, limit = 10, offset = 0 } = req.query;
+  const { sortCol, sortOrder } = listSortOf(req.query);
+
+  // Keyset pagination is opt-in so existing clients keep getting a plain
+  // array: pass `cursor` (empty for the first page) to switch to it
+  if (req.query.cursor !== undefined) {
+    const cursor = req.query.cursor ? decodeCursor(req.query.cursor) : null;
+    if (req.query.cursor && !cursor) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+    if (cursor && (cursor.sort !== sortCol || cursor.order !== sortOrder)) {
+      return res.status(400).json({ error: 'Cursor does not match the requested sort' });
+    }
+
+    const pageOptions = { sort: sortCol, order: sortOrder, limit: pageSizeOf(limit), cursor };
+    try {
+      const rows = await repos.users.list({ name, email, type, ...pageQuery(pageOptions) });
+      const page = buildPage(rows, pageOptions);
+      const link = linkHeader(req, page);
+      if (link) res.set('Link', link);
+      return res.json(page);
+    } catch (err) {
+      console.error('Error fetching users:', err);
+      return res.status(500).json({ error: 'Failed to fetch users' });
+    }
+  }
 
-  if (name) {
-    query += ' AND name LIKE ?';
-    params.push(`%${name}%`);
+  try {
+    const users = await repos.users.list({
+      name,
+      email,
+      type,
+      sort: sortCol,
+      order: sortOrder,
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+    });
+    res.json(users);
+  } catch (err) {
+    console.error('Error fetching users:', err);
+    res.status(500).json({ error: 'Failed to fetch users' });
   }
-  if (email) {
-    query += ' AND email LIKE ?';
-    params.push(`%${email}%`);
+});
+
+// Every user matching the /users filters, in the same order, streamed as CSV,
+// NDJSON or XLSX. Credentials and 2FA secrets are never exported.
+app.get('/users/export', authenticateToken, authorize(), async (req, res) => {
+  const format = exportFormatOf(req);
+  if (!format) {
+    return res.status(req.query.format !== undefined ? 400 : 406).json({
+      error: `Export format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}`,
+    });
   }
-  if (type) {
-    query += ' AND type = ?';
-    params.push(type);
+
+  const { name, email, type } = req.query;
+  const { sortCol, sortOrder } = listSortOf(req.query);
+  let rows;
+  try {
+    rows = await startRows(repos.users.stream({ name, email, type, sort: sortCol, order: sortOrder }));
+  } catch (err) {
+    console.error('Error exporting users:', err);
+    return res.status(500).json({ error: 'Failed to export users' });
   }
 
-  // Validate sort and order
-  const allowedSort = ['name', 'email', 'type', 'created_at'];
-  const allowedOrder = ['asc', 'desc'];
-  const sortCol = allowedSort.includes(sort) ? sort : 'name';
-  const sortOrder = allowedOrder.includes(order.toLowerCase()) ? order.toUpperCase() : 'ASC';
+  res.attachment(`users.${format}`);
+  res.set('Content-Type', EXPORT_FORMATS[format].contentType);
+  // Past this point the status is already sent, so a failure can only cut
+  // the download short
+  pipeline(Readable.from(EXPORT_FORMATS[format].encode(rows)), res, (err) => {
+    if (err) console.error('Error exporting users:', err);
+  });
+});
 
-  query += ` ORDER BY ${sortCol} ${sortOrder}`;
-  query += ' LIMIT ? OFFSET ?';
-  params.push(parseInt(limit), parseInt(offset));
+// Full-text search over name and email, best matches first. Pages come with
+// cursors like /users, but positional ones: relevance shifts as rows change,
+// so there is no stable key to seek on.
+app.get('/users/search', async (req, res) => {
+  const { q, type, cursor } = req.query;
+  const terms = parseTerms(q);
+  if (terms.length === 0) {
+    return res.status(400).json({ error: `Search needs a word of at least ${MIN_TERM_LENGTH} characters` });
+  }
 
-  db.query(query, params, (err, results) => {
-    if (err) {
-      console.error('Error fetching users:', err);
-      return res.status(500).json({ error: 'Failed to fetch users' });
+  let offset = Math.max(parseInt(req.query.offset) || 0, 0);
+  if (cursor) {
+    offset = decodeOffsetCursor(cursor);
+    if (offset === null) {
+      return res.status(400).json({ error: 'Invalid cursor' });
     }
-    res.json(results);
-  });
+  }
+  const limit = pageSizeOf(req.query.limit);
+
+  try {
+    const rows = await repos.users.search({ terms, type, limit: limit + 1, offset });
+    const page = buildOffsetPage(rows, { limit, offset });
+    page.data = page.data.map((user) => {
+      const highlights = {};
+      ['name', 'email'].forEach((field) => {
+        const fragment = highlight(user[field], terms);
+        if (fragment) highlights[field] = fragment;
+      });
+      return { ...user, highlights };
+    });
+
+    const link = linkHeader(req, page);
+    if (link) res.set('Link', link);
+    res.json(page);
+  } catch (err) {
+    console.error('Error searching users:', err);
+    res.status(500).json({ error: 'Failed to search users' });
+  }
+});
+
+const USER_RETENTION_DAYS = parseInt(process.env.USER_RETENTION_DAYS, 10) || 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Deleted users, most recent first, with the time each will be purged
+app.get('/users/trash', authenticateToken, authorize(), async (req, res) => {
+  const limit = pageSizeOf(req.query.limit);
+  const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+  try {
+    const users = await repos.users.listDeleted({ limit, offset });
+    res.json(users.map(user => ({
+      ...user,
+      purge_at: new Date(new Date(user.deleted_at).getTime() + USER_RETENTION_DAYS * DAY_MS),
+    })));
+  } catch (err) {
+    console.error('Error fetching deleted users:', err);
+    res.status(500).json({ error: 'Failed to fetch deleted users' });
+  }
 });
 
 // Get a single user
-app.get("/users/:id", (req, res) => {
-  const query = "SELECT id, name, email, image, type FROM users WHERE id = ?";
-  db.query(query, [req.params.id], (err, results) => {
-    if (err) {
-      console.error(err);
-      res.status(500).json({ error: "Server error" });
-    } else if (results.length === 0) {
-      res.status(404).json({ error: "User not found" });
-    } else {
-      res.json(results[0]);
+app.get("/users/:id", async (req, res) => {
+  try {
+    const user = await repos.users.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
     }
-  });
+    const { id, name, email, image, type } = user;
+    res.json({ id, name, email, image, type });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
 });
 
-// Function to get all users
-const getAllUsers = async () => {
-  return new Promise((resolve, reject) => {
-    db.query('SELECT * FROM users', (err, results) => {
-      if (err) reject(err);
-      else resolve(results);
-    });
-  });
+// Changes pushed to WebSocket clients. Each event carries only the changed
+// entity and a sequence number; clients load the current state over HTTP and
+// apply events from there, resuming by sequence number after a reconnect.
+const eventFeed = createEventFeed({
+  capacity: parseInt(process.env.WS_REPLAY_BUFFER_SIZE, 10) || DEFAULT_CAPACITY,
+});
+
+// Slow consumers: more than WS_HIGH_WATER_MARK bytes buffered for a client
+// and its messages queue up; more than WS_MAX_QUEUED of those and
+// WS_SLOW_CLIENT_POLICY applies (see realtime/sendQueue)
+const WS_HIGH_WATER_MARK = parseInt(process.env.WS_HIGH_WATER_MARK, 10) || 1024 * 1024;
+const WS_MAX_QUEUED = parseInt(process.env.WS_MAX_QUEUED, 10) || 100;
+const WS_SLOW_CLIENT_POLICY = SLOW_CLIENT_POLICIES.includes(process.env.WS_SLOW_CLIENT_POLICY)
+  ? process.env.WS_SLOW_CLIENT_POLICY
+  : 'drop';
+const WS_HEARTBEAT_INTERVAL_MS = parseInt(process.env.WS_HEARTBEAT_INTERVAL_MS, 10) || 30 * 1000;
+
+// Since startup; reported by GET /ws/stats
+const wsStats = { reaped: 0, dropped: 0, disconnected: 0 };
+
+const sendMessage = (client, message) => client.outbox.send(JSON.stringify(message), message.seq);
+
+// Close code for sockets whose access token expired or was revoked
+const WS_UNAUTHORIZED = 4001;
+
+// Sends an event to a client if it is subscribed to it. A client whose token
+// has been revoked since it connected is disconnected instead.
+const deliver = (client, event) => {
+  if (isAccessTokenRevoked(client.user)) {
+    return client.close(WS_UNAUTHORIZED, 'Token has been revoked');
+  }
+  if (wantsEvent(client.user, client.subscriptions, event)) {
+    sendMessage(client, event);
+  }
 };
 
-// Function to broadcast updates to all connected clients
-const broadcastUpdate = async (type, data) => {
-  const allUsers = await getAllUsers();
-  wss.clients.forEach(client => {
-    if (client.readyState === WebSocket.OPEN) {
-      client.send(JSON.stringify({
-        type,
-        data,
-        allUsers
-      }));
-    }
-  });
+// Publish a change to the clients subscribed to it
+const broadcastUpdate = (type, data) => {
+  const event = eventFeed.publish(type, data);
+  wss.clients.forEach(client => deliver(client, event));
+  return event;
 };
 
 // Add a new user
-app.post("/users", validateUser, handleValidationErrors, (req, res) => {
+app.post("/users", authenticateToken, authorize(), validateUser, handleValidationErrors, async (req, res) => {
   const { name, email, type } = req.body;
-  
-  db.query("SELECT id FROM users WHERE email = ?", [email], (err, results) => {
-    if (err) {
-      console.error(err);
-      res.status(500).json({ error: "Server error" });
-    } else if (results.length > 0) {
+
+  try {
+    if (await repos.users.findByEmail(email)) {
       return res.status(400).json({ errors: [{ param: "email", msg: "Email already exists" }] });
-    } else {
-      const query = "INSERT INTO users (name, email, type) VALUES (?, ?, ?)";
-      db.query(query, [name, email, type], async (err, result) => {
-        if (err) {
-          console.error(err);
-          res.status(500).json({ error: "Server error" });
-        } else {
-          const newUser = {
-            id: result.insertId,
-            name,
-            email,
-            type,
-            image: null
-          };
-          await broadcastUpdate('USER_ADDED', newUser);
-          res.status(201).json(newUser);
-        }
-      });
     }
-  });
+    const id = await repos.users.create({ name, email, type });
+    const newUser = {
+      id,
+      name,
+      email,
+      type,
+      image: null
+    };
+    audit(req, { action: 'create', entity: 'user', entityId: id, after: { name, email, type } });
+    broadcastUpdate('USER_ADDED', newUser);
+    res.status(201).json(newUser);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
 });
 
-// Update a user
-app.patch("/users/:id", validateUser, handleValidationErrors, (req, res) => {
-  const { id } = req.params;
-  const { name, email, type } = req.body;
-  const userId = req.headers['x-user-id'];
-
-  db.query("SELECT id FROM users WHERE email = ? AND id != ?", [email, id], (err, results) => {
+// Bulk import from a CSV or JSON file in the `file` field. Every row gets an
+// entry in the report; with ?dryRun=true nothing is written. Clients get one
+// USERS_IMPORTED event for the whole file instead of one per user.
+const acceptImportFile = (req, res, next) => {
+  importUpload.single('file')(req, res, (err) => {
     if (err) {
-      console.error(err);
-      res.status(500).json({ error: "Server error" });
-    } else if (results.length > 0) {
-      res.status(400).json({ error: "Email already exists" });
-    } else {
-      const query = "UPDATE users SET name = ?, email = ?, type = ? WHERE id = ?";
-      db.query(query, [name, email, type, id], async (err, result) => {
-        if (err) {
-          console.error(err);
-          res.status(500).json({ error: "Server error" });
-        } else if (result.affectedRows === 0) {
-          res.status(404).json({ error: "User not found" });
-        } else {
-          // Log the update action
-          db.query(
-            "INSERT INTO logs (user_id, action, entity, entity_id) VALUES (?, 'update', 'user', ?)",
-            [userId, id],
-            (logErr) => {
-              if (logErr) console.error('Failed to log update:', logErr);
-            }
-          );
-          const updatedUser = {
-            id: parseInt(id),
-            name,
-            email,
-            type,
-            image: null
-          };
-          await broadcastUpdate('USER_UPDATED', updatedUser);
-          res.json(updatedUser);
-        }
-      });
+      return res.status(400).json({ error: err.message });
     }
+    next();
   });
+};
+
+app.post("/users/import", authenticateToken, authorize(), acceptImportFile, async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No file uploaded' });
+  }
+
+  let rows;
+  try {
+    rows = parseImportFile(req.file);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  const dryRun = ['true', '1'].includes(String(req.query.dryRun).toLowerCase());
+  try {
+    const report = await importUsers(repos, rows, { validateRow: validateUserRow, dryRun });
+    if (report.created > 0) {
+      audit(req, { action: 'import', entity: 'user', after: { created: report.created } });
+      broadcastUpdate('USERS_IMPORTED', { created: report.created });
+    }
+    res.json(report);
+  } catch (err) {
+    console.error('Error importing users:', err);
+    res.status(500).json({ error: 'Failed to import users' });
+  }
 });
 
-// Delete a user
-app.delete("/users/:id", (req, res) => {
+// Update a user
+app.patch("/users/:id", authenticateToken, authorize(), validateUser, handleValidationErrors, async (req, res) => {
   const { id } = req.params;
-  const userId = req.headers['x-user-id'];
+  const { name, email, type } = req.body;
 
-  db.query("DELETE FROM users WHERE id = ?", [id], async (err, result) => {
-    if (err) {
-      console.error("Error deleting user:", err);
-      return res.status(500).json({ error: "Failed to delete user" });
-    }
+  // Users may edit their own record, but not promote themselves
+  if (req.user.type !== 'admin' && type !== req.user.type) {
+    return res.status(403).json({ error: 'Only admins can change a user type' });
+  }
 
-    if (result.affectedRows === 0) {
+  try {
+    const existing = await repos.users.findByEmail(email);
+    if (existing && String(existing.id) !== String(id)) {
+      return res.status(400).json({ error: "Email already exists" });
+    }
+    const before = await repos.users.findById(id);
+    // A new address has to be verified again before it counts
+    const emailChanged = Boolean(before) && before.email !== email;
+    const changes = emailChanged ? { name, email, type, email_verified_at: null } : { name, email, type };
+    if (!before || !(await repos.users.update(id, changes))) {
       return res.status(404).json({ error: "User not found" });
     }
 
-    // Log the delete action
-    db.query(
-      "INSERT INTO logs (user_id, action, entity, entity_id) VALUES (?, 'delete', 'user', ?)",
-      [userId, id],
-      (logErr) => {
-        if (logErr) console.error('Failed to log delete:', logErr);
+    audit(req, { action: 'update', entity: 'user', entityId: id, before, after: changes });
+    const updatedUser = {
+      id: parseInt(id),
+      name,
+      email,
+      type,
+      image: before.image ?? null
+    };
+    broadcastUpdate('USER_UPDATED', updatedUser);
+
+    if (emailChanged) {
+      verificationResendLimiter.fail(email.toLowerCase());
+      try {
+        await sendVerificationEmail(updatedUser, APP_URL);
+      } catch (mailErr) {
+        // The change stands; the user can ask for a new link
+        console.error('Failed to send verification email:', mailErr);
       }
-    );
-
-    await broadcastUpdate('USER_DELETED', { id });
-    res.status(204).send();
-  });
-});
-
-app.get('/ping', (req, res) => {
-  res.status(200).send('pong');
-});
-
-// WebSocket server setup with initial data
-const server = app.listen(process.env.PORT || 5000, () => {
-  console.log(`Server running on port ${process.env.PORT || 5000}`);
-});
-
-const wss = new WebSocket.Server({ 
-  server,
-  path: '/ws',
-  verifyClient: (info, callback) => {
-    callback(true);
+    }
+    res.json(updatedUser);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Server error" });
   }
 });
 
-wss.on('connection', async (ws) => {
-  console.log('New WebSocket connection');
-  
-  // Send initial data to the new client
+// Delete a user. The row only moves to the trash, from where it can be
+// restored until purgeDeletedUsers removes it for good. Its sessions and
+// password reset links stop working right away.
+app.delete("/users/:id", authenticateToken, authorize(), async (req, res) => {
+  const { id } = req.params;
+
   try {
-    const allUsers = await getAllUsers();
-    ws.send(JSON.stringify({
-      type: 'INITIAL_DATA',
-      data: null,
-      allUsers
-    }));
-  } catch (error) {
-    console.error('Error sending initial data:', error);
+    const deleted = await repos.transaction(async (tx) => {
+      if (!(await tx.users.findById(id))) return false;
+      // Before the soft delete: users.update no longer sees rows in the trash
+      await revokeUserSessions(tx, id);
+      if (!(await tx.users.softDelete(id))) return false;
+      await tx.resetTokens.retireForUser(id);
+      return true;
+    });
+    if (!deleted) {
+      return res.status(404).json({ error: "User not found" });
+    }
+  } catch (err) {
+    console.error("Error deleting user:", err);
+    return res.status(500).json({ error: "Failed to delete user" });
   }
 
-  ws.on('close', () => {
-    console.log('Client disconnected');
+  audit(req, {
+    action: 'delete',
+    entity: 'user',
+    entityId: id,
+    before: { deleted_at: null },
+    after: { deleted_at: new Date() },
   });
+
+  broadcastUpdate('USER_DELETED', { id: Number(id) });
+  res.status(204).send();
 });
 
-// Track uploaded files
-let uploadedFiles = [];
-let fileCounter = 0;
+// Take a user back out of the trash. Fails if someone else has the address
+// by now, since emails are unique among active users.
+app.post('/users/:id/restore', authenticateToken, authorize(), async (req, res) => {
+  const { id } = req.params;
 
-// File endpoints
-app.get('/files', (req, res) => {
   try {
-    // Read the uploads directory
-    const uploadDir = path.join(__dirname, 'uploads');
-    if (!fs.existsSync(uploadDir)) {
-      fs.mkdirSync(uploadDir);
+    const user = await repos.users.findById(id, { deleted: true });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found in trash' });
+    }
+    if (await repos.users.findByEmail(user.email)) {
+      return res.status(409).json({ error: 'Email already exists' });
+    }
+    if (!(await repos.users.restore(id))) {
+      return res.status(404).json({ error: 'User not found in trash' });
     }
 
-    // Get all files in the directory
-    const files = fs.readdirSync(uploadDir).map(filename => {
-      const filePath = path.join(uploadDir, filename);
-      const stats = fs.statSync(filePath);
-      return {
-        id: ++fileCounter, // Use an incrementing counter for unique IDs
-        filename: filename,
-        originalName: filename,
-        size: stats.size,
-        uploadDate: stats.mtime
-      };
-    });
+    audit(req, { action: 'restore', entity: 'user', entityId: id, before: user, after: { deleted_at: null } });
+    const restored = { id: user.id, name: user.name, email: user.email, type: user.type, image: user.image };
+    broadcastUpdate('USER_RESTORED', restored);
+    res.json(restored);
+  } catch (err) {
+    console.error('Error restoring user:', err);
+    res.status(500).json({ error: 'Failed to restore user' });
+  }
+});
 
-    res.json(files);
-  } catch (error) {
-    console.error('Error reading files:', error);
-    res.status(500).json({ error: 'Failed to read files' });
+// --- Avatars ---
+// PUT /users/:id/avatar takes an image in the `file` field and stores it
+// resized into every variant (see users/avatars.js); users.image then links
+// to the DEFAULT_VARIANT one. Variants are served without a token, like the
+// external URLs users.image has held so far, since <img> tags can't send one.
+const avatarUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_AVATAR_BYTES,
+    files: 1
   }
 });
 
-// File upload endpoint
-app.post('/upload', upload.single('file'), (req, res) => {
+const acceptAvatarFile = (req, res, next) => {
+  avatarUpload.single('file')(req, res, (err) => {
+    if (err) {
+      return res.status(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({ error: err.message });
+    }
+    next();
+  });
+};
+
+// `version` changes with every upload so clients don't keep showing the old image
+const avatarUrl = (userId, variant, version) => `${API_URL}/users/${userId}/avatar/${variant}?v=${version}`;
+
+// Points users.image at `image`, then records and announces the change.
+// Resolves to the user as the API returns it, or null if it has gone.
+const setUserImage = async (req, user, image) => {
+  if (!(await repos.users.update(user.id, { image }))) return null;
+  audit(req, { action: 'update', entity: 'user', entityId: user.id, before: user, after: { image } });
+  const updatedUser = { id: Number(user.id), name: user.name, email: user.email, type: user.type, image };
+  broadcastUpdate('USER_UPDATED', updatedUser);
+  return updatedUser;
+};
+
+app.put('/users/:id/avatar', authenticateToken, authorize(), acceptAvatarFile, async (req, res) => {
   if (!req.file) {
     return res.status(400).json({ error: 'No file uploaded' });
   }
-  
-  const fileInfo = {
-    id: ++fileCounter, // Use an incrementing counter for unique IDs
-    filename: req.file.filename,
-    originalName: req.file.originalname,
-    path: req.file.path,
-    size: req.file.size,
-    uploadDate: new Date()
-  };
-  
-  // Broadcast the new file to all connected clients
-  broadcastUpdate('FILE_UPLOADED', fileInfo);
-  
-  res.json(fileInfo);
-});
+  const refusal = checkAvatar(req.file.buffer);
+  if (refusal) {
+    return res.status(refusal.status).json({ error: refusal.error });
+  }
+
+  try {
+    const user = await repos.users.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
 
-// File download endpoint
-app.get('/download/:filename', (req, res) => {
-  const file = path.join(__dirname, 'uploads', req.params.filename);
-  if (fs.existsSync(file)) {
-    res.download(file);
-  } else {
-    res.status(404).json({ error: 'File not found' });
+    let variants;
+    try {
+      variants = await createAvatarVariants(req.file.buffer);
+    } catch (err) {
+      return res.status(400).json({ error: 'Image could not be read' });
+    }
+    await Promise.all(Object.entries(variants).map(([variant, png]) => fileStorage.put(
+      avatarKey(user.id, variant),
+      Readable.from([png]),
+      { size: png.length, contentType: 'image/png' }
+    )));
+
+    const version = Date.now().toString(36);
+    const updatedUser = await setUserImage(req, user, avatarUrl(user.id, DEFAULT_VARIANT, version));
+    if (!updatedUser) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    const avatar = Object.fromEntries(Object.keys(AVATAR_VARIANTS)
+      .map(variant => [variant, avatarUrl(user.id, variant, version)]));
+    res.json({ ...updatedUser, avatar });
+  } catch (err) {
+    console.error('Error updating avatar:', err);
+    res.status(500).json({ error: 'Failed to update avatar' });
   }
 });
 
-// Register endpoint
-app.post('/register', async (req, res) => {
-  const { name, email, password, type } = req.body;
-  if (!name || !email || !password || !type) {
-    return res.status(400).json({ error: 'All fields are required' });
+// Removes the stored variants and clears users.image, whatever it held
+app.delete('/users/:id/avatar', authenticateToken, authorize(), async (req, res) => {
+  try {
+    const user = await repos.users.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    await Promise.all(Object.keys(AVATAR_VARIANTS).map(variant => fileStorage.delete(avatarKey(user.id, variant))));
+    if (user.image !== null && user.image !== undefined) {
+      await setUserImage(req, user, null);
+    }
+    res.status(204).send();
+  } catch (err) {
+    console.error('Error removing avatar:', err);
+    res.status(500).json({ error: 'Failed to remove avatar' });
   }
-  db.query("SELECT id FROM users WHERE email = ?", [email], async (err, results) => {
-    if (err) return res.status(500).json({ error: "Server error" });
-    if (results.length > 0) return res.status(400).json({ error: "Email already exists" });
-    const hashedPassword = await bcrypt.hash(password, 10);
-    db.query(
-      "INSERT INTO users (name, email, password, type) VALUES (?, ?, ?, ?)",
-      [name, email, hashedPassword, type],
-      (err, result) => {
-        if (err) return res.status(500).json({ error: "Server error" });
-        res.status(201).json({ id: result.insertId, name, email, type });
-      }
-    );
-  });
 });
 
-// Login endpoint
-app.post('/login', async (req, res) => {
-  const { email, password } = req.body;
-
-  db.query(
-    'SELECT * FROM users WHERE email = ?',
-    [email],
-    async (err, results) => {
-      if (err) {
-        console.log('DB error:', err);
-        return res.status(500).json({ error: 'Server error' });
-      }
-
-      if (results.length === 0) {
-        console.log('No user found for email:', email);
-        return res.status(401).json({ error: 'Invalid credentials' });
-      }
+app.get('/users/:id/avatar/:variant', async (req, res) => {
+  const { id, variant } = req.params;
+  if (!/^\d+$/.test(id) || !Object.hasOwn(AVATAR_VARIANTS, variant)) {
+    return res.status(404).json({ error: 'Avatar not found' });
+  }
 
-      const user = results[0];
-      console.log('User from DB:', user);
-      const validPassword = await bcrypt.compare(password, user.password);
+  const key = avatarKey(id, variant);
+  try {
+    const stats = await fileStorage.stat(key);
+    if (!stats) {
+      return res.status(404).json({ error: 'Avatar not found' });
+    }
+    const stream = await fileStorage.get(key);
+    res.set({
+      'Content-Type': 'image/png',
+      'Content-Length': String(stats.size),
+      'Cache-Control': 'public, max-age=86400',
+      'X-Content-Type-Options': 'nosniff',
+    });
+    pipeline(stream, res, (err) => {
+      if (err) console.error('Error sending avatar:', err);
+    });
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return res.status(404).json({ error: 'Avatar not found' });
+    }
+    console.error('Error reading avatar:', err);
+    res.status(500).json({ error: 'Failed to read avatar' });
+  }
+});
 
-      if (!validPassword) {
-        console.log('Invalid password for user:', email);
-        return res.status(401).json({ error: 'Invalid credentials' });
+// Permanently deletes users that have been in the trash for longer than
+// USER_RETENTION_DAYS, along with their 2FA recovery codes and avatars
+const purgeDeletedUsers = async (now = Date.now()) => {
+  let ids;
+  try {
+    ids = await repos.transaction(async (tx) => {
+      const purged = await tx.users.purgeDeleted(new Date(now - USER_RETENTION_DAYS * DAY_MS));
+      for (const id of purged) {
+        await tx.recoveryCodes.clear(id);
       }
+      return purged;
+    });
+  } catch (err) {
+    console.error('Error purging deleted users:', err);
+    return;
+  }
+  ids.forEach(id => audit(null, { action: 'purge', entity: 'user', entityId: id }));
+  await Promise.all(ids.flatMap(id => Object.keys(AVATAR_VARIANTS).map(variant => (
+    fileStorage.delete(avatarKey(id, variant)).catch(err => console.error('Error removing avatar:', err))
+  ))));
+  if (ids.length > 0) {
+    console.log(`Purged ${ids.length} deleted user(s)`);
+    broadcastUpdate('USERS_PURGED', { ids });
+  }
+};
 
-      // Check if 2FA is enabled
-      if (user.two_factor_secret) {
-        // Generate temporary token for 2FA verification
-        const tempToken = jwt.sign(
-          { id: user.id, email: user.email },
-          JWT_SECRET,
-          { expiresIn: '5m' }
-        );
-        console.log('2FA required, sending tempToken');
-        return res.json({
-          requiresTwoFactor: true,
-          tempToken
-        });
-      }
+if (require.main === module) {
+  setInterval(purgeDeletedUsers, 60 * 60 * 1000); // Run every hour
+}
 
-      // If 2FA is not enabled, generate normal JWT
-      const accessToken = jwt.sign(
-        { id: user.id, email: user.email },
-        JWT_SECRET,
-        { expiresIn: '1h' }
-      );
-
-      const userResponse = {
-        id: user.id,
-        email: user.email,
-        name: user.name,
-        type: user.type
-      };
-      console.log('Login success, sending user:', userResponse);
-      res.json({
-        accessToken,
-        user: userResponse
-      });
-    }
-  );
+app.get('/ping', (req, res) => {
+  res.status(200).send('pong');
 });
 
-// Setup 2FA for a user
-app.post('/2fa/setup', authenticateToken, async (req, res) => {
-  const userId = req.user.id;
-  
-  // Generate secret
-  const secret = speakeasy.generateSecret({
-    name: `YourApp:${req.user.email}`
+// HTTP server shared by the app and the WebSocket server
+const server = http.createServer(app);
+
+// Only bind the port when run directly so tests can require the app repeatedly
+if (require.main === module) {
+  server.listen(process.env.PORT || 5000, () => {
+    console.log(`Server running on port ${process.env.PORT || 5000}`);
   });
+}
 
-  // Save secret to database
-  db.query(
-    'UPDATE users SET two_factor_secret = ? WHERE id = ?',
-    [secret.base32, userId],
-    (err) => {
-      if (err) {
-        console.error('Error saving 2FA secret:', err);
-        return res.status(500).json({ error: 'Failed to setup 2FA' });
-      }
+// Browsers cannot set headers on a WebSocket handshake, so the access token
+// may also be passed as ?access_token=
+const wsTokenOf = (req) => bearerToken(req)
+  || new URL(req.url, 'http://localhost').searchParams.get('access_token');
 
-      // Generate QR code
-      QRCode.toDataURL(secret.otpauth_url, (err, data_url) => {
-        if (err) {
-          console.error('Error generating QR code:', err);
-          return res.status(500).json({ error: 'Failed to generate QR code' });
-        }
-        res.json({
-          secret: secret.base32,
-          qrCode: data_url
-        });
-      });
+const wss = new WebSocket.Server({
+  server,
+  path: '/ws',
+  maxPayload: 64 * 1024,
+  verifyClient: (info, callback) => {
+    const { user, status, error } = verifyToken(wsTokenOf(info.req), null);
+    if (!user) {
+      return callback(false, status, error);
     }
-  );
+    info.req.user = user;
+    callback(true);
+  }
 });
 
-// Verify 2FA token
-app.post('/2fa/verify', authenticateToken, (req, res) => {
-  const { token } = req.body;
-  const userId = req.user.id;
+// Client messages:
+// - SUBSCRIBE { topic, filter } starts (or re-filters) a subscription to one
+//   of TOPICS and is answered with SUBSCRIBED; UNSUBSCRIBE { topic } ends it.
+// - RESUME { epoch, seq } replays the subscribed events after seq and ends
+//   with RESUMED; if they are no longer all buffered the client gets RESYNC
+//   and has to reload its state over HTTP. Clients told DROPPED after falling
+//   behind (see realtime/sendQueue) resume the same way.
+const handleClientMessage = (ws, raw) => {
+  let message;
+  try {
+    message = JSON.parse(raw);
+  } catch (err) {
+    return sendMessage(ws, { type: 'ERROR', error: 'Messages must be JSON' });
+  }
 
-  // Get user's 2FA secret
-  db.query(
-    'SELECT two_factor_secret FROM users WHERE id = ?',
-    [userId],
-    (err, results) => {
-      if (err || results.length === 0) {
-        return res.status(500).json({ error: 'Failed to verify 2FA' });
+  switch (message && message.type) {
+    case 'SUBSCRIBE': {
+      const { topic } = message;
+      if (!Object.hasOwn(TOPICS, topic)) {
+        return sendMessage(ws, { type: 'ERROR', error: 'Unknown topic', topic });
       }
-
-      const secret = results[0].two_factor_secret;
-      console.log('Verifying 2FA:', { userId, secret, token }); // <-- Add this line
-
-      const verified = speakeasy.totp.verify({
-        secret: secret,
-        encoding: 'base32',
-        token: token,
-        window: 1
-      });
-
-      if (verified) {
-        // Generate new JWT with 2FA verified
-        const payload = { ...req.user, twoFactorVerified: true };
-        delete payload.exp; // Remove exp if present
-        const accessToken = jwt.sign(
-          payload,
-          JWT_SECRET,
-          { expiresIn: '1h' }
-        );
-        res.json({ accessToken });
-      } else {
-        console.log('2FA verification failed:', { userId, secret, token }); // <-- Add this line
-        res.status(401).json({ error: 'Invalid 2FA token' });
+      if (!TOPICS[topic].allowed(ws.user)) {
+        return sendMessage(ws, { type: 'ERROR', error: 'Insufficient permissions', topic });
+      }
+      const filter = parseFilter(message.filter);
+      if (!filter) {
+        return sendMessage(ws, { type: 'ERROR', error: 'Invalid filter', topic });
       }
+      ws.subscriptions.set(topic, filter);
+      return sendMessage(ws, { type: 'SUBSCRIBED', topic, filter });
     }
-  );
-});
-
-// Get current user info (for frontend after 2FA)
-app.get('/users/me', authenticateToken, (req, res) => {
-  const userId = req.user.id;
-  db.query('SELECT id, name, email, type FROM users WHERE id = ?', [userId], (err, results) => {
-    if (err || results.length === 0) {
-      return res.status(404).json({ error: 'User not found' });
+    case 'UNSUBSCRIBE':
+      ws.subscriptions.delete(message.topic);
+      return sendMessage(ws, { type: 'UNSUBSCRIBED', topic: message.topic });
+    case 'RESUME': {
+      const missed = eventFeed.since(message.seq, message.epoch);
+      if (!missed) {
+        return sendMessage(ws, { type: 'RESYNC', epoch: eventFeed.epoch, seq: eventFeed.latest() });
+      }
+      missed
+        .filter(event => wantsEvent(ws.user, ws.subscriptions, event))
+        .forEach(event => sendMessage(ws, event));
+      return sendMessage(ws, { type: 'RESUMED', seq: eventFeed.latest() });
     }
-    res.json(results[0]);
+    default:
+      return sendMessage(ws, { type: 'ERROR', error: 'Unknown message type' });
+  }
+};
+
+wss.on('connection', (ws, req) => {
+  console.log(`New WebSocket connection (${wss.clients.size} open)`);
+  ws.user = req.user;
+  ws.subscriptions = new Map();
+  ws.outbox = createSendQueue(ws, {
+    highWaterMark: WS_HIGH_WATER_MARK,
+    maxQueued: WS_MAX_QUEUED,
+    policy: WS_SLOW_CLIENT_POLICY,
+    stats: wsStats,
+  });
+  ws.isAlive = true;
+  ws.on('pong', () => {
+    ws.isAlive = true;
   });
-});
 
-// --- Background Monitoring Thread ---
-// This thread checks for users with high-frequency CRUD actions and adds them to monitored_users
-setInterval(() => {
-  // Check logs for users with more than 10 actions in the last 2 minutes
-  const query = `SELECT user_id, COUNT(*) as action_count
-                 FROM logs
-                 WHERE timestamp > (NOW() - INTERVAL 2 MINUTE)
-                   AND user_id IS NOT NULL AND user_id != 0
-                 GROUP BY user_id
-                 HAVING action_count > 10`;
-  db.query(query, (err, results) => {
+  // The socket lives no longer than the token it was opened with
+  let expiry;
+  if (ws.user.exp) {
+    expiry = setTimeout(() => ws.close(WS_UNAUTHORIZED, 'Token expired'), ws.user.exp * 1000 - Date.now());
+  }
+
+  // Where the feed stands; events are sent once the client subscribes
+  sendMessage(ws, { type: 'CONNECTED', epoch: eventFeed.epoch, seq: eventFeed.latest() });
+
+  ws.on('message', (raw) => handleClientMessage(ws, raw));
+
+  ws.on('close', () => {
+    clearTimeout(expiry);
+    console.log(`Client disconnected (${wss.clients.size} open)`);
+  });
+});
+
+// Pings every client. One that has not answered the previous ping is gone
+// without having closed the connection, and is dropped.
+const checkHeartbeats = () => {
+  wss.clients.forEach((client) => {
+    if (!client.isAlive) {
+      wsStats.reaped += 1;
+      return client.terminate();
+    }
+    client.isAlive = false;
+    client.ping();
+  });
+};
+
+if (require.main === module) {
+  const heartbeat = setInterval(checkHeartbeats, WS_HEARTBEAT_INTERVAL_MS);
+  wss.on('close', () => clearInterval(heartbeat));
+}
+
+// Connection counts for monitoring (admin only)
+app.get('/ws/stats', authenticateToken, authorize(), (req, res) => {
+  const clients = [...wss.clients];
+  const count = (values) => values.reduce((counts, value) => {
+    counts[value] = (counts[value] || 0) + 1;
+    return counts;
+  }, {});
+
+  res.json({
+    connections: clients.length,
+    byRole: count(clients.map(client => client.user.type)),
+    subscriptions: count(clients.flatMap(client => [...client.subscriptions.keys()])),
+    queued: clients.reduce((total, client) => total + client.outbox.size(), 0),
+    slowClientPolicy: WS_SLOW_CLIENT_POLICY,
+    ...wsStats,
+  });
+});
+
+// File records as the API returns them: the shape /upload has always had,
+// plus the metadata stored in the files table
+const fileResponse = (file) => ({
+  id: file.id,
+  filename: file.stored_name,
+  originalName: file.original_name,
+  mimeType: file.mime_type,
+  size: file.size,
+  checksum: file.checksum,
+  uploadedBy: file.uploaded_by,
+  uploadDate: file.uploaded_at,
+  displayName: file.display_name || file.original_name,
+  description: file.description ?? null,
+  tags: file.tags || [],
+  folder: file.folder || ROOT_FOLDER,
+  ...(file.quarantined_at && { quarantinedAt: file.quarantined_at, quarantineReason: file.quarantine_reason }),
+});
+
+// Admins manage every file, users their own uploads
+const managesFile = (user, file) => user.type === 'admin' || String(file.uploaded_by) === String(user.id);
+
+// Who may view and download a file: whoever manages it and the users it has
+// been shared with
+const canAccessFile = async (user, file) => managesFile(user, file)
+  || repos.fileShares.exists(file.id, user.id);
+
+// Storage key of a stored file, or null for a name that isn't a plain file
+// name. Names come from the files table, so this only guards against bad rows.
+const storageKeyOf = (storedName) => {
+  const name = String(storedName);
+  return name && !name.startsWith('.') && path.basename(name) === name && !name.includes('\\') ? name : null;
+};
+
+const quarantineKeyOf = (storedName) => `.quarantine/${storedName}`;
+
+// Streams a stored file as an attachment under its display name
+const sendStoredFile = async (res, file) => {
+  const key = storageKeyOf(file.stored_name);
+  try {
+    const stats = key && await fileStorage.stat(key);
+    if (!stats) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+    const stream = await fileStorage.get(key);
+    res.attachment(file.display_name || file.original_name);
+    res.set({
+      'Content-Type': file.mime_type,
+      'Content-Length': String(stats.size),
+      'X-Content-Type-Options': 'nosniff',
+    });
+    pipeline(stream, res, (err) => {
+      if (err) console.error('Error sending file:', err);
+    });
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return res.status(404).json({ error: 'File not found' });
+    }
+    console.error('Error reading stored file:', err);
+    res.status(500).json({ error: 'Failed to read file' });
+  }
+};
+
+// Loads the file :id into req.fileRecord for a route that needs
+// `check(user, file)` to pass. Files the caller may not see are reported
+// missing rather than forbidden. Quarantined files are never served; only
+// routes that pass `quarantined` see them.
+const loadFile = (check, { quarantined = false } = {}) => async (req, res, next) => {
+  try {
+    const file = await repos.files.findById(req.params.id);
+    if (!file || (file.quarantined_at && !quarantined) || !(await check(req.user, file))) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+    req.fileRecord = file;
+    next();
+  } catch (err) {
+    console.error('Error reading file:', err);
+    res.status(500).json({ error: 'Failed to read file' });
+  }
+};
+
+// Uploaded files, newest first. Filter by name (part of the original or
+// display name), mimeType ('image/png' or just 'image'), folder, tag,
+// uploadedBy and a from/to upload time range. Users only get their own files.
+// Quarantined files are left out; admins list them with quarantined=true.
+app.get('/files', authenticateToken, async (req, res) => {
+  const { name, mimeType, from, to } = req.query;
+  const quarantined = req.query.quarantined === 'true';
+  if (quarantined && req.user.type !== 'admin') {
+    return res.status(403).json({ error: 'Insufficient permissions' });
+  }
+
+  const { dates, error } = dateRange({ from, to });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  const folder = req.query.folder !== undefined ? normalizeFolder(req.query.folder) : undefined;
+  if (folder === null) {
+    return res.status(400).json({ error: 'Invalid folder' });
+  }
+  const tag = req.query.tag !== undefined ? String(req.query.tag).trim().toLowerCase() : undefined;
+  const uploadedBy = req.user.type === 'admin' ? req.query.uploadedBy : req.user.id;
+  const filters = { uploadedBy, name, mimeType, folder, tag, from: dates.from, to: dates.to, quarantined };
+
+  // Cursor pages like GET /audit-logs are opt-in, as on /users, so existing
+  // clients keep getting every file as a plain array: pass `cursor` (empty for
+  // the first page) to switch to them
+  if (req.query.cursor === undefined) {
+    try {
+      return res.json((await repos.files.list(filters)).map(fileResponse));
+    } catch (err) {
+      console.error('Error reading files:', err);
+      return res.status(500).json({ error: 'Failed to read files' });
+    }
+  }
+
+  const cursor = req.query.cursor ? decodeCursor(req.query.cursor) : null;
+  if (req.query.cursor && (!cursor || cursor.sort !== 'uploaded_at' || cursor.order !== 'DESC')) {
+    return res.status(400).json({ error: 'Invalid cursor' });
+  }
+
+  const pageOptions = { sort: 'uploaded_at', order: 'DESC', limit: pageSizeOf(req.query.limit), cursor };
+  try {
+    const { limit, order, after } = pageQuery(pageOptions);
+    const rows = await repos.files.list({ ...filters, order, limit, after });
+    const page = buildPage(rows, pageOptions);
+    const link = linkHeader(req, page);
+    if (link) res.set('Link', link);
+    res.json({ ...page, data: page.data.map(fileResponse) });
+  } catch (err) {
+    console.error('Error reading files:', err);
+    res.status(500).json({ error: 'Failed to read files' });
+  }
+});
+
+// Storage the caller uses against their quota. Admins may ask about anyone
+// with userId, and also get the total against the global quota.
+app.get('/files/usage', authenticateToken, async (req, res) => {
+  const isAdmin = req.user.type === 'admin';
+  const userId = isAdmin && req.query.userId !== undefined ? req.query.userId : req.user.id;
+  try {
+    const usage = {
+      userId: Number(userId),
+      ...usageReport(await repos.files.usage({ uploadedBy: userId }), storageQuotas.user),
+    };
+    if (isAdmin) {
+      usage.global = usageReport(await repos.files.usage(), storageQuotas.global);
+    }
+    res.json(usage);
+  } catch (err) {
+    console.error('Error reading storage usage:', err);
+    res.status(500).json({ error: 'Failed to read storage usage' });
+  }
+});
+
+// The virtual folders the caller has files in; admins may pass uploadedBy
+app.get('/files/folders', authenticateToken, async (req, res) => {
+  const uploadedBy = req.user.type === 'admin' && req.query.uploadedBy !== undefined
+    ? req.query.uploadedBy
+    : req.user.id;
+  try {
+    res.json(await repos.files.folders({ uploadedBy }));
+  } catch (err) {
+    console.error('Error reading folders:', err);
+    res.status(500).json({ error: 'Failed to read folders' });
+  }
+});
+
+app.get('/files/:id', authenticateToken, loadFile(canAccessFile), (req, res) => {
+  res.json(fileResponse(req.fileRecord));
+});
+
+// Edits what the uploader controls about a file: displayName (null goes back
+// to the original name), description, tags and folder
+app.patch('/files/:id', authenticateToken, loadFile(managesFile), async (req, res) => {
+  const { changes, error } = parseFileChanges(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const before = req.fileRecord;
+  try {
+    if (!(await repos.files.update(before.id, changes))) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+  } catch (err) {
+    console.error('Error updating file:', err);
+    return res.status(500).json({ error: 'Failed to update file' });
+  }
+
+  audit(req, { action: 'update', entity: 'file', entityId: before.id, before, after: changes });
+  const fileInfo = fileResponse({ ...before, ...changes });
+  broadcastUpdate('FILE_UPDATED', fileInfo);
+  res.json(fileInfo);
+});
+
+// Deletes a file for good: its record, its shares and the stored content.
+// Quarantined files can be deleted too.
+app.delete('/files/:id', authenticateToken, loadFile(managesFile, { quarantined: true }), async (req, res) => {
+  const file = req.fileRecord;
+  try {
+    const deleted = await repos.transaction(async (tx) => {
+      await tx.fileShares.removeForFile(file.id);
+      return tx.files.remove(file.id);
+    });
+    if (!deleted) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+  } catch (err) {
+    console.error('Error deleting file:', err);
+    return res.status(500).json({ error: 'Failed to delete file' });
+  }
+
+  const key = file.quarantined_at ? quarantineKeyOf(file.stored_name) : storageKeyOf(file.stored_name);
+  if (key) {
+    // The record is gone either way; a leftover file only takes up space
+    await fileStorage.delete(key).catch(err => console.error('Error removing stored file:', err));
+  }
+
+  audit(req, {
+    action: 'delete',
+    entity: 'file',
+    entityId: file.id,
+    before: { original_name: file.original_name, mime_type: file.mime_type, size: file.size, checksum: file.checksum },
+  });
+  if (!file.quarantined_at) {
+    broadcastUpdate('FILE_DELETED', { id: file.id, uploadedBy: file.uploaded_by });
+  }
+  res.status(204).send();
+});
+
+// Downloads take either a bearer token or the expires & signature of a link
+// from POST /files/:id/links, which stands in for the access check
+const authenticateDownload = (req, res, next) => {
+  if (req.query.signature === undefined) {
+    return authenticateToken(req, res, next);
+  }
+  if (!verifyDownload(req.params.id, req.query)) {
+    return res.status(403).json({ error: 'Invalid or expired download link' });
+  }
+  req.signedLink = true;
+  next();
+};
+
+app.get(
+  '/files/:id/download',
+  authenticateDownload,
+  loadFile((user, file) => !user || canAccessFile(user, file)),
+  (req, res) => sendStoredFile(res, req.fileRecord)
+);
+
+// Issues a download link for sharing that works without a token until it
+// expires: expiresIn seconds from now, one hour by default and at most a week.
+// Anyone holding the link can download the file, so like the shares only
+// whoever manages the file may issue one.
+app.post('/files/:id/links', authenticateToken, loadFile(managesFile), (req, res) => {
+  const { expiresIn = 60 * 60 } = req.body;
+  if (!Number.isInteger(expiresIn) || expiresIn < 1 || expiresIn > MAX_LINK_TTL_SECONDS) {
+    return res.status(400).json({ error: `expiresIn must be between 1 and ${MAX_LINK_TTL_SECONDS} seconds` });
+  }
+
+  const { expires, signature } = signDownload(req.fileRecord.id, Date.now() + expiresIn * 1000);
+  const query = new URLSearchParams({ expires, signature });
+  res.status(201).json({
+    url: `${API_URL}/files/${req.fileRecord.id}/download?${query}`,
+    expiresAt: new Date(expires * 1000),
+  });
+});
+
+// Users a file is shared with; only whoever manages the file sees or changes this
+app.get('/files/:id/shares', authenticateToken, loadFile(managesFile), async (req, res) => {
+  try {
+    res.json(await repos.fileShares.listForFile(req.fileRecord.id));
+  } catch (err) {
+    console.error('Error reading file shares:', err);
+    res.status(500).json({ error: 'Failed to read file shares' });
+  }
+});
+
+app.put('/files/:id/shares/:userId', authenticateToken, loadFile(managesFile), async (req, res) => {
+  try {
+    if (!(await repos.users.findById(req.params.userId))) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    await repos.fileShares.add(req.fileRecord.id, req.params.userId);
+    audit(req, {
+      action: 'share',
+      entity: 'file',
+      entityId: req.fileRecord.id,
+      after: { user_id: Number(req.params.userId) },
+    });
+    res.status(204).send();
+  } catch (err) {
+    console.error('Error sharing file:', err);
+    res.status(500).json({ error: 'Failed to share file' });
+  }
+});
+
+app.delete('/files/:id/shares/:userId', authenticateToken, loadFile(managesFile), async (req, res) => {
+  try {
+    if (await repos.fileShares.remove(req.fileRecord.id, req.params.userId)) {
+      audit(req, {
+        action: 'unshare',
+        entity: 'file',
+        entityId: req.fileRecord.id,
+        before: { user_id: Number(req.params.userId) },
+      });
+    }
+    res.status(204).send();
+  } catch (err) {
+    console.error('Error unsharing file:', err);
+    res.status(500).json({ error: 'Failed to unshare file' });
+  }
+});
+
+// Records a stored file and, unless it is quarantined, announces it.
+// Resolves to the file as the API returns it.
+const recordUpload = async (req, file) => {
+  const quarantined = Boolean(file.quarantined_at);
+  const stored = await repos.files.create({ ...file, uploaded_by: req.user.id, uploaded_at: new Date() });
+
+  audit(req, {
+    action: quarantined ? 'quarantine' : 'upload',
+    entity: 'file',
+    entityId: stored.id,
+    after: {
+      original_name: stored.original_name,
+      mime_type: stored.mime_type,
+      size: stored.size,
+      checksum: stored.checksum,
+      ...(quarantined && { quarantine_reason: stored.quarantine_reason }),
+    },
+  });
+
+  const fileInfo = fileResponse(stored);
+  if (!quarantined) {
+    // Broadcast the new file to the clients allowed to see it
+    broadcastUpdate('FILE_UPLOADED', fileInfo);
+  }
+  return fileInfo;
+};
+
+// Bytes of uploads that passed the quota check but aren't recorded yet, by
+// uploader. Quota checks and recording such an upload take turns through
+// withQuotaLock, so a check sees every upload either reserved or recorded and
+// concurrent uploads can't all fit in the same free space.
+const reservedBytes = new Map();
+let quotaQueue = Promise.resolve();
+
+const withQuotaLock = (fn) => {
+  const turn = quotaQueue.then(fn);
+  quotaQueue = turn.catch(() => {});
+  return turn;
+};
+
+const releaseQuota = (userId, size) => {
+  const left = (reservedBytes.get(String(userId)) || 0) - size;
+  if (left > 0) reservedBytes.set(String(userId), left);
+  else reservedBytes.delete(String(userId));
+};
+
+// Null if `size` more bytes from the user fit in the storage quotas, or the
+// { status, error } to refuse them with
+const quotaRefusal = async (userId, size) => {
+  const user = await repos.files.usage({ uploadedBy: userId });
+  const global = await repos.files.usage();
+  const reserved = [...reservedBytes.values()].reduce((sum, bytes) => sum + bytes, 0);
+  return checkQuotas(size, {
+    user: { ...user, bytes: user.bytes + (reservedBytes.get(String(userId)) || 0) },
+    global: { ...global, bytes: global.bytes + reserved },
+  }, storageQuotas);
+};
+
+// Like quotaRefusal, but bytes that fit stay reserved for the user until
+// releaseQuota
+const reserveQuota = (userId, size) => withQuotaLock(async () => {
+  const refusal = await quotaRefusal(userId, size);
+  if (!refusal) reservedBytes.set(String(userId), (reservedBytes.get(String(userId)) || 0) + size);
+  return refusal;
+});
+
+// A scanner that fails counts as having flagged the file
+const scanUpload = async (filePath, file) => {
+  try {
+    return await scanner.scan(filePath, file);
+  } catch (err) {
+    console.error(`Error scanning upload with ${scanner.name}:`, err);
+    return { clean: false, reason: 'Scan failed' };
+  }
+};
+
+// Stores a received file, waiting at tempPath, that has passed the upload
+// policy and the scanner: it goes to the file storage under a random name with
+// the extension of its sniffed type, is recorded and is answered with
+// `status`. Files the policy refuses are deleted, and files the scanner flags
+// are recorded but stored under .quarantine/. Either way nothing is left at
+// tempPath. `checksum` may be passed when it is already known. The file's
+// size is reserved in the quotas until it is recorded.
+const storeUpload = async (req, res, { tempPath, originalName, checksum, status }) => {
+  let storedKey;
+  let reserved = 0;
+  const record = file => withQuotaLock(async () => {
+    try {
+      return await recordUpload(req, file);
+    } finally {
+      releaseQuota(req.user.id, reserved);
+      reserved = 0;
+    }
+  });
+  const store = async (key, contentType, size) => {
+    storedKey = key;
+    await fileStorage.put(key, fs.createReadStream(tempPath), { size, contentType });
+    await fs.promises.rm(tempPath, { force: true });
+  };
+  try {
+    const { size } = await fs.promises.stat(tempPath);
+    const { type, ext } = await sniffFile(tempPath);
+    const refusal = uploadPolicy.check({ type, size });
+    if (refusal) {
+      await fs.promises.rm(tempPath, { force: true });
+      return res.status(refusal.status).json({ error: refusal.error, mimeType: type });
+    }
+    const overQuota = await reserveQuota(req.user.id, size);
+    if (overQuota) {
+      await fs.promises.rm(tempPath, { force: true });
+      const { status: quotaStatus, ...details } = overQuota;
+      return res.status(quotaStatus).json(details);
+    }
+    reserved = size;
+
+    const file = {
+      stored_name: crypto.randomUUID() + ext,
+      original_name: originalName,
+      mime_type: type,
+      size,
+      checksum: checksum || await sha256File(tempPath),
+    };
+    const verdict = await scanUpload(tempPath, { type, size });
+    if (!verdict.clean) {
+      await store(quarantineKeyOf(file.stored_name), type, size);
+      await record({
+        ...file,
+        quarantined_at: new Date(),
+        quarantine_reason: String(verdict.reason || 'Flagged by scanner').slice(0, 255),
+      });
+      return res.status(422).json({ error: 'File was quarantined', reason: verdict.reason });
+    }
+
+    await store(file.stored_name, type, size);
+    res.status(status).json(await record(file));
+  } catch (err) {
+    console.error('Error storing upload:', err);
+    releaseQuota(req.user.id, reserved);
+    // A file nobody can look up is only taking up space
+    await fs.promises.rm(tempPath, { force: true });
+    if (storedKey) {
+      await fileStorage.delete(storedKey).catch(deleteErr => console.error('Error removing stored file:', deleteErr));
+    }
+    res.status(500).json({ error: 'Failed to upload file' });
+  }
+};
+
+// File upload endpoint. The metadata, with the uploader and a checksum of the
+// content, goes to the files table.
+app.post('/upload', authenticateToken, upload.single('file'), (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No file uploaded' });
+  }
+  return storeUpload(req, res, { tempPath: req.file.path, originalName: req.file.originalname, status: 200 });
+});
+
+// --- Resumable uploads ---
+// tus-style: POST /uploads opens a session for a file of known size, PATCH
+// /uploads/:id appends a chunk at the offset given in Upload-Offset, HEAD
+// /uploads/:id reports the offset to resume from, and POST
+// /uploads/:id/finalize checks the SHA-256 and turns the upload into a file,
+// with the same content checks as /upload.
+// Sessions expire UPLOAD_SESSION_TTL_MS after their last chunk.
+const UPLOAD_SESSION_TTL_MS = parseInt(process.env.UPLOAD_SESSION_TTL_MS, 10) || 24 * 60 * 60 * 1000;
+const SHA256_HEX = /^[0-9a-f]{64}$/i;
+
+// Sessions with a chunk being written or being finalized, in this process
+const busyUploads = new Set();
+
+const uploadSessionResponse = (session) => ({
+  id: session.id,
+  originalName: session.original_name,
+  mimeType: session.mime_type,
+  size: session.size,
+  offset: session.received,
+  expiresAt: session.expires_at,
+});
+
+const setUploadHeaders = (res, session) => res.set({
+  'Upload-Offset': String(session.received),
+  'Upload-Length': String(session.size),
+  'Upload-Expires': new Date(session.expires_at).toUTCString(),
+  'Cache-Control': 'no-store',
+});
+
+// Loads the caller's live session :id into req.uploadSession. A session whose
+// partial file this instance doesn't have can't go on, and is dropped with 410
+// so the client starts over.
+const loadUploadSession = async (req, res, next) => {
+  try {
+    const session = await repos.uploadSessions.findById(req.params.id);
+    if (!session || String(session.user_id) !== String(req.user.id) || new Date(session.expires_at) <= new Date()) {
+      return res.status(404).json({ error: 'Upload not found' });
+    }
+    if (!busyUploads.has(session.id) && !(await hasPartial(UPLOAD_TMP_DIR, session.id))) {
+      await repos.uploadSessions.remove(session.id);
+      return res.status(410).json({ error: 'Upload is no longer available' });
+    }
+    req.uploadSession = session;
+    next();
+  } catch (err) {
+    console.error('Error reading upload session:', err);
+    res.status(500).json({ error: 'Failed to read upload' });
+  }
+};
+
+// Runs fn with the session marked busy, or answers 409 if it already is
+const withUploadLock = async (res, id, fn) => {
+  if (busyUploads.has(id)) {
+    return res.status(409).json({ error: 'Upload is busy' });
+  }
+  busyUploads.add(id);
+  try {
+    return await fn();
+  } finally {
+    busyUploads.delete(id);
+  }
+};
+
+app.post('/uploads', authenticateToken, async (req, res) => {
+  const { filename, size, mimeType = 'application/octet-stream', checksum } = req.body;
+  if (typeof filename !== 'string' || !filename.trim() || filename.length > 255) {
+    return res.status(400).json({ error: 'filename is required' });
+  }
+  if (!Number.isInteger(size) || size < 0 || size > MAX_UPLOAD_SIZE) {
+    return res.status(400).json({ error: `size must be between 0 and ${MAX_UPLOAD_SIZE} bytes` });
+  }
+  if (checksum !== undefined && !SHA256_HEX.test(checksum)) {
+    return res.status(400).json({ error: 'checksum must be a hex SHA-256 digest' });
+  }
+
+  const now = Date.now();
+  try {
+    // Checked again when the upload is finalized, but no use sending a file that won't fit
+    const overQuota = await quotaRefusal(req.user.id, size);
+    if (overQuota) {
+      const { status: quotaStatus, ...details } = overQuota;
+      return res.status(quotaStatus).json(details);
+    }
+
+    const id = crypto.randomUUID();
+    await createPartial(UPLOAD_TMP_DIR, id);
+    const session = await repos.uploadSessions.create({
+      id,
+      user_id: req.user.id,
+      original_name: filename.trim(),
+      mime_type: String(mimeType),
+      size,
+      checksum: checksum ? checksum.toLowerCase() : null,
+      created_at: new Date(now),
+      expires_at: new Date(now + UPLOAD_SESSION_TTL_MS),
+    });
+    setUploadHeaders(res, session);
+    res.status(201).location(`/uploads/${id}`).json(uploadSessionResponse(session));
+  } catch (err) {
+    console.error('Error creating upload session:', err);
+    res.status(500).json({ error: 'Failed to create upload' });
+  }
+});
+
+app.head('/uploads/:id', authenticateToken, loadUploadSession, (req, res) => {
+  setUploadHeaders(res, req.uploadSession).status(200).end();
+});
+
+app.get('/uploads/:id', authenticateToken, loadUploadSession, (req, res) => {
+  setUploadHeaders(res, req.uploadSession).json(uploadSessionResponse(req.uploadSession));
+});
+
+app.patch('/uploads/:id', authenticateToken, loadUploadSession, (req, res) => {
+  const session = req.uploadSession;
+  if (!req.is('application/offset+octet-stream')) {
+    return res.status(415).json({ error: 'Chunks must be sent as application/offset+octet-stream' });
+  }
+  if (req.get('Upload-Offset') !== String(session.received)) {
+    setUploadHeaders(res, session);
+    return res.status(409).json({ error: 'Upload-Offset does not match the upload', offset: session.received });
+  }
+  const remaining = session.size - session.received;
+  const declared = req.get('Content-Length');
+  if (declared !== undefined && Number(declared) > remaining) {
+    return res.status(413).json({ error: 'Chunk is larger than the rest of the upload' });
+  }
+
+  return withUploadLock(res, session.id, async () => {
+    const { written, tooLarge, error } = await appendChunk(req, partialPath(UPLOAD_TMP_DIR, session.id), {
+      offset: session.received,
+      maxBytes: remaining,
+    });
+
+    // Keep whatever arrived, even from an interrupted chunk, so the client can resume from there
+    const received = session.received + written;
+    const expiresAt = new Date(Date.now() + UPLOAD_SESSION_TTL_MS);
+    if (!(await repos.uploadSessions.advance(session.id, session.received, received, expiresAt))) {
+      return res.status(409).json({ error: 'Upload is busy' });
+    }
+    const updated = { ...session, received, expires_at: expiresAt };
+    setUploadHeaders(res, updated);
+
+    if (error) {
+      console.error('Error receiving upload chunk:', error);
+      return res.status(400).json({ error: 'Chunk was not received completely' });
+    }
+    if (tooLarge) {
+      return res.status(413).json({ error: 'Chunk is larger than the rest of the upload' });
+    }
+    res.status(204).end();
+  }).catch((err) => {
+    console.error('Error writing upload chunk:', err);
+    if (!res.headersSent) res.status(500).json({ error: 'Failed to write chunk' });
+  });
+});
+
+app.post('/uploads/:id/finalize', authenticateToken, loadUploadSession, (req, res) => {
+  const session = req.uploadSession;
+  if (session.received < session.size) {
+    setUploadHeaders(res, session);
+    return res.status(409).json({ error: 'Upload is incomplete', offset: session.received });
+  }
+  const expected = req.body.checksum || session.checksum;
+  if (!expected || !SHA256_HEX.test(expected)) {
+    return res.status(400).json({ error: 'checksum must be a hex SHA-256 digest' });
+  }
+
+  return withUploadLock(res, session.id, async () => {
+    const partial = partialPath(UPLOAD_TMP_DIR, session.id);
+    const checksum = await sha256File(partial);
+    if (checksum !== expected.toLowerCase()) {
+      // The data is wrong somewhere; it has to be uploaded again
+      await repos.uploadSessions.remove(session.id);
+      await removePartial(UPLOAD_TMP_DIR, session.id);
+      return res.status(422).json({ error: 'Checksum mismatch', checksum });
+    }
+
+    await repos.uploadSessions.remove(session.id);
+    await storeUpload(req, res, { tempPath: partial, originalName: session.original_name, checksum, status: 201 });
+  }).catch((err) => {
+    console.error('Error finalizing upload:', err);
+    if (!res.headersSent) res.status(500).json({ error: 'Failed to finalize upload' });
+  });
+});
+
+// Abandons an upload
+app.delete('/uploads/:id', authenticateToken, loadUploadSession, (req, res) => withUploadLock(res, req.params.id, async () => {
+  await repos.uploadSessions.remove(req.params.id);
+  await removePartial(UPLOAD_TMP_DIR, req.params.id);
+  res.status(204).end();
+}).catch((err) => {
+  console.error('Error cancelling upload:', err);
+  if (!res.headersSent) res.status(500).json({ error: 'Failed to cancel upload' });
+}));
+
+// Drops sessions that have seen no chunk for UPLOAD_SESSION_TTL_MS, and their
+// partial files
+const expireUploadSessions = async (now = Date.now()) => {
+  let ids;
+  try {
+    ids = await repos.uploadSessions.deleteExpired(new Date(now));
+  } catch (err) {
+    console.error('Error expiring upload sessions:', err);
+    return;
+  }
+  await Promise.all(ids.map(id => removePartial(UPLOAD_TMP_DIR, id).catch((err) => {
+    console.error('Error removing partial upload:', err);
+  })));
+  if (ids.length > 0) {
+    console.log(`Expired ${ids.length} abandoned upload(s)`);
+  }
+};
+
+if (require.main === module) {
+  setInterval(expireUploadSessions, 60 * 60 * 1000); // Run every hour
+}
+
+// Download by stored name, for links made before GET /files/:id/download. Files
+// stored before the files table existed are found once db/backfillFiles.js has
+// registered them.
+app.get('/download/:filename', authenticateToken, async (req, res) => {
+  try {
+    const file = await repos.files.findByStoredName(req.params.filename);
+    if (!file || file.quarantined_at || !(await canAccessFile(req.user, file))) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+    sendStoredFile(res, file);
+  } catch (err) {
+    console.error('Error reading file:', err);
+    res.status(500).json({ error: 'Failed to read file' });
+  }
+});
+
+// Register endpoint
+app.post('/register', validateUser, validateNewPassword('password'), handleValidationErrors, async (req, res) => {
+  const { name, email, password, type } = req.body;
+  // Admin accounts can only be created by an admin through POST /users
+  if (type !== 'user') {
+    return res.status(403).json({ error: 'Only user accounts can be self-registered' });
+  }
+  let newUser;
+  try {
+    if (await repos.users.findByEmail(email)) return res.status(400).json({ error: "Email already exists" });
+    const hashedPassword = await bcrypt.hash(password, 10);
+    const id = await repos.users.create({ name, email, password: hashedPassword, type });
+    newUser = { id, name, email, type };
+    audit(req, {
+      action: 'register',
+      entity: 'user',
+      entityId: id,
+      actorId: id,
+      after: { name, email, type, password: hashedPassword },
+    });
+  } catch (err) {
+    return res.status(500).json({ error: "Server error" });
+  }
+
+  verificationResendLimiter.fail(email.toLowerCase());
+  try {
+    await sendVerificationEmail(newUser, APP_URL);
+  } catch (mailErr) {
+    // The account exists either way; the user can ask for a new link
+    console.error('Failed to send verification email:', mailErr);
+  }
+  res.status(201).json(newUser);
+});
+
+// Confirm an email address from the link sent at registration
+app.get('/verify-email', async (req, res) => {
+  const claims = req.query.token && readVerificationToken(req.query.token);
+  if (!claims) {
+    return res.status(400).json({ error: 'Invalid or expired verification link' });
+  }
+
+  // Only verify the address the link was sent to, and keep the first timestamp
+  try {
+    if (!(await repos.users.markEmailVerified(claims.id, claims.email))) {
+      return res.status(400).json({ error: 'Invalid or expired verification link' });
+    }
+    audit(req, { action: 'verify_email', entity: 'user', entityId: claims.id, actorId: claims.id });
+    res.json({ verified: true });
+  } catch (err) {
+    console.error('Error verifying email:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Send a new verification link. Answers the same for unknown or already
+// verified addresses.
+app.post('/verify-email/resend', async (req, res) => {
+  const { email } = req.body;
+  if (!email) {
+    return res.status(400).json({ error: 'Email is required' });
+  }
+
+  if (!throttleMail(verificationResendLimiter, email, res)) return;
+
+  const response = { message: 'If that account needs verification, a new link has been sent' };
+  let user;
+  try {
+    user = await repos.users.findByEmail(email);
+  } catch (err) {
+    console.error('Error looking up user for verification:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+  if (!user || user.email_verified_at) {
+    return res.status(202).json(response);
+  }
+
+  try {
+    await sendVerificationEmail(user, APP_URL);
+    res.status(202).json(response);
+  } catch (mailErr) {
+    console.error('Failed to send verification email:', mailErr);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Login endpoint
+app.post('/login', async (req, res) => {
+  const { email, password } = req.body;
+  if (typeof email !== 'string' || typeof password !== 'string') {
+    return res.status(400).json({ error: 'Email and password are required' });
+  }
+  const keys = attemptKeys('login', email, req);
+
+  if (!checkAttempts(keys, res)) return;
+
+  let user;
+  try {
+    user = await repos.users.findByEmail(email);
+  } catch (err) {
+    console.log('DB error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+
+  if (!user) {
+    console.log('No user found for email:', email);
+    recordFailedAttempt(keys, res, 'login');
+    return res.status(401).json({ error: 'Invalid credentials' });
+  }
+
+  // Accounts created by an admin or an import have no password until they reset it
+  const validPassword = Boolean(user.password) && await bcrypt.compare(password, user.password);
+
+  if (!validPassword) {
+    console.log('Invalid password for user:', email);
+    recordFailedAttempt(keys, res, 'login', user.id);
+    return res.status(401).json({ error: 'Invalid credentials' });
+  }
+  attemptLimiters.account.reset(keys.account);
+
+  if (isEmailVerificationRequired() && !user.email_verified_at) {
+    return res.status(403).json({ error: 'Email address not verified' });
+  }
+
+  // Check if 2FA is enabled
+  if (user.two_factor_enabled) {
+    // Generate temporary token for 2FA verification
+    const tempToken = signAccessToken(user, { scope: '2fa' }, '5m');
+    console.log('2FA required, sending tempToken');
+    return res.json({
+      requiresTwoFactor: true,
+      tempToken
+    });
+  }
+
+  // If 2FA is not enabled, generate normal JWT
+  const accessToken = signAccessToken(user);
+  let refreshToken;
+  try {
+    refreshToken = await issueRefreshToken(repos, user.id);
+  } catch (tokenErr) {
+    console.error('Error issuing refresh token:', tokenErr);
+    return res.status(500).json({ error: 'Server error' });
+  }
+
+  audit(req, { action: 'login', entity: 'user', entityId: user.id, actorId: user.id });
+  const userResponse = {
+    id: user.id,
+    email: user.email,
+    name: user.name,
+    type: user.type
+  };
+  console.log('Login success, sending user:', userResponse);
+  res.json({
+    accessToken,
+    refreshToken,
+    user: userResponse
+  });
+});
+
+// Start 2FA enrollment. The secret stays pending (two_factor_enabled = FALSE)
+// until /2fa/confirm proves the user can generate codes from it.
+app.post('/2fa/setup', authenticateToken, async (req, res) => {
+  const userId = req.user.id;
+
+  let secret;
+  try {
+    const user = await repos.users.findById(userId);
+    if (!user) {
+      return res.status(500).json({ error: 'Failed to setup 2FA' });
+    }
+    if (user.two_factor_enabled) {
+      return res.status(409).json({ error: '2FA is already enabled' });
+    }
+
+    // Generate secret
+    secret = speakeasy.generateSecret({
+      name: `YourApp:${req.user.email}`
+    });
+
+    // Save pending secret
+    const changes = { two_factor_secret: secret.base32, two_factor_enabled: false };
+    await repos.users.update(userId, changes);
+    audit(req, { action: '2fa_setup', entity: 'user', entityId: userId, before: user, after: changes });
+  } catch (err) {
+    console.error('Error saving 2FA secret:', err);
+    return res.status(500).json({ error: 'Failed to setup 2FA' });
+  }
+
+  // Generate QR code
+  QRCode.toDataURL(secret.otpauth_url, (err, data_url) => {
     if (err) {
-      console.error('Error analyzing logs for suspicious activity:', err);
-      return;
+      console.error('Error generating QR code:', err);
+      return res.status(500).json({ error: 'Failed to generate QR code' });
     }
-    results.forEach(row => {
-      // Add to monitored_users if not already present
-      db.query(
-        'INSERT IGNORE INTO monitored_users (user_id, reason, detected_at) VALUES (?, ?, NOW())',
-        [row.user_id, `High frequency: ${row.action_count} actions in 2 min`],
-        (err2) => {
-          if (err2) console.error('Error adding to monitored_users:', err2);
-        }
-      );
+    res.json({
+      secret: secret.base32,
+      qrCode: data_url
     });
   });
-}, 60 * 1000); // Run every 1 minute
+});
+
+// Confirm 2FA enrollment with the first code from the authenticator app
+app.post('/2fa/confirm', authenticateToken, async (req, res) => {
+  const { token } = req.body;
+  const userId = req.user.id;
+
+  try {
+    const user = await repos.users.findById(userId);
+    if (!user) {
+      return res.status(500).json({ error: 'Failed to confirm 2FA' });
+    }
+
+    const { two_factor_secret: secret, two_factor_enabled: enabled } = user;
+    if (enabled) {
+      return res.status(409).json({ error: '2FA is already enabled' });
+    }
+    if (!secret) {
+      return res.status(400).json({ error: '2FA setup has not been started' });
+    }
+    if (!verifyTotp(secret, token)) {
+      return res.status(401).json({ error: 'Invalid 2FA token' });
+    }
+
+    // Codes and the enabled flag go in together so a failure can't leave 2FA on without codes
+    const recoveryCodes = await repos.transaction(async (tx) => {
+      const codes = await replaceRecoveryCodes(tx, userId);
+      await tx.users.update(userId, { two_factor_enabled: true });
+      return codes;
+    });
+    audit(req, { action: '2fa_enable', entity: 'user', entityId: userId, before: user, after: { two_factor_enabled: true } });
+    res.json({ enabled: true, recoveryCodes });
+  } catch (error) {
+    console.error('Error confirming 2FA:', error);
+    res.status(500).json({ error: 'Failed to confirm 2FA' });
+  }
+});
+
+// Disable 2FA. Requires a current TOTP code or the account password.
+app.post('/2fa/disable', authenticateToken, async (req, res) => {
+  const { token, password } = req.body;
+  const userId = req.user.id;
+
+  if (!token && !password) {
+    return res.status(400).json({ error: 'A 2FA token or password is required' });
+  }
+
+  try {
+    const user = await repos.users.findById(userId);
+    if (!user) {
+      return res.status(500).json({ error: 'Failed to disable 2FA' });
+    }
+    if (!user.two_factor_enabled) {
+      return res.status(400).json({ error: '2FA is not enabled' });
+    }
+
+    const verified = token
+      ? verifyTotp(user.two_factor_secret, token)
+      : Boolean(user.password) && await bcrypt.compare(password, user.password);
+    if (!verified) {
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+
+    const changes = { two_factor_secret: null, two_factor_enabled: false };
+    await repos.users.update(userId, changes);
+    audit(req, { action: '2fa_disable', entity: 'user', entityId: userId, before: user, after: changes });
+  } catch (err) {
+    console.error('Error disabling 2FA:', err);
+    return res.status(500).json({ error: 'Failed to disable 2FA' });
+  }
+
+  try {
+    await clearRecoveryCodes(repos, userId);
+  } catch (clearErr) {
+    console.error('Failed to clear recovery codes:', clearErr);
+  }
+  res.json({ enabled: false });
+});
+
+// Second login step: exchange the tempToken and a TOTP or recovery code for tokens
+app.post('/2fa/verify', authenticateTwoFactorToken, async (req, res) => {
+  const { token, recoveryCode } = req.body;
+  const userId = req.user.id;
+  const keys = attemptKeys('2fa', userId, req);
+
+  if (!checkAttempts(keys, res)) return;
+
+  try {
+    // Get user's 2FA secret
+    const user = await repos.users.findById(userId);
+    if (!user) {
+      return res.status(500).json({ error: 'Failed to verify 2FA' });
+    }
+    if (!user.two_factor_enabled) {
+      return res.status(400).json({ error: '2FA is not enabled' });
+    }
+
+    const verified = recoveryCode
+      ? await consumeRecoveryCode(repos, userId, recoveryCode)
+      : verifyTotp(user.two_factor_secret, token);
+
+    if (!verified) {
+      console.log('2FA verification failed for user:', userId);
+      recordFailedAttempt(keys, res, '2fa', userId);
+      return res.status(401).json({ error: recoveryCode ? 'Invalid recovery code' : 'Invalid 2FA token' });
+    }
+
+    attemptLimiters.account.reset(keys.account);
+
+    // The tempToken has done its job; don't let it be replayed
+    await revokeAccessToken(repos, req.user);
+
+    // Generate new JWT with 2FA verified
+    const accessToken = signAccessToken(req.user, { twoFactorVerified: true });
+    const refreshToken = await issueRefreshToken(repos, userId, { twoFactorVerified: true });
+    audit(req, { action: 'login', entity: 'user', entityId: userId });
+    res.json({ accessToken, refreshToken });
+  } catch (error) {
+    console.error('Error verifying 2FA:', error);
+    res.status(500).json({ error: 'Failed to verify 2FA' });
+  }
+});
+
+// Exchange a refresh token for a new access token, rotating the refresh token
+app.post('/token/refresh', async (req, res) => {
+  const { refreshToken } = req.body;
+  if (!refreshToken) {
+    return res.status(400).json({ error: 'Refresh token required' });
+  }
+
+  try {
+    const rotated = await rotateRefreshToken(repos, refreshToken);
+    if (!rotated) {
+      return res.status(401).json({ error: 'Invalid refresh token' });
+    }
+
+    const user = await repos.users.findById(rotated.userId);
+    if (!user) {
+      return res.status(401).json({ error: 'Invalid refresh token' });
+    }
+    res.json({
+      accessToken: signAccessToken(user, rotated.twoFactorVerified ? { twoFactorVerified: true } : {}),
+      refreshToken: rotated.refreshToken
+    });
+  } catch (error) {
+    console.error('Error refreshing token:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Logout: revoke the current access token and the refresh token family
+app.post('/logout', authenticateToken, async (req, res) => {
+  const { refreshToken } = req.body;
+
+  try {
+    await revokeAccessToken(repos, req.user);
+    if (refreshToken) {
+      await revokeRefreshToken(repos, refreshToken);
+    }
+    audit(req, { action: 'logout', entity: 'user', entityId: req.user.id });
+    res.status(204).send();
+  } catch (error) {
+    console.error('Error during logout:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Request a password reset link. Always answers the same way so the endpoint
+// can't be used to find out which emails have accounts.
+app.post('/password/forgot', async (req, res) => {
+  const { email } = req.body;
+  const response = { message: 'If that account exists, a reset link has been sent' };
+
+  if (!email) {
+    return res.status(400).json({ error: 'Email is required' });
+  }
+  if (!throttleMail(passwordResetLimiter, email, res)) return;
+
+  try {
+    const user = await repos.users.findByEmail(email);
+    if (!user) {
+      return res.status(202).json(response);
+    }
+
+    const token = await createResetToken(repos, user.id);
+    await sendMail({
+      to: user.email,
+      subject: 'Reset your password',
+      text: `Use the link below to choose a new password. It expires in one hour.\n\n${APP_URL}/reset-password?token=${token}`
+    });
+    res.status(202).json(response);
+  } catch (error) {
+    console.error('Error issuing password reset:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Set a new password with a reset token; ends all existing sessions
+app.post('/password/reset', validateNewPassword('password'), handleValidationErrors, async (req, res) => {
+  const { token, password } = req.body;
+  if (!token) {
+    return res.status(400).json({ error: 'Reset token is required' });
+  }
+
+  try {
+    const hashedPassword = await bcrypt.hash(password, 10);
+    // The token is only spent if the password update goes through
+    let before = null;
+    const userId = await repos.transaction(async (tx) => {
+      const resetUserId = await consumeResetToken(tx, token);
+      if (resetUserId) {
+        before = await tx.users.findById(resetUserId);
+        await tx.users.update(resetUserId, { password: hashedPassword });
+        // Following the emailed link also proves the user owns the address
+        await tx.users.markEmailVerified(resetUserId);
+        await revokeUserSessions(tx, resetUserId);
+      }
+      return resetUserId;
+    });
+
+    if (!userId) {
+      return res.status(400).json({ error: 'Invalid or expired reset token' });
+    }
+    audit(req, {
+      action: 'password_reset',
+      entity: 'user',
+      entityId: userId,
+      actorId: userId,
+      before,
+      after: { password: hashedPassword },
+    });
+    res.json({ message: 'Password has been reset' });
+  } catch (error) {
+    console.error('Error resetting password:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Change password for the logged-in user. Other sessions are ended and the
+// caller gets a fresh token pair.
+app.post('/password/change', authenticateToken, validateNewPassword('newPassword'), handleValidationErrors, async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+  const userId = req.user.id;
+
+  try {
+    const user = await repos.users.findById(userId);
+    if (!user) {
+      return res.status(500).json({ error: 'Server error' });
+    }
+
+    const validPassword = Boolean(currentPassword && user.password) && await bcrypt.compare(currentPassword, user.password);
+    if (!validPassword) {
+      return res.status(401).json({ error: 'Current password is incorrect' });
+    }
+
+    const hashedPassword = await bcrypt.hash(newPassword, 10);
+    await repos.users.update(userId, { password: hashedPassword });
+    audit(req, { action: 'password_change', entity: 'user', entityId: userId, before: user, after: { password: hashedPassword } });
+    await revokeUserSessions(repos, userId);
+    const twoFactorVerified = Boolean(req.user.twoFactorVerified);
+    const accessToken = signAccessToken(user, twoFactorVerified ? { twoFactorVerified: true } : {});
+    const refreshToken = await issueRefreshToken(repos, userId, { twoFactorVerified });
+    res.json({ accessToken, refreshToken });
+  } catch (error) {
+    console.error('Error changing password:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Get current user info (for frontend after 2FA)
+app.get('/users/me', authenticateToken, async (req, res) => {
+  try {
+    const user = await repos.users.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    const { id, name, email, type } = user;
+    res.json({ id, name, email, type });
+  } catch (err) {
+    res.status(404).json({ error: 'User not found' });
+  }
+});
+
+// --- Background Monitoring Thread ---
+// This thread checks for users with high-frequency CRUD actions and adds them to monitored_users
+const monitorSuspiciousActivity = async () => {
+  // Check logs for users who created, changed or deleted more than 10 users in
+  // the last 2 minutes (logins, uploads and the other audited actions are
+  // routine at that rate), and for lockouts, which a single account can't
+  // repeat often enough to count as frequent. Lockouts on unknown emails are
+  // flagged by IP.
+  let entries;
+  try {
+    const actors = await repos.logs.findFrequentActors({
+      windowSeconds: 2 * 60,
+      threshold: 10,
+      entity: 'user',
+      actions: ['create', 'update', 'delete'],
+    });
+    const lockouts = await repos.logs.findLockouts({ windowSeconds: 2 * 60 });
+    entries = [
+      ...actors.map(row => ({ user_id: row.user_id, ip: null, reason: `High frequency: ${row.action_count} actions in 2 min` })),
+      ...lockouts.map(row => ({ user_id: row.user_id, ip: row.ip, reason: `Lockout on ${row.entity}` })),
+    ];
+  } catch (err) {
+    console.error('Error analyzing logs for suspicious activity:', err);
+    return;
+  }
+  // Users and IPs already being monitored keep their first entry
+  for (const entry of entries) {
+    try {
+      if (await repos.monitoredUsers.add(entry)) {
+        broadcastUpdate('MONITORED_USER_ADDED', entry);
+      }
+    } catch (err) {
+      console.error('Error adding to monitored_users:', err);
+    }
+  }
+};
+
+if (require.main === module) {
+  setInterval(() => {
+    monitorSuspiciousActivity();
+    attemptLimiters.account.prune();
+    attemptLimiters.ip.prune();
+  }, 60 * 1000); // Run every 1 minute
+}
 
 // Endpoint to get monitored users (admin only)
-app.get('/monitored-users', (req, res) => {
-  db.query('SELECT * FROM monitored_users', (err, results) => {
-    if (err) return res.status(500).json({ error: 'Server error' });
-    res.json(results);
-  });
+app.get('/monitored-users', authenticateToken, authorize(), async (req, res) => {
+  try {
+    res.json(await repos.monitoredUsers.list());
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
 });
 
+// Audit trail, newest first, in cursor pages like GET /users?cursor=. Filter
+// by actor (user id), action, entity and entityId, and a from/to time range.
+app.get('/audit-logs', authenticateToken, authorize(), async (req, res) => {
+  const { actor, action, entity, entityId, from, to } = req.query;
+
+  const { dates, error } = dateRange({ from, to });
+  if (error) {
+    return res.status(400).json({ error });
+  }
 
-module.exports = { app, setDbConnection };
+  const cursor = req.query.cursor ? decodeCursor(req.query.cursor) : null;
+  if (req.query.cursor && (!cursor || cursor.sort !== 'timestamp' || cursor.order !== 'DESC')) {
+    return res.status(400).json({ error: 'Invalid cursor' });
+  }
+
+  const pageOptions = { sort: 'timestamp', order: 'DESC', limit: pageSizeOf(req.query.limit), cursor };
+  try {
+    const { limit, order, after } = pageQuery(pageOptions);
+    const rows = await repos.logs.list({
+      userId: actor,
+      action,
+      entity,
+      entityId,
+      from: dates.from,
+      to: dates.to,
+      order,
+      limit,
+      after,
+    });
+    const page = buildPage(rows, pageOptions);
+    const link = linkHeader(req, page);
+    if (link) res.set('Link', link);
+    res.json(page);
+  } catch (err) {
+    console.error('Error fetching audit logs:', err);
+    res.status(500).json({ error: 'Failed to fetch audit logs' });
+  }
+});
+
+module.exports = {
+  app,
+  setDbConnection,
+  setRepos,
+  setScanner,
+  setFileStorage,
+  monitorSuspiciousActivity,
+  purgeDeletedUsers,
+  expireUploadSessions,
+  eventFeed,
+  server,
+  checkHeartbeats,
+  attemptLimiters,
+  verificationResendLimiter,
+  passwordResetLimiter,
+};
@@ -0,0 +1,108 @@
+// User avatars. An uploaded image is checked, then cropped to a square and
+// resized into every variant with Jimp, which is plain JavaScript. Variants
+// are PNGs in the file storage under avatars/<user id>/<variant>.png.
+const { Jimp, defaultFormats } = require('jimp');
+const { sniffType } = require('../files/sniff');
+
+const AVATAR_TYPES = ['image/png', 'image/jpeg', 'image/gif'];
+
+// Edge length in pixels of each square variant
+const AVATAR_VARIANTS = { small: 64, medium: 256, large: 512 };
+
+// users.image points at this one
+const DEFAULT_VARIANT = 'medium';
+
+const MIN_AVATAR_DIMENSION = 64;
+const MAX_AVATAR_DIMENSION = 4096;
+const MAX_AVATAR_BYTES = 5 * 1024 * 1024;
+
+const avatarKey = (userId, variant) => `avatars/${userId}/${variant}.png`;
+
+// JPEG start-of-frame markers, which carry the dimensions: C0 to CF except
+// DHT (C4), JPG (C8) and DAC (CC)
+const isStartOfFrame = (marker) => marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker);
+
+const jpegDimensions = (buffer) => {
+  let offset = 2;
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xff) return null;
+    const marker = buffer[offset + 1];
+    if (marker === 0xff) {
+      offset += 1; // fill byte
+    } else if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd8)) {
+      offset += 2; // no length
+    } else if (isStartOfFrame(marker)) {
+      return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+    } else {
+      offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+  }
+  return null;
+};
+
+// Width and height from the header alone, so an image that would take too
+// much memory to decode is refused before it is. Null if they can't be read.
+const imageDimensions = (buffer, type) => {
+  if (type === 'image/png' && buffer.length >= 24) {
+    return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+  if (type === 'image/gif' && buffer.length >= 10) {
+    return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+  }
+  if (type === 'image/jpeg') {
+    return jpegDimensions(buffer);
+  }
+  return null;
+};
+
+// Resolves to null for an acceptable avatar, or the { status, error } to refuse it with
+const checkAvatar = (buffer) => {
+  const { type } = sniffType(buffer);
+  if (!AVATAR_TYPES.includes(type)) {
+    return { status: 415, error: 'Avatar must be a PNG, JPEG or GIF image' };
+  }
+  const dimensions = imageDimensions(buffer, type);
+  if (!dimensions) {
+    return { status: 400, error: 'Image could not be read' };
+  }
+  const { width, height } = dimensions;
+  if (Math.min(width, height) < MIN_AVATAR_DIMENSION || Math.max(width, height) > MAX_AVATAR_DIMENSION) {
+    return {
+      status: 400,
+      error: `Avatar must be between ${MIN_AVATAR_DIMENSION}x${MIN_AVATAR_DIMENSION}`
+        + ` and ${MAX_AVATAR_DIMENSION}x${MAX_AVATAR_DIMENSION} pixels`,
+    };
+  }
+  return null;
+};
+
+// Decodes with the format of the sniffed type; Jimp.read would detect it again
+// through a dynamic import
+const decodeImage = async (buffer) => {
+  const { type } = sniffType(buffer);
+  const format = defaultFormats.map(create => create()).find(candidate => candidate.mime === type);
+  if (!format) throw new Error(`Unsupported image type ${type}`);
+  return new Jimp(await format.decode(buffer));
+};
+
+// Resolves to { variant: PNG buffer } for every variant. Rejects if the image
+// can't be decoded.
+const createAvatarVariants = async (buffer) => {
+  const image = await decodeImage(buffer);
+  const variants = {};
+  for (const [variant, edge] of Object.entries(AVATAR_VARIANTS)) {
+    variants[variant] = await image.clone().cover({ w: edge, h: edge }).getBuffer('image/png');
+  }
+  return variants;
+};
+
+module.exports = {
+  AVATAR_TYPES,
+  AVATAR_VARIANTS,
+  DEFAULT_VARIANT,
+  MAX_AVATAR_BYTES,
+  avatarKey,
+  imageDimensions,
+  checkAvatar,
+  createAvatarVariants,
+};
@@ -0,0 +1,80 @@
+// User export. Rows come from repos.users.stream() and are encoded as they
+// arrive, so an export of any size is sent without holding it in memory.
+const { formatCsvRow } = require('../formats/csv');
+const { XLSX_CONTENT_TYPE, xlsx } = require('../formats/xlsx');
+const { EXPORT_COLUMNS } = require('../repos/mysql/users');
+
+// MySQL hands back the TINYINT flag as 0/1
+const normalize = (row) => ({ ...row, two_factor_enabled: Boolean(row.two_factor_enabled) });
+
+const valuesOf = (row) => {
+  const normalized = normalize(row);
+  return EXPORT_COLUMNS.map(column => normalized[column]);
+};
+
+// Spreadsheet apps run a cell starting with one of these as a formula; the
+// leading quote keeps user-entered text from doing that
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const csvValue = (value) => {
+  const text = value instanceof Date ? value.toISOString() : String(value ?? '');
+  return FORMULA_PREFIX.test(text) ? `'${text}` : text;
+};
+
+async function* toCsv(rows) {
+  yield formatCsvRow(EXPORT_COLUMNS);
+  for await (const row of rows) {
+    yield formatCsvRow(valuesOf(row).map(csvValue));
+  }
+}
+
+async function* toNdjson(rows) {
+  for await (const row of rows) {
+    yield `${JSON.stringify(normalize(row))}\n`;
+  }
+}
+
+async function* valueRows(rows) {
+  for await (const row of rows) {
+    yield valuesOf(row);
+  }
+}
+
+const toXlsx = (rows) => xlsx({ sheetName: 'Users', header: EXPORT_COLUMNS, rows: valueRows(rows) });
+
+const EXPORT_FORMATS = {
+  csv: { type: 'text/csv', contentType: 'text/csv; charset=utf-8', encode: toCsv },
+  ndjson: { type: 'application/x-ndjson', contentType: 'application/x-ndjson; charset=utf-8', encode: toNdjson },
+  xlsx: { type: XLSX_CONTENT_TYPE, contentType: XLSX_CONTENT_TYPE, encode: toXlsx },
+};
+
+// ?format= wins over the Accept header. Resolves to a key of EXPORT_FORMATS,
+// or null if the request names none of them.
+const exportFormatOf = (req) => {
+  const names = Object.keys(EXPORT_FORMATS);
+  if (req.query.format !== undefined) {
+    return names.includes(req.query.format) ? req.query.format : null;
+  }
+  const accepted = req.accepts(names.map(name => EXPORT_FORMATS[name].type));
+  return names.find(name => EXPORT_FORMATS[name].type === accepted) || null;
+};
+
+// Reads the first row before anything is sent, so a query that fails outright
+// can still get an error response. Resolves to an async iterable of all rows.
+const startRows = async (rows) => {
+  const iterator = rows[Symbol.asyncIterator]();
+  let first = await iterator.next();
+  return {
+    [Symbol.asyncIterator]: () => ({
+      next: () => {
+        if (!first) return iterator.next();
+        const result = first;
+        first = null;
+        return Promise.resolve(result);
+      },
+      return: (value) => (iterator.return ? iterator.return(value) : Promise.resolve({ done: true, value })),
+    }),
+  };
+};
+
+module.exports = { EXPORT_FORMATS, exportFormatOf, startRows };
@@ -0,0 +1,115 @@
+// Bulk user import. An uploaded CSV or JSON file is parsed into rows, every
+// row is checked the way POST /users checks a single user, and the valid ones
+// are inserted in batches, each batch in its own transaction.
+const path = require('path');
+const { parseCsvObjects } = require('../formats/csv');
+
+const MAX_IMPORT_ROWS = 10000;
+const IMPORT_BATCH_SIZE = 500;
+
+const formatOf = (file) => {
+  const extension = path.extname(file.originalname || '').toLowerCase();
+  if (file.mimetype === 'text/csv' || extension === '.csv') return 'csv';
+  if (file.mimetype === 'application/json' || extension === '.json') return 'json';
+  return null;
+};
+
+// Resolves an uploaded multer file (memory storage) to an array of row
+// objects. Throws with a client-facing message if it can't be read.
+const parseImportFile = (file) => {
+  const format = formatOf(file);
+  if (!format) throw new Error('Import file must be CSV or JSON');
+
+  const text = file.buffer.toString('utf8');
+  let rows;
+  if (format === 'csv') {
+    rows = parseCsvObjects(text);
+  } else {
+    try {
+      rows = JSON.parse(text);
+    } catch (err) {
+      throw new Error('Import file is not valid JSON');
+    }
+    if (!Array.isArray(rows)) throw new Error('JSON import must be an array of users');
+  }
+
+  if (rows.length === 0) throw new Error('Import file has no rows');
+  if (rows.length > MAX_IMPORT_ROWS) throw new Error(`Import file has more than ${MAX_IMPORT_ROWS} rows`);
+  return rows.map(row => (row && typeof row === 'object' && !Array.isArray(row) ? row : {}));
+};
+
+const chunk = (items, size) => {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) chunks.push(items.slice(i, i + size));
+  return chunks;
+};
+
+const rejectRow = (entry, errors) => {
+  entry.status = 'invalid';
+  entry.errors = errors;
+};
+
+// validateRow(row) resolves to { errors, values } for one row. Resolves to a
+// report with one entry per row, numbered from 1 in file order. Rows end up
+// 'invalid', 'failed' (their batch could not be saved), 'created', or 'valid'
+// on a dry run, which checks everything but writes nothing.
+const importUsers = async (repos, rows, { validateRow, dryRun = false, batchSize = IMPORT_BATCH_SIZE }) => {
+  const entries = [];
+  const seen = new Set();
+
+  for (const [index, row] of rows.entries()) {
+    const { errors, values } = await validateRow(row);
+    const entry = { row: index + 1, email: values.email ?? null, status: 'valid' };
+    entries.push(entry);
+
+    if (errors.length > 0) {
+      rejectRow(entry, errors.map(({ path: field, msg }) => ({ path: field, msg })));
+      continue;
+    }
+    const key = String(values.email).toLowerCase();
+    if (seen.has(key)) {
+      rejectRow(entry, [{ path: 'email', msg: 'Duplicate email in import file' }]);
+      continue;
+    }
+    seen.add(key);
+    entry.user = { name: values.name, email: String(values.email), type: values.type };
+  }
+
+  const candidates = entries.filter(entry => entry.status === 'valid');
+  for (const batch of chunk(candidates, batchSize)) {
+    const existing = await repos.users.findExistingEmails(batch.map(entry => entry.user.email));
+    const taken = new Set(existing.map(email => email.toLowerCase()));
+    batch
+      .filter(entry => taken.has(entry.user.email.toLowerCase()))
+      .forEach(entry => rejectRow(entry, [{ path: 'email', msg: 'Email already exists' }]));
+  }
+
+  const valid = entries.filter(entry => entry.status === 'valid');
+  if (!dryRun) {
+    for (const batch of chunk(valid, batchSize)) {
+      try {
+        await repos.transaction(tx => tx.users.createMany(batch.map(entry => entry.user)));
+        batch.forEach((entry) => { entry.status = 'created'; });
+      } catch (err) {
+        console.error('Error importing users:', err);
+        batch.forEach((entry) => {
+          entry.status = 'failed';
+          entry.errors = [{ path: null, msg: 'Failed to save user' }];
+        });
+      }
+    }
+  }
+
+  const count = (status) => entries.filter(entry => entry.status === status).length;
+  return {
+    dryRun,
+    total: entries.length,
+    valid: valid.length,
+    invalid: count('invalid'),
+    created: count('created'),
+    failed: count('failed'),
+    rows: entries.map(({ user, ...entry }) => entry),
+  };
+};
+
+module.exports = { MAX_IMPORT_ROWS, IMPORT_BATCH_SIZE, parseImportFile, importUsers };